@@ -0,0 +1,106 @@
+// backend/api/openapi.js
+// Builds the OpenAPI 3.0 document for the versioned API from the routes' own definitions, so
+// the published spec can't drift from what the server validates.
+import { ACCESS_COOKIE } from '../services/authTokens.js';
+import { componentSchemas } from './schemas.js';
+
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// Express "/summaries/:id/audio" becomes OpenAPI "/summaries/{id}/audio"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/\/$/, '') || '/';
+
+// An object schema of path or query values becomes a list of parameters
+const toParameters = (location, schema) => Object.entries((schema && schema.properties) || {})
+    .map(([name, property]) => {
+        const { description, ...propertySchema } = property;
+        return {
+            name,
+            in: location,
+            required: location === 'path' || (schema.required || []).includes(name),
+            ...(description && { description }),
+            schema: propertySchema
+        };
+    });
+
+const toResponse = (status, response) => {
+    const { description, schema, content = 'application/json' } = typeof response === 'string'
+        ? { description: response }
+        : response;
+    if (!schema && status >= 400) {
+        return errorResponse(description);
+    }
+    if (!schema) {
+        return content === 'application/json' ? { description } : { description, content: { [content]: {} } };
+    }
+    const resolved = typeof schema === 'string' ? { $ref: `#/components/schemas/${schema}` } : schema;
+    return { description, content: { [content]: { schema: resolved } } };
+};
+
+const toOperation = (route) => {
+    const operation = {
+        tags: [route.tag],
+        summary: route.summary,
+        ...(route.description && { description: route.description }),
+        parameters: [...toParameters('path', route.params), ...toParameters('query', route.query)],
+        responses: {}
+    };
+    if (route.body) {
+        operation.requestBody = {
+            required: Boolean(route.body.required && route.body.required.length),
+            content: { 'application/json': { schema: route.body } }
+        };
+    }
+
+    Object.entries(route.responses || { 200: 'OK' }).forEach(([status, response]) => {
+        operation.responses[status] = toResponse(Number(status), response);
+    });
+    if (route.params || route.query || route.body) {
+        operation.responses[400] = operation.responses[400] || errorResponse('The request is invalid');
+    }
+
+    // State-changing requests also need the CSRF header, whether or not they need a session
+    const csrf = SAFE_METHODS.includes(route.method) ? {} : { csrfToken: [] };
+    if (route.public) {
+        operation.security = Object.keys(csrf).length ? [csrf] : [];
+    } else {
+        operation.security = [{ sessionCookie: [], ...csrf }];
+        operation.responses[401] = operation.responses[401] || errorResponse('Not logged in, or the session expired');
+    }
+    return operation;
+};
+
+// `apis` are { prefix, api } pairs, api being a router from createApiRouter
+export const buildOpenApiDocument = (apis, { serverUrl }) => {
+    const paths = {};
+    apis.forEach(({ prefix, api }) => {
+        api.routes.forEach((route) => {
+            const path = toOpenApiPath(`${prefix}${route.path}`);
+            paths[path] = { ...paths[path], [route.method]: toOperation(route) };
+        });
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Moodi-Fi API',
+            version: '1.0.0',
+            description: 'Spotify listening insights, AI summaries and playlists. Errors are JSON objects with an '
+                + '`error` message and, for most, a machine-readable `code`.'
+        },
+        servers: [{ url: serverUrl }],
+        tags: apis.map(({ api }) => ({ name: api.tag })),
+        paths,
+        components: {
+            securitySchemes: {
+                sessionCookie: { type: 'apiKey', in: 'cookie', name: ACCESS_COOKIE },
+                csrfToken: { type: 'apiKey', in: 'header', name: 'X-CSRF-Token', description: 'Value of the csrfToken cookie' }
+            },
+            schemas: componentSchemas
+        }
+    };
+};
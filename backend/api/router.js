@@ -0,0 +1,32 @@
+// backend/api/router.js
+// Express routers whose routes declare their request schemas. Each route is authenticated
+// (unless marked public), validated, and recorded so openapi.js can describe it.
+import express from 'express';
+import { ensureValidSpotifyToken } from '../middleware/auth.js';
+import { validateRequest } from './validation.js';
+
+// A route definition is { summary, description, public, params, query, body, responses }, where
+// params, query and body are object schemas and responses maps status codes to a description
+// or to { description, schema, content }.
+export const createApiRouter = (tag) => {
+    const router = express.Router();
+    const routes = [];
+
+    const define = (method) => (path, definition, ...handlers) => {
+        routes.push({ ...definition, method, path, tag });
+        router[method](path,
+            ...(definition.public ? [] : [ensureValidSpotifyToken]),
+            validateRequest(definition),
+            ...handlers);
+    };
+
+    return {
+        tag,
+        router,
+        routes,
+        get: define('get'),
+        post: define('post'),
+        put: define('put'),
+        delete: define('delete')
+    };
+};
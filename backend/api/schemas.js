@@ -0,0 +1,104 @@
+// backend/api/schemas.js
+// Schemas shared by several routes, and the response schemas published in the OpenAPI document.
+import { TIME_RANGES, TOP_ITEMS_MAX_LIMIT } from '../services/topItems.js';
+import { MAX_NAME_LENGTH, MAX_DESCRIPTION_LENGTH, PLAYLIST_MODES } from '../services/playlists.js';
+
+export const idParams = (description) => ({
+    type: 'object',
+    properties: { id: { type: 'string', format: 'objectid', description } },
+    required: ['id']
+});
+
+export const timeRange = {
+    type: 'string',
+    enum: TIME_RANGES,
+    default: 'medium_term',
+    description: 'Spotify time range: about 4 weeks, 6 months or several years'
+};
+
+// Paging over Spotify's top items
+export const topItemsQuery = (defaultLimit = 20) => ({
+    type: 'object',
+    properties: {
+        time_range: timeRange,
+        limit: { type: 'integer', minimum: 1, maximum: TOP_ITEMS_MAX_LIMIT, default: defaultLimit },
+        offset: { type: 'integer', minimum: 0, default: 0 }
+    }
+});
+
+// from/to and timezone are checked further by parseStatsRange
+export const statsRangeProperties = {
+    from: { type: 'string', maxLength: 40, description: 'ISO 8601 start date (defaults to 28 days before to)' },
+    to: { type: 'string', maxLength: 40, description: 'ISO 8601 end date (defaults to now)' },
+    timezone: { type: 'string', maxLength: 64, description: 'IANA time zone for days and weeks (defaults to UTC)' }
+};
+
+// Body fields for creating a playlist, or for updating one Moodi-Fi created earlier
+export const playlistOptionsProperties = {
+    mode: { type: 'string', enum: PLAYLIST_MODES, default: 'create' },
+    playlistId: { type: 'string', format: 'spotify-id', description: 'Playlist to append to or replace' },
+    name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+    description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+    public: { type: 'boolean' }
+};
+
+export const trackUris = {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', format: 'spotify-track-uri' }
+};
+
+export const componentSchemas = {
+    Error: {
+        type: 'object',
+        properties: {
+            error: { type: 'string' },
+            code: { type: 'string', description: 'Machine-readable reason, e.g. invalid_request or not_authenticated' },
+            details: {
+                type: 'array',
+                description: 'Each invalid field, for invalid_request errors',
+                items: {
+                    type: 'object',
+                    properties: {
+                        in: { type: 'string', enum: ['params', 'query', 'body'] },
+                        field: { type: 'string' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        },
+        required: ['error']
+    },
+    Summary: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            timeRange: { type: 'string', enum: TIME_RANGES },
+            style: { type: 'string' },
+            language: { type: 'string' },
+            summary: { type: 'string' },
+            insights: { type: 'object', nullable: true },
+            share: {
+                type: 'object',
+                nullable: true,
+                properties: { url: { type: 'string' }, createdAt: { type: 'string', format: 'date-time' } }
+            },
+            cached: { type: 'boolean', description: 'Whether an earlier summary of the same inputs was returned' },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    Playlist: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', description: 'Spotify playlist id' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            public: { type: 'boolean' },
+            source: { type: 'string', enum: ['top-tracks', 'mood', 'blend'] },
+            mood: { type: 'string' },
+            trackCount: { type: 'integer' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    }
+};
@@ -0,0 +1,162 @@
+// backend/api/validation.js
+// Checks requests against the schemas routes declare (a subset of JSON Schema, the same objects
+// openapi.js publishes). Path and query values arrive as strings and are coerced to the declared
+// type; missing values with a default get it.
+
+export class RequestValidationError extends Error {
+    constructor(details) {
+        super(details.map((detail) => `${detail.field} ${detail.message}`).join('; '));
+        this.name = 'RequestValidationError';
+        this.status = 400;
+        this.details = details;
+    }
+}
+
+// Named string formats, checked in place of a pattern so errors can say what was expected
+const FORMATS = {
+    'objectid': { test: /^[0-9a-fA-F]{24}$/, message: 'must be a valid id' },
+    'spotify-id': { test: /^[0-9A-Za-z]{1,64}$/, message: 'must be a Spotify id' },
+    'spotify-track-uri': { test: /^spotify:track:[0-9A-Za-z]+$/, message: 'must be a Spotify track URI' }
+};
+
+const typeNames = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+    array: 'an array',
+    object: 'an object'
+};
+
+// Query and path parameters are always strings; turn them into the declared scalar type
+const coerceScalar = (schema, value) => {
+    if (typeof value !== 'string') return value;
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && ['true', 'false'].includes(value)) {
+        return value === 'true';
+    }
+    return value;
+};
+
+const hasType = (schema, value) => {
+    switch (schema.type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === schema.type;
+    }
+};
+
+const rangeMessage = (schema) => {
+    const noun = schema.type === 'integer' ? 'an integer' : 'a number';
+    if (schema.minimum !== undefined && schema.maximum !== undefined) {
+        return `must be ${noun} between ${schema.minimum} and ${schema.maximum}`;
+    }
+    return schema.minimum !== undefined
+        ? `must be ${noun} of at least ${schema.minimum}`
+        : `must be ${noun} of at most ${schema.maximum}`;
+};
+
+// Validate one value, pushing { field, message } for each problem. Returns the value with
+// coercions and defaults applied.
+const check = (schema, value, field, errors, coerce) => {
+    if (coerce) {
+        value = coerceScalar(schema, value);
+    }
+    if (schema.nullable && value === null) {
+        return value;
+    }
+    if (schema.type && !hasType(schema, value)) {
+        errors.push({ field, message: `must be ${typeNames[schema.type]}` });
+        return value;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+        return value;
+    }
+
+    if (typeof value === 'number') {
+        if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+            errors.push({ field, message: rangeMessage(schema) });
+        }
+    } else if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+        } else if (FORMATS[schema.format] && !FORMATS[schema.format].test.test(value)) {
+            errors.push({ field, message: FORMATS[schema.format].message });
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field, message: 'has an invalid format' });
+        }
+    } else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field, message: `must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field, message: `must contain at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            return value.map((item, index) => check(schema.items, item, `${field}[${index}]`, errors, coerce));
+        }
+    } else if (schema.type === 'object') {
+        return checkObject(schema, value, field, errors, coerce);
+    }
+    return value;
+};
+
+// Properties of an object schema; unknown properties are kept unless additionalProperties is false
+const checkObject = (schema, value, prefix, errors, coerce) => {
+    const result = { ...value };
+    const fieldName = (name) => (prefix ? `${prefix}.${name}` : name);
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        if (result[name] === undefined) {
+            if (property.default !== undefined) {
+                result[name] = property.default;
+            } else if ((schema.required || []).includes(name)) {
+                errors.push({ field: fieldName(name), message: 'is required' });
+            }
+            return;
+        }
+        result[name] = check(property, result[name], fieldName(name), errors, coerce);
+    });
+    if (schema.additionalProperties === false) {
+        Object.keys(result)
+            .filter((name) => !Object.hasOwn(schema.properties || {}, name))
+            .forEach((name) => errors.push({ field: fieldName(name), message: 'is not allowed' }));
+    }
+    return result;
+};
+
+// Middleware validating req.params, req.query and req.body against a route's object schemas.
+// Valid values replace the originals, so handlers see coerced values and defaults.
+export const validateRequest = ({ params, query, body }) => (req, res, next) => {
+    const details = [];
+    const validate = (location, schema, coerce) => {
+        if (!schema) return;
+        const errors = [];
+        const input = req[location] === undefined ? {} : req[location];
+        if (!hasType({ type: 'object' }, input)) {
+            details.push({ in: location, field: location, message: 'must be an object' });
+            return;
+        }
+        const value = checkObject(schema, input, '', errors, coerce);
+        details.push(...errors.map((error) => ({ in: location, ...error })));
+        return value;
+    };
+
+    const validParams = validate('params', params, true);
+    const validQuery = validate('query', query, true);
+    const validBody = validate('body', body, false);
+    if (details.length) {
+        return next(new RequestValidationError(details));
+    }
+
+    // req.params is shared with later handlers of the same route, so update it in place
+    if (validParams) Object.assign(req.params, validParams);
+    if (validQuery) req.query = validQuery;
+    if (validBody) req.body = validBody;
+    next();
+};
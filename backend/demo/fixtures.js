@@ -0,0 +1,231 @@
+// backend/demo/fixtures.js
+// Fixture catalog and users for demo mode. Artists and tracks are real releases so summaries and
+// mood estimates look plausible; ids, artwork and popularity are made up. Everything is built
+// deterministically so every start serves the same data.
+import crypto from 'crypto';
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest();
+
+// 0..1 from a seed string, stable across runs
+export const unit = (seed) => hash(seed).readUInt32BE(0) / 0x100000000;
+
+// A Spotify-style base62 id, 22 characters
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+export const fixtureId = (seed) => [...hash(seed)].slice(0, 22).map((byte) => BASE62[byte % 62]).join('');
+
+// Square artwork as an inline SVG, so the demo needs no image host
+const artwork = (seed, label) => {
+    const hue = Math.round(unit(seed) * 360);
+    const initials = label.split(/\s+/).map((word) => word[0]).join('').slice(0, 2).toUpperCase();
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="300" height="300">` +
+        `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">` +
+        `<stop offset="0" stop-color="hsl(${hue},65%,55%)"/><stop offset="1" stop-color="hsl(${(hue + 60) % 360},65%,30%)"/>` +
+        `</linearGradient></defs><rect width="300" height="300" fill="url(#g)"/>` +
+        `<text x="150" y="175" font-family="Helvetica, Arial, sans-serif" font-size="72" font-weight="bold" ` +
+        `fill="#ffffff" text-anchor="middle">${initials.replace(/[^\p{L}\p{N}]/gu, '')}</text></svg>`;
+    const url = `data:image/svg+xml;utf8,${encodeURIComponent(svg)}`;
+    return [{ url, width: 300, height: 300 }, { url, width: 64, height: 64 }];
+};
+
+// name: [genres, popularity]
+const ARTISTS = {
+    'Phoebe Bridgers': [['indie pop', 'la indie'], 78],
+    'Bon Iver': [['indie folk', 'chamber pop', 'eau claire indie'], 77],
+    'Fleet Foxes': [['indie folk', 'chamber pop', 'seattle indie'], 66],
+    'Big Thief': [['indie folk', 'brooklyn indie'], 64],
+    'Beach House': [['dream pop', 'baltimore indie'], 76],
+    'Mitski': [['indie rock', 'brooklyn indie'], 82],
+    'Japanese Breakfast': [['indie pop', 'philly indie'], 65],
+    'Sufjan Stevens': [['indie folk', 'chamber folk'], 72],
+    'The National': [['indie rock', 'chamber pop'], 70],
+    'Tame Impala': [['psychedelic rock', 'neo-psychedelic', 'indie rock'], 81],
+    'Frank Ocean': [['neo soul', 'alternative r&b', 'hip hop'], 86],
+    'Kendrick Lamar': [['hip hop', 'west coast rap', 'conscious hip hop'], 93],
+    'SZA': [['r&b', 'pop', 'rap'], 90],
+    'Bad Bunny': [['reggaeton', 'trap latino', 'urbano latino'], 95],
+    'Tyler, The Creator': [['hip hop', 'rap'], 88],
+    'ROSALÍA': [['latin pop', 'flamenco urbano', 'r&b en espanol'], 80],
+    'Anderson .Paak': [['hip hop', 'neo soul', 'pop rap'], 74],
+    'Doja Cat': [['dance pop', 'pop', 'rap'], 87],
+    'J. Cole': [['hip hop', 'conscious hip hop', 'north carolina hip hop'], 85],
+    'KAROL G': [['reggaeton', 'urbano latino', 'latin pop'], 89],
+    'Daft Punk': [['filter house', 'french house', 'electro', 'dance'], 82],
+    'Radiohead': [['alternative rock', 'art rock', 'permanent wave'], 80],
+    'Fred again..': [['edm', 'house', 'stutter house'], 79],
+    'Four Tet': [['electronica', 'microhouse', 'ambient'], 63],
+    'Arctic Monkeys': [['garage rock', 'indie rock', 'sheffield indie'], 85],
+    'Bicep': [['electronica', 'uk dance', 'house'], 65],
+    'Caribou': [['electronica', 'indietronica', 'ambient'], 62],
+    'Jamie xx': [['electronica', 'uk dance', 'house'], 64],
+    'Queens of the Stone Age': [['alternative metal', 'stoner rock', 'rock'], 71]
+};
+
+// [title, artist, album, release year, duration in seconds, popularity]
+const TRACKS = [
+    ['Motion Sickness', 'Phoebe Bridgers', 'Stranger in the Alps', 2017, 229, 70],
+    ['Kyoto', 'Phoebe Bridgers', 'Punisher', 2020, 184, 72],
+    ['Garden Song', 'Phoebe Bridgers', 'Punisher', 2020, 219, 64],
+    ['Holocene', 'Bon Iver', 'Bon Iver, Bon Iver', 2011, 337, 72],
+    ['Skinny Love', 'Bon Iver', 'For Emma, Forever Ago', 2008, 238, 78],
+    ['White Winter Hymnal', 'Fleet Foxes', 'Fleet Foxes', 2008, 147, 67],
+    ['Mykonos', 'Fleet Foxes', 'Sun Giant', 2008, 275, 63],
+    ['Not', 'Big Thief', 'Two Hands', 2019, 367, 55],
+    ['Simulation Swarm', 'Big Thief', 'Dragon New Warm Mountain I Believe in You', 2022, 297, 60],
+    ['Space Song', 'Beach House', 'Depression Cherry', 2015, 320, 84],
+    ['Myth', 'Beach House', 'Bloom', 2012, 258, 68],
+    ['Nobody', 'Mitski', 'Be the Cowboy', 2018, 193, 76],
+    ['My Love Mine All Mine', 'Mitski', 'The Land Is Inhospitable and So Are We', 2023, 137, 88],
+    ['Be Sweet', 'Japanese Breakfast', 'Jubilee', 2021, 203, 62],
+    ['Kokomo, IN', 'Japanese Breakfast', 'Jubilee', 2021, 220, 58],
+    ['Chicago', 'Sufjan Stevens', 'Illinois', 2005, 364, 66],
+    ['Mystery of Love', 'Sufjan Stevens', 'Call Me by Your Name', 2017, 248, 73],
+    ['Bloodbuzz Ohio', 'The National', 'High Violet', 2010, 276, 58],
+    ['I Need My Girl', 'The National', 'Trouble Will Find Me', 2013, 245, 65],
+    ['The Less I Know The Better', 'Tame Impala', 'Currents', 2015, 216, 86],
+    ['Let It Happen', 'Tame Impala', 'Currents', 2015, 467, 76],
+    ['Borderline', 'Tame Impala', 'The Slow Rush', 2020, 237, 70],
+    ['Pink + White', 'Frank Ocean', 'Blonde', 2016, 184, 84],
+    ['Thinkin Bout You', 'Frank Ocean', 'channel ORANGE', 2012, 200, 82],
+    ['Nights', 'Frank Ocean', 'Blonde', 2016, 307, 83],
+    ['HUMBLE.', 'Kendrick Lamar', 'DAMN.', 2017, 177, 84],
+    ['Alright', 'Kendrick Lamar', 'To Pimp a Butterfly', 2015, 219, 75],
+    ['Not Like Us', 'Kendrick Lamar', 'Not Like Us', 2024, 274, 92],
+    ['Kill Bill', 'SZA', 'SOS', 2022, 153, 88],
+    ['Good Days', 'SZA', 'SOS', 2022, 279, 80],
+    ['Tití Me Preguntó', 'Bad Bunny', 'Un Verano Sin Ti', 2022, 243, 85],
+    ['Me Porto Bonito', 'Bad Bunny', 'Un Verano Sin Ti', 2022, 178, 86],
+    ['EARFQUAKE', 'Tyler, The Creator', 'IGOR', 2019, 190, 83],
+    ['See You Again', 'Tyler, The Creator', 'Flower Boy', 2017, 180, 87],
+    ['MALAMENTE', 'ROSALÍA', 'El Mal Querer', 2018, 150, 68],
+    ['DESPECHÁ', 'ROSALÍA', 'MOTOMAMI +', 2022, 157, 79],
+    ['Come Down', 'Anderson .Paak', 'Malibu', 2016, 175, 66],
+    ['Tints', 'Anderson .Paak', 'Oxnard', 2018, 290, 63],
+    ['Say So', 'Doja Cat', 'Hot Pink', 2019, 237, 80],
+    ['Paint The Town Red', 'Doja Cat', 'Scarlet', 2023, 231, 86],
+    ['No Role Modelz', 'J. Cole', '2014 Forest Hills Drive', 2014, 292, 85],
+    ['MIDDLE CHILD', 'J. Cole', 'MIDDLE CHILD', 2019, 213, 77],
+    ['PROVENZA', 'KAROL G', 'PROVENZA', 2022, 210, 80],
+    ['BICHOTA', 'KAROL G', 'KG0516', 2021, 178, 74],
+    ['One More Time', 'Daft Punk', 'Discovery', 2001, 320, 82],
+    ['Around the World', 'Daft Punk', 'Homework', 1997, 429, 72],
+    ['Get Lucky', 'Daft Punk', 'Random Access Memories', 2013, 369, 83],
+    ['Weird Fishes/Arpeggi', 'Radiohead', 'In Rainbows', 2007, 318, 74],
+    ['Everything In Its Right Place', 'Radiohead', 'Kid A', 2000, 251, 66],
+    ['Reckoner', 'Radiohead', 'In Rainbows', 2007, 290, 65],
+    ['Delilah (pull me out of this)', 'Fred again..', 'Actual Life 3 (January 1 - September 9 2022)', 2022, 250, 72],
+    ['Marea (we\'ve lost dancing)', 'Fred again..', 'Actual Life (April 14 - December 17 2020)', 2021, 277, 68],
+    ['Baby', 'Four Tet', 'Three', 2024, 268, 56],
+    ['Two Thousand and Seventeen', 'Four Tet', 'New Energy', 2017, 250, 52],
+    ['Do I Wanna Know?', 'Arctic Monkeys', 'AM', 2013, 272, 88],
+    ['R U Mine?', 'Arctic Monkeys', 'AM', 2013, 201, 80],
+    ['Glue', 'Bicep', 'Bicep', 2017, 269, 65],
+    ['Atlas', 'Bicep', 'Isles', 2021, 267, 58],
+    ['Can\'t Do Without You', 'Caribou', 'Our Love', 2014, 236, 56],
+    ['Home', 'Caribou', 'Suddenly', 2020, 176, 60],
+    ['Gosh', 'Jamie xx', 'In Colour', 2015, 295, 57],
+    ['Girl', 'Jamie xx', 'In Colour', 2015, 253, 54],
+    ['No One Knows', 'Queens of the Stone Age', 'Songs for the Deaf', 2002, 278, 72],
+    ['Go With The Flow', 'Queens of the Stone Age', 'Songs for the Deaf', 2002, 187, 66]
+];
+
+// Spotify's simplified and full objects for the catalog
+export const toArtist = (name) => {
+    const [genres, popularity] = ARTISTS[name];
+    const id = fixtureId(`artist:${name}`);
+    return {
+        id,
+        name,
+        type: 'artist',
+        uri: `spotify:artist:${id}`,
+        genres,
+        popularity,
+        followers: { href: null, total: Math.round(popularity ** 3 * 10) },
+        images: artwork(`artist:${name}`, name),
+        external_urls: { spotify: `https://open.spotify.com/artist/${id}` }
+    };
+};
+
+const simplifiedArtist = (name) => {
+    const { id, type, uri, external_urls } = toArtist(name);
+    return { id, name, type, uri, external_urls };
+};
+
+export const toTrack = ([name, artist, album, year, seconds, popularity]) => {
+    const id = fixtureId(`track:${artist}:${name}`);
+    const albumId = fixtureId(`album:${artist}:${album}`);
+    return {
+        id,
+        name,
+        type: 'track',
+        uri: `spotify:track:${id}`,
+        artists: [simplifiedArtist(artist)],
+        album: {
+            id: albumId,
+            name: album,
+            album_type: 'album',
+            release_date: String(year),
+            release_date_precision: 'year',
+            images: artwork(`album:${artist}:${album}`, album),
+            uri: `spotify:album:${albumId}`,
+            external_urls: { spotify: `https://open.spotify.com/album/${albumId}` }
+        },
+        duration_ms: seconds * 1000,
+        popularity,
+        explicit: false,
+        external_urls: { spotify: `https://open.spotify.com/track/${id}` }
+    };
+};
+
+export const CATALOG_ARTISTS = Object.keys(ARTISTS).map(toArtist);
+export const CATALOG_TRACKS = TRACKS.map(toTrack);
+
+// Fixture users, each with their top artists in medium-term rank order. Their top tracks are
+// the catalog tracks by those artists. Some artists are shared so blends have something in common.
+const USERS = [
+    {
+        id: 'maya',
+        displayName: 'Maya Chen',
+        description: 'Indie folk, dream pop and sad songs',
+        country: 'US',
+        artists: ['Phoebe Bridgers', 'Bon Iver', 'Beach House', 'Mitski', 'Big Thief', 'Fleet Foxes',
+            'Sufjan Stevens', 'Japanese Breakfast', 'Frank Ocean', 'The National', 'Tame Impala']
+    },
+    {
+        id: 'jordan',
+        displayName: 'Jordan Reyes',
+        description: 'Hip hop, R&B and reggaeton',
+        country: 'PR',
+        artists: ['Kendrick Lamar', 'SZA', 'Bad Bunny', 'Frank Ocean', 'Tyler, The Creator', 'KAROL G',
+            'Doja Cat', 'ROSALÍA', 'J. Cole', 'Anderson .Paak', 'Daft Punk']
+    },
+    {
+        id: 'sam',
+        displayName: 'Sam Okafor',
+        description: 'Electronic and alternative rock',
+        country: 'GB',
+        artists: ['Radiohead', 'Fred again..', 'Daft Punk', 'Four Tet', 'Tame Impala', 'Arctic Monkeys',
+            'Bicep', 'Jamie xx', 'Caribou', 'Queens of the Stone Age', 'Beach House']
+    }
+];
+
+// Round-robin over the user's artists so top tracks aren't grouped by artist
+const topTracksFor = (artists) => {
+    const byArtist = artists.map((name) => CATALOG_TRACKS.filter((track) => track.artists[0].name === name));
+    const tracks = [];
+    for (let round = 0; tracks.length < byArtist.flat().length; round++) {
+        byArtist.forEach((list) => {
+            if (list[round]) tracks.push(list[round]);
+        });
+    }
+    return tracks;
+};
+
+export const FIXTURE_USERS = USERS.map((user) => ({
+    ...user,
+    spotifyId: `demo-${user.id}`,
+    email: `${user.id}@demo.moodi-fi.local`,
+    topArtists: user.artists.map(toArtist),
+    topTracks: topTracksFor(user.artists)
+}));
+
+export const findFixtureUser = (id) => FIXTURE_USERS.find((user) => user.id === id) || null;
@@ -0,0 +1,128 @@
+// backend/demo/index.js
+// Demo mode (DEMO_MODE=true, or `npm run demo`): runs the whole app offline. Spotify is replaced by
+// the local mock in mockSpotify.js, the LLM by the mock provider and speech by the stub, and
+// login is one click as a fixture user. The secrets below are public, so demo mode refuses to
+// run in production.
+import crypto from 'crypto';
+import express from 'express';
+import { User } from '../models/User.js';
+import { issueSession } from '../services/authTokens.js';
+import { logger } from '../utils/logger.js';
+import { FIXTURE_USERS, findFixtureUser } from './fixtures.js';
+import { createMockSpotifyRouter, issueMockTokens } from './mockSpotify.js';
+
+const LOCAL_MONGODB_URI = 'mongodb://127.0.0.1:27017/moodifi-demo';
+
+export const isDemoMode = () => process.env.DEMO_MODE === 'true';
+
+// Fill in any configuration the demo needs that isn't set already
+export const applyDemoDefaults = () => {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('Demo mode uses publicly known secrets and cannot run with NODE_ENV=production');
+    }
+
+    const port = process.env.PORT || 8888;
+    const defaults = {
+        NODE_ENV: 'development',
+        API_BASE_URL: `http://localhost:${port}`,
+        FRONTEND_URL: 'http://localhost:3000',
+        SPOTIFY_CLIENT_ID: 'demo',
+        SPOTIFY_CLIENT_SECRET: 'demo',
+        SPOTIFY_CALLBACK_URL: `http://localhost:${port}/api/spotify-callback`,
+        SPOTIFY_API_URL: `http://127.0.0.1:${port}/mock-spotify/v1`,
+        SPOTIFY_TOKEN_URL: `http://127.0.0.1:${port}/mock-spotify/api/token`,
+        JWT_SECRET: 'moodi-fi-demo-jwt-secret',
+        SESSION_SECRET: 'moodi-fi-demo-session-secret',
+        // Fixed so tokens stored by an earlier run stay readable
+        TOKEN_ENCRYPTION_KEYS: `1:${crypto.createHash('sha256').update('moodi-fi-demo').digest('base64')}`,
+        LLM_PROVIDER: 'mock',
+        TTS_PROVIDER: 'stub'
+    };
+    Object.entries(defaults).forEach(([name, value]) => {
+        if (!process.env[name]) {
+            process.env[name] = value;
+        }
+    });
+};
+
+// MONGODB_URI if set; otherwise an in-memory server when the mongodb-memory-server dev dependency is
+// installed (production installs leave it out), or a MongoDB on localhost
+export const demoDatabaseUri = async () => {
+    if (process.env.MONGODB_URI) {
+        return process.env.MONGODB_URI;
+    }
+    try {
+        const { MongoMemoryServer } = await import('mongodb-memory-server');
+        const server = await MongoMemoryServer.create();
+        logger.info('Demo mode: using an in-memory MongoDB, data is lost when the server stops');
+        return server.getUri('moodifi-demo');
+    } catch (error) {
+        logger.info('Demo mode: no in-memory MongoDB, using a local one', { uri: LOCAL_MONGODB_URI, reason: error.message });
+        return LOCAL_MONGODB_URI;
+    }
+};
+
+// The profile passport-spotify would have produced for the fixture user
+const fixtureProfile = (fixture) => ({
+    provider: 'spotify',
+    id: fixture.spotifyId,
+    username: fixture.spotifyId,
+    displayName: fixture.displayName,
+    profileUrl: `https://open.spotify.com/user/${fixture.spotifyId}`,
+    photos: [],
+    country: fixture.country,
+    product: 'premium',
+    emails: [{ value: fixture.email, type: null }],
+    _json: {
+        id: fixture.spotifyId,
+        display_name: fixture.displayName,
+        email: fixture.email,
+        country: fixture.country,
+        product: 'premium'
+    }
+});
+
+// Routes for the mock Spotify API, listing fixture users and logging in as one
+export const createDemoRouter = ({ frontendUrl }) => {
+    const router = express.Router();
+    router.use('/mock-spotify', createMockSpotifyRouter());
+
+    router.get('/api/v1/demo/users', (req, res) => {
+        res.json({
+            items: FIXTURE_USERS.map((fixture) => ({
+                id: fixture.id,
+                displayName: fixture.displayName,
+                description: fixture.description
+            }))
+        });
+    });
+
+    // Stands in for the Spotify consent screen and callback
+    router.get('/auth/demo/:fixtureId', async (req, res) => {
+        const fixture = findFixtureUser(req.params.fixtureId);
+        if (!fixture) {
+            return res.redirect(`${frontendUrl}/?error=login_failed`);
+        }
+
+        try {
+            const tokens = issueMockTokens(fixture.id);
+            const user = await User.findOne({ spotifyId: fixture.spotifyId })
+                || new User({ spotifyId: fixture.spotifyId, profile: fixtureProfile(fixture) });
+            user.accessToken = tokens.accessToken;
+            user.refreshToken = tokens.refreshToken;
+            user.tokenExpiration = new Date(Date.now() + tokens.expiresIn * 1000);
+            user.email = fixture.email;
+            user.displayName = fixture.displayName;
+            await user.save();
+
+            await issueSession(res, user._id);
+            logger.info('Demo login as fixture user', { fixture: fixture.id });
+            res.redirect(frontendUrl);
+        } catch (error) {
+            logger.error('Demo login failed', { error });
+            res.redirect(`${frontendUrl}/?error=login_failed`);
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,347 @@
+// backend/demo/mockSpotify.js
+// A local stand-in for the parts of the Spotify Web API and accounts service the app uses, serving
+// the fixture users. Mounted at /mock-spotify in demo mode, with SPOTIFY_API_URL and
+// SPOTIFY_TOKEN_URL pointing at it.
+//
+// Tokens are self-describing ("demo-access.<user>.<expiry>", "demo-refresh.<user>") so they
+// survive restarts; playlists are kept in memory. Listening activity is generated on a fixed
+// time grid, so recently played, currently playing and repeated polls all agree.
+import express from 'express';
+import {
+    CATALOG_ARTISTS,
+    CATALOG_TRACKS,
+    findFixtureUser,
+    fixtureId,
+    toTrack,
+    unit
+} from './fixtures.js';
+
+const ACCESS_TOKEN_TTL_SECONDS = 3600;
+const SCOPES = 'user-read-email user-read-recently-played user-top-read user-read-currently-playing playlist-modify-public playlist-modify-private';
+const PLAY_SLOT_MS = 8 * 60 * 1000; // at most one play starts in each slot; longer than any fixture track
+const HISTORY_DAYS = 30; // how far back recently played looks
+
+// Tokens for a fixture user, as the accounts service would issue them after login
+export const issueMockTokens = (fixtureUserId) => ({
+    accessToken: `demo-access.${fixtureUserId}.${Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000}`,
+    refreshToken: `demo-refresh.${fixtureUserId}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+const spotifyError = (res, status, message) => res.status(status).json({ error: { status, message } });
+
+// Spotify's paging object over a full list
+const page = (req, items, { limit = 20, offset = 0 } = {}) => {
+    const pageUrl = (pageOffset) => `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${new URLSearchParams({ ...req.query, offset: pageOffset, limit })}`;
+    return {
+        href: pageUrl(offset),
+        items: items.slice(offset, offset + limit),
+        limit,
+        offset,
+        total: items.length,
+        next: offset + limit < items.length ? pageUrl(offset + limit) : null,
+        previous: offset > 0 ? pageUrl(Math.max(offset - limit, 0)) : null
+    };
+};
+
+const parsePaging = (query, maxLimit = 50) => {
+    const limit = query.limit === undefined ? 20 : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit || !Number.isInteger(offset) || offset < 0) {
+        return null;
+    }
+    return { limit, offset };
+};
+
+// Top items drift between time ranges: each range nudges the medium-term ranks by a stable amount
+const RANGE_JITTER = { short_term: 6, medium_term: 0, long_term: 4 };
+const rankForRange = (items, userId, timeRange) => items
+    .map((item, index) => ({ item, score: index + unit(`${userId}:${timeRange}:${item.id}`) * RANGE_JITTER[timeRange] }))
+    .sort((a, b) => a.score - b.score)
+    .map(({ item }) => item);
+
+// The play starting in a time slot, if the user was listening then. Listening is denser in the
+// daytime, and favorite tracks come up more often.
+const playInSlot = (user, slot) => {
+    const hour = new Date(slot * PLAY_SLOT_MS).getUTCHours();
+    const density = hour >= 7 && hour <= 23 ? 0.45 : 0.05;
+    if (unit(`${user.id}:slot:${slot}`) >= density) return null;
+
+    const pick = unit(`${user.id}:track:${slot}`) ** 2; // skewed toward the top
+    const track = user.topTracks[Math.floor(pick * user.topTracks.length)];
+    const startedAt = slot * PLAY_SLOT_MS;
+    return { track, startedAt, endedAt: startedAt + track.duration_ms };
+};
+
+// Finished plays, newest first, within (after, before)
+const recentPlays = (user, { limit, after, before }) => {
+    const now = Date.now();
+    const upper = Math.min(before || now, now);
+    const lower = Math.max(after || 0, now - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const plays = [];
+    // A play ends within the slot it started in, so slots from `upper` down to `lower` cover the range
+    for (let slot = Math.floor(upper / PLAY_SLOT_MS); slot >= Math.floor(lower / PLAY_SLOT_MS) && plays.length < limit; slot--) {
+        const play = playInSlot(user, slot);
+        if (play && play.endedAt <= upper && play.endedAt > lower) {
+            plays.push(play);
+        }
+    }
+    return plays;
+};
+
+// Tracks found by search that aren't in the catalog, so later lookups still resolve
+const searchedTracks = new Map();
+
+// Minimal `track:` / `artist:` query parsing. A title that isn't in the catalog but belongs to a
+// known artist is treated as a deep cut and returned, so model-suggested tracks resolve in demos.
+const searchTracks = (query) => {
+    const field = (name) => {
+        const match = query.match(new RegExp(`${name}:(.*?)(?=\\s+\\w+:|$)`, 'i'));
+        return match ? match[1].trim().toLowerCase() : null;
+    };
+    const title = field('track');
+    const artist = field('artist');
+    const text = !title && !artist ? query.trim().toLowerCase() : null;
+
+    const matches = [...CATALOG_TRACKS, ...searchedTracks.values()].filter((track) => {
+        const artists = track.artists.map((entry) => entry.name.toLowerCase());
+        if (text) return track.name.toLowerCase().includes(text) || artists.some((name) => name.includes(text));
+        return (!title || track.name.toLowerCase() === title) && (!artist || artists.some((name) => name.includes(artist)));
+    });
+    if (matches.length || !title || !artist) return matches;
+
+    const known = CATALOG_ARTISTS.find((entry) => entry.name.toLowerCase().includes(artist));
+    if (!known) return [];
+    const originalTitle = query.match(/track:(.*?)(?=\s+\w+:|$)/i)[1].trim();
+    const track = toTrack([originalTitle, known.name, originalTitle, 2020, 180 + Math.round(unit(originalTitle) * 120), 40]);
+    searchedTracks.set(track.uri, track);
+    return [track];
+};
+
+const findTrackByUri = (uri) => CATALOG_TRACKS.find((track) => track.uri === uri) || searchedTracks.get(uri) || null;
+
+export const createMockSpotifyRouter = () => {
+    const router = express.Router();
+    const playlists = new Map(); // id -> { owner, name, description, public, uris, following }
+
+    // Accounts service: refresh a user's access token
+    router.post('/api/token', express.urlencoded({ extended: false }), (req, res) => {
+        const { grant_type: grantType, refresh_token: refreshToken = '' } = req.body;
+        const [prefix, userId] = refreshToken.split('.');
+        if (grantType !== 'refresh_token' || prefix !== 'demo-refresh' || !findFixtureUser(userId)) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid refresh token' });
+        }
+        const tokens = issueMockTokens(userId);
+        res.json({ access_token: tokens.accessToken, token_type: 'Bearer', expires_in: tokens.expiresIn, scope: SCOPES });
+    });
+
+    // Web API: every request needs a valid, unexpired access token
+    router.use('/v1', express.json(), (req, res, next) => {
+        const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+        const [prefix, userId, expiresAt] = token.split('.');
+        const user = prefix === 'demo-access' ? findFixtureUser(userId) : null;
+        if (!user) {
+            return spotifyError(res, 401, 'Invalid access token');
+        }
+        if (Number(expiresAt) <= Date.now()) {
+            return spotifyError(res, 401, 'The access token expired');
+        }
+        req.fixtureUser = user;
+        next();
+    });
+
+    router.get('/v1/me', (req, res) => {
+        const user = req.fixtureUser;
+        res.json({
+            id: user.spotifyId,
+            display_name: user.displayName,
+            email: user.email,
+            country: user.country,
+            product: 'premium',
+            type: 'user',
+            uri: `spotify:user:${user.spotifyId}`,
+            images: [],
+            followers: { href: null, total: 12 },
+            external_urls: { spotify: `https://open.spotify.com/user/${user.spotifyId}` }
+        });
+    });
+
+    router.get('/v1/me/top/:type', (req, res) => {
+        const { type } = req.params;
+        const timeRange = req.query.time_range || 'medium_term';
+        const paging = parsePaging(req.query);
+        if (!['artists', 'tracks'].includes(type) || !Object.hasOwn(RANGE_JITTER, timeRange) || !paging) {
+            return spotifyError(res, 400, 'Invalid request');
+        }
+        const items = type === 'artists' ? req.fixtureUser.topArtists : req.fixtureUser.topTracks;
+        res.json(page(req, rankForRange(items, req.fixtureUser.id, timeRange), paging));
+    });
+
+    router.get('/v1/me/player/recently-played', (req, res) => {
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 50 || (req.query.after && req.query.before)) {
+            return spotifyError(res, 400, 'Invalid request');
+        }
+        const plays = recentPlays(req.fixtureUser, {
+            limit,
+            after: req.query.after ? Number(req.query.after) : undefined,
+            before: req.query.before ? Number(req.query.before) : undefined
+        });
+        res.json({
+            items: plays.map((play) => ({ track: play.track, played_at: new Date(play.endedAt).toISOString(), context: null })),
+            limit,
+            next: null,
+            cursors: plays.length
+                ? { after: String(plays[0].endedAt), before: String(plays[plays.length - 1].endedAt) }
+                : null,
+            href: `${req.protocol}://${req.get('host')}${req.originalUrl}`
+        });
+    });
+
+    router.get('/v1/me/player/currently-playing', (req, res) => {
+        const now = Date.now();
+        const play = playInSlot(req.fixtureUser, Math.floor(now / PLAY_SLOT_MS));
+        if (!play || play.endedAt <= now) {
+            return res.status(204).end();
+        }
+        res.json({
+            timestamp: now,
+            is_playing: true,
+            progress_ms: now - play.startedAt,
+            currently_playing_type: 'track',
+            item: play.track,
+            context: null
+        });
+    });
+
+    router.get('/v1/artists', (req, res) => {
+        const ids = String(req.query.ids || '').split(',').filter(Boolean);
+        if (ids.length === 0 || ids.length > 50) {
+            return spotifyError(res, 400, 'Invalid request');
+        }
+        res.json({ artists: ids.map((id) => CATALOG_ARTISTS.find((artist) => artist.id === id) || null) });
+    });
+
+    // Like apps registered after November 2024, the demo has no access to audio features
+    router.get('/v1/audio-features', (req, res) => spotifyError(res, 403, 'Forbidden'));
+
+    router.get('/v1/search', (req, res) => {
+        const paging = parsePaging(req.query);
+        if (!req.query.q || !String(req.query.type || '').split(',').includes('track') || !paging) {
+            return spotifyError(res, 400, 'Invalid request');
+        }
+        res.json({ tracks: page(req, searchTracks(String(req.query.q)), paging) });
+    });
+
+    const formatPlaylist = (id, playlist) => ({
+        id,
+        name: playlist.name,
+        description: playlist.description || '',
+        public: playlist.public,
+        collaborative: false,
+        type: 'playlist',
+        uri: `spotify:playlist:${id}`,
+        owner: { id: playlist.owner, type: 'user' },
+        images: [],
+        tracks: { href: null, total: playlist.uris.length },
+        external_urls: { spotify: `https://open.spotify.com/playlist/${id}` }
+    });
+
+    router.get('/v1/me/playlists', (req, res) => {
+        const paging = parsePaging(req.query);
+        if (!paging) {
+            return spotifyError(res, 400, 'Invalid request');
+        }
+        const own = [...playlists.entries()]
+            .filter(([, playlist]) => playlist.owner === req.fixtureUser.spotifyId && playlist.following)
+            .map(([id, playlist]) => formatPlaylist(id, playlist));
+        res.json(page(req, own, paging));
+    });
+
+    router.post('/v1/users/:userId/playlists', (req, res) => {
+        if (req.params.userId !== req.fixtureUser.spotifyId) {
+            return spotifyError(res, 403, 'You cannot create a playlist for another user');
+        }
+        if (!req.body || typeof req.body.name !== 'string' || !req.body.name) {
+            return spotifyError(res, 400, 'Missing required field: name');
+        }
+        const id = fixtureId(`playlist:${req.fixtureUser.id}:${Date.now()}:${Math.random()}`);
+        const playlist = {
+            owner: req.fixtureUser.spotifyId,
+            name: req.body.name,
+            description: req.body.description,
+            public: req.body.public !== false,
+            uris: [],
+            following: true
+        };
+        playlists.set(id, playlist);
+        res.status(201).json(formatPlaylist(id, playlist));
+    });
+
+    // Only the owner may change a playlist
+    const ownPlaylist = (req, res, next) => {
+        const playlist = playlists.get(req.params.id);
+        if (!playlist) {
+            return spotifyError(res, 404, 'Not found.');
+        }
+        if (playlist.owner !== req.fixtureUser.spotifyId && req.method !== 'GET') {
+            return spotifyError(res, 403, 'You cannot modify this playlist');
+        }
+        req.playlist = playlist;
+        next();
+    };
+
+    const parseUris = (req) => {
+        const uris = req.body && req.body.uris;
+        return Array.isArray(uris) && uris.length <= 100 && uris.every((uri) => findTrackByUri(uri)) ? uris : null;
+    };
+    const snapshot = (playlist) => ({ snapshot_id: fixtureId(playlist.uris.join(',')) });
+
+    router.get('/v1/playlists/:id', ownPlaylist, (req, res) => {
+        res.json(formatPlaylist(req.params.id, req.playlist));
+    });
+
+    router.put('/v1/playlists/:id', ownPlaylist, (req, res) => {
+        ['name', 'description', 'public'].forEach((key) => {
+            if (req.body[key] !== undefined) req.playlist[key] = req.body[key];
+        });
+        res.status(200).end();
+    });
+
+    router.get('/v1/playlists/:id/tracks', ownPlaylist, (req, res) => {
+        const paging = parsePaging(req.query, 100);
+        if (!paging) {
+            return spotifyError(res, 400, 'Invalid request');
+        }
+        const items = req.playlist.uris.map((uri) => ({ added_at: null, track: findTrackByUri(uri) }));
+        res.json(page(req, items, paging));
+    });
+
+    router.post('/v1/playlists/:id/tracks', ownPlaylist, (req, res) => {
+        const uris = parseUris(req);
+        if (!uris) {
+            return spotifyError(res, 400, 'Invalid track uri');
+        }
+        req.playlist.uris.push(...uris);
+        res.status(201).json(snapshot(req.playlist));
+    });
+
+    router.put('/v1/playlists/:id/tracks', ownPlaylist, (req, res) => {
+        const uris = parseUris(req);
+        if (!uris) {
+            return spotifyError(res, 400, 'Invalid track uri');
+        }
+        req.playlist.uris = uris;
+        res.json(snapshot(req.playlist));
+    });
+
+    // Owners "delete" a playlist by unfollowing it
+    router.delete('/v1/playlists/:id/followers', ownPlaylist, (req, res) => {
+        req.playlist.following = false;
+        res.status(200).end();
+    });
+
+    router.use('/v1', (req, res) => spotifyError(res, 404, 'Service not found'));
+
+    return router;
+};
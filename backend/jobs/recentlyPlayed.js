@@ -0,0 +1,111 @@
+// backend/jobs/recentlyPlayed.js
+// Polls Spotify's recently-played endpoint for active users and stores each play as a ListeningEvent.
+// Spotify only keeps the last 50 plays, so this has to run more often than a user can play 50 tracks.
+import { User } from '../models/User.js';
+import { ListeningEvent } from '../models/ListeningEvent.js';
+import { createSpotifyClient, SpotifyAuthError } from '../services/spotifyClient.js';
+import { logger, runWithLogContext } from '../utils/logger.js';
+
+const RECENTLY_PLAYED_LIMIT = 50; // Spotify's maximum
+const ARTIST_BATCH_SIZE = 50; // Spotify's maximum ids per /artists call
+export const ACTIVE_USER_WINDOW_DAYS = 30;
+
+// Look up genres for a set of artist ids
+const fetchArtistGenres = async (spotify, artistIds) => {
+    const genres = new Map();
+    const ids = [...artistIds];
+    for (let i = 0; i < ids.length; i += ARTIST_BATCH_SIZE) {
+        const { artists } = await spotify.get('/artists', { ids: ids.slice(i, i + ARTIST_BATCH_SIZE).join(',') });
+        artists.filter(Boolean).forEach((artist) => genres.set(artist.id, artist.genres || []));
+    }
+    return genres;
+};
+
+// Spotify play history item -> ListeningEvent fields
+const toListeningEvent = (userId, item, artistGenres) => {
+    const { track } = item;
+    const artists = (track.artists || []).map((artist) => ({ id: artist.id, name: artist.name }));
+    return {
+        userId,
+        playedAt: new Date(item.played_at),
+        trackId: track.id,
+        trackName: track.name,
+        trackUri: track.uri,
+        durationMs: track.duration_ms,
+        popularity: track.popularity,
+        explicit: track.explicit,
+        albumId: track.album ? track.album.id : undefined,
+        albumName: track.album ? track.album.name : undefined,
+        releaseDate: track.album ? track.album.release_date : undefined,
+        artists,
+        genres: [...new Set(artists.flatMap((artist) => artistGenres.get(artist.id) || []))],
+        context: item.context ? { type: item.context.type, uri: item.context.uri } : undefined
+    };
+};
+
+// Ingest new plays for one user since their cursor; returns the number of plays stored
+export const ingestRecentlyPlayed = async (user) => {
+    const spotify = createSpotifyClient(user);
+    const params = { limit: RECENTLY_PLAYED_LIMIT };
+    if (user.recentlyPlayedCursor) {
+        params.after = user.recentlyPlayedCursor.getTime();
+    }
+
+    const { items } = await spotify.get('/me/player/recently-played', params);
+    const plays = items.filter((item) => item.track && item.track.id);
+    if (plays.length === 0) {
+        return 0;
+    }
+
+    const artistIds = new Set(plays.flatMap((item) => item.track.artists.map((artist) => artist.id)));
+    const artistGenres = await fetchArtistGenres(spotify, artistIds);
+
+    // Upsert on (userId, playedAt) so overlapping polls never store a play twice
+    const result = await ListeningEvent.bulkWrite(plays.map((item) => {
+        const event = toListeningEvent(user._id, item, artistGenres);
+        return {
+            updateOne: {
+                filter: { userId: event.userId, playedAt: event.playedAt },
+                update: { $setOnInsert: event },
+                upsert: true
+            }
+        };
+    }), { ordered: false });
+
+    const newest = new Date(Math.max(...plays.map((item) => Date.parse(item.played_at))));
+    await User.updateOne({ _id: user._id }, { $set: { recentlyPlayedCursor: newest } });
+    return result.upsertedCount;
+};
+
+let ingestionRunning = false;
+
+// Ingest for every user active in the last ACTIVE_USER_WINDOW_DAYS days, one at a time
+export const ingestAllActiveUsers = async () => {
+    if (ingestionRunning) {
+        logger.info('Recently played ingestion still running, skipping this run');
+        return;
+    }
+    ingestionRunning = true;
+
+    try {
+        const activeSince = new Date(Date.now() - ACTIVE_USER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const users = await User.find({ lastActiveAt: { $gte: activeSince }, refreshToken: { $ne: null } });
+        let stored = 0;
+
+        for (const user of users) {
+            try {
+                stored += await runWithLogContext({ userId: String(user._id) }, () => ingestRecentlyPlayed(user));
+            } catch (error) {
+                if (error instanceof SpotifyAuthError) {
+                    logger.info('Skipping recently played ingestion: Spotify authorization expired', { userId: user._id });
+                } else {
+                    logger.error('Recently played ingestion failed', { userId: user._id, error });
+                }
+            }
+        }
+
+        logger.info('Recently played ingestion finished', { plays: stored, users: users.length });
+    } finally {
+        ingestionRunning = false;
+    }
+};
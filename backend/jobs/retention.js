@@ -0,0 +1,92 @@
+// backend/jobs/retention.js
+// Data retention policy, run daily:
+//   1. Accounts with no activity and no usable Spotify token for ACCOUNT_RETENTION_DAYS are deleted
+//      together with all of their data (see deleteUserData).
+//   2. Per-user documents whose user no longer exists are removed.
+import { User } from '../models/User.js';
+import { Blend } from '../models/Blend.js';
+import { deleteUserData, USER_COLLECTIONS } from '../services/accountData.js';
+import { deleteAudio } from '../services/audioStorage.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+let running = false;
+
+// Read on each run, since this module is loaded before dotenv runs. A value that isn't a positive
+// number stops the run instead of falling back to the default, which could delete accounts early.
+const retentionDays = () => {
+    const value = process.env.ACCOUNT_RETENTION_DAYS;
+    if (value === undefined || value.trim() === '') return DEFAULT_RETENTION_DAYS;
+    const days = Number(value);
+    if (!Number.isFinite(days) || days <= 0) {
+        throw new Error(`ACCOUNT_RETENTION_DAYS must be a positive number of days, not "${value}"`);
+    }
+    return days;
+};
+
+const deleteInactiveAccounts = async (days) => {
+    const threshold = new Date(Date.now() - days * DAY_MS);
+    const users = await User.find({
+        tokenExpiration: { $lt: threshold },
+        $or: [{ lastActiveAt: null }, { lastActiveAt: { $lt: threshold } }]
+    }).select('_id');
+
+    let deleted = 0;
+    for (const user of users) {
+        try {
+            await deleteUserData(user._id);
+            deleted++;
+        } catch (error) {
+            logger.error('Retention: failed to delete user', { userId: user._id, error });
+        }
+    }
+    return deleted;
+};
+
+// Documents left behind by users deleted before the cascade existed, or by a failed deletion
+const deleteOrphanedData = async () => {
+    const removed = {};
+    for (const [name, model] of Object.entries(USER_COLLECTIONS)) {
+        const userIds = await model.distinct('userId');
+        const existing = new Set((await User.find({ _id: { $in: userIds } }).distinct('_id')).map(String));
+        const orphaned = userIds.filter((userId) => !existing.has(String(userId)));
+        if (!orphaned.length) {
+            removed[name] = 0;
+            continue;
+        }
+
+        if (name === 'summaries') {
+            const audioFiles = await model.distinct('audio.fileName', { userId: { $in: orphaned }, 'audio.fileName': { $ne: null } });
+            await Promise.all(audioFiles.map((fileName) => deleteAudio(fileName)));
+        }
+        const result = await model.deleteMany({ userId: { $in: orphaned } });
+        removed[name] = result.deletedCount;
+    }
+
+    // Blends go when either participant is gone
+    const participantIds = [...await Blend.distinct('inviterId'), ...await Blend.distinct('inviteeId')];
+    const participants = new Set((await User.find({ _id: { $in: participantIds } }).distinct('_id')).map(String));
+    const missing = participantIds.filter((userId) => !participants.has(String(userId)));
+    removed.blends = missing.length
+        ? (await Blend.deleteMany({ $or: [{ inviterId: { $in: missing } }, { inviteeId: { $in: missing } }] })).deletedCount
+        : 0;
+    return removed;
+};
+
+export const applyRetentionPolicy = async () => {
+    if (running) {
+        logger.info('Retention policy already running, skipping');
+        return;
+    }
+    const days = retentionDays();
+    running = true;
+    try {
+        const accounts = await deleteInactiveAccounts(days);
+        const orphaned = await deleteOrphanedData();
+        logger.info('Retention policy applied', { inactiveAccountsDeleted: accounts, orphanedDocumentsRemoved: orphaned });
+    } finally {
+        running = false;
+    }
+};
@@ -0,0 +1,52 @@
+// backend/middleware/auth.js
+// Authenticates API requests from the access JWT cookie and attaches the user and a Spotify
+// client bound to them (req.user, req.spotify).
+import jwt from 'jsonwebtoken';
+import { User } from '../models/User.js';
+import { BlacklistedToken } from '../models/BlacklistedToken.js';
+import { ACCESS_COOKIE } from '../services/authTokens.js';
+import { createSpotifyClient } from '../services/spotifyClient.js';
+import { logger, addLogContext } from '../utils/logger.js';
+
+// Ensure valid Spotify token
+export const ensureValidSpotifyToken = async (req, res, next) => {
+    try {
+        const token = req.cookies[ACCESS_COOKIE]; // Extract JWT from cookie
+
+        if (!token) {
+            return res.status(401).json({ error: 'Not logged in', code: 'not_authenticated' });
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const userId = decoded.userId;
+
+        // Check if token is blacklisted
+        const blacklisted = await BlacklistedToken.findOne({ jti: decoded.jti });
+        if (blacklisted) {
+            return res.status(401).json({ error: 'Token has been revoked' });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(401).json({ error: 'User not found' });
+        }
+
+        // Record activity (at most hourly) so background jobs only poll users who still use the app
+        if (!user.lastActiveAt || user.lastActiveAt < new Date(Date.now() - 60 * 60 * 1000)) {
+            user.lastActiveAt = new Date();
+            await User.updateOne({ _id: user._id }, { $set: { lastActiveAt: user.lastActiveAt } });
+        }
+
+        req.user = user;
+        addLogContext({ userId: String(user._id) });
+        req.spotify = createSpotifyClient(user); // Refreshes the user's token when needed
+        next();
+    } catch (error) {
+        if (error instanceof jwt.TokenExpiredError) {
+            // The frontend refreshes the session and retries
+            return res.status(401).json({ error: 'Session expired', code: 'token_expired' });
+        }
+        logger.warn('Authentication failed', { error });
+        res.status(401).json({ error: 'Authentication failed (cookie invalid)', code: 'not_authenticated' });
+    }
+};
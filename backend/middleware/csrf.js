@@ -0,0 +1,22 @@
+// backend/middleware/csrf.js
+// Double-submit CSRF check: state-changing requests must echo the csrfToken cookie in the
+// X-CSRF-Token header. A cross-site page can make the browser send the cookie, but can't read it.
+import crypto from 'crypto';
+import { CSRF_COOKIE } from '../services/authTokens.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export const csrfProtection = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    const cookieToken = Buffer.from(req.cookies[CSRF_COOKIE] || '');
+    const headerToken = Buffer.from(req.get('X-CSRF-Token') || '');
+    if (cookieToken.length === 0
+        || cookieToken.length !== headerToken.length
+        || !crypto.timingSafeEqual(cookieToken, headerToken)) {
+        return res.status(403).json({ error: 'Invalid or missing CSRF token', code: 'csrf_failed' });
+    }
+    next();
+};
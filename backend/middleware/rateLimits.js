@@ -0,0 +1,98 @@
+// backend/middleware/rateLimits.js
+// Request rate limits, per signed-in user (per client IP for anonymous requests). Counters are kept
+// in MongoDB so limits survive restarts and are shared by every instance of the server.
+import jwt from 'jsonwebtoken';
+import rateLimit from 'express-rate-limit';
+import { RateLimitCounter } from '../models/RateLimitCounter.js';
+import { ACCESS_COOKIE } from '../services/authTokens.js';
+
+// express-rate-limit store backed by the RateLimitCounter collection. Each limiter needs its own
+// store with a distinct prefix, as they share the collection.
+export class MongoRateLimitStore {
+    constructor(prefix) {
+        this.prefix = prefix;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    // Count a hit, starting a new window if the client's last one is over
+    async increment(key, retried = false) {
+        const now = new Date();
+        const expired = { $not: [{ $gt: ['$resetAt', now] }] }; // also true before the first hit
+        try {
+            const counter = await RateLimitCounter.findOneAndUpdate(
+                { _id: `${this.prefix}:${key}` },
+                [{
+                    $set: {
+                        hits: { $cond: [expired, 1, { $add: ['$hits', 1] }] },
+                        resetAt: { $cond: [expired, new Date(now.getTime() + this.windowMs), '$resetAt'] }
+                    }
+                }],
+                { upsert: true, new: true, lean: true }
+            );
+            return { totalHits: counter.hits, resetTime: counter.resetAt };
+        } catch (error) {
+            // Two first hits racing to insert the counter: the loser retries as an update
+            if (error.code === 11000 && !retried) {
+                return this.increment(key, true);
+            }
+            throw error;
+        }
+    }
+
+    async decrement(key) {
+        await RateLimitCounter.updateOne(
+            { _id: `${this.prefix}:${key}`, hits: { $gt: 0 }, resetAt: { $gt: new Date() } },
+            { $inc: { hits: -1 } }
+        );
+    }
+
+    async resetKey(key) {
+        await RateLimitCounter.deleteOne({ _id: `${this.prefix}:${key}` });
+    }
+}
+
+// The user the access cookie belongs to, or the client IP without one. An expired but correctly
+// signed cookie still identifies the user, so the refresh call that follows counts against them.
+const userOrIpKey = (req) => {
+    const token = req.cookies && req.cookies[ACCESS_COOKIE];
+    if (token) {
+        try {
+            return `user:${jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true }).userId}`;
+        } catch (error) {
+            // Forged or malformed cookies are treated as anonymous
+        }
+    }
+    return `ip:${req.ip}`;
+};
+
+const tooManyRequests = (message) => ({ error: message, code: 'rate_limited' });
+
+// Every API route
+export const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit to 100 requests per window
+    keyGenerator: userOrIpKey,
+    store: new MongoRateLimitStore('api'),
+    message: tooManyRequests('Too many requests, please try again later.')
+});
+
+// Routes that write playlists to Spotify; these run after authentication, so req.user is set
+export const playlistRateLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    keyGenerator: (req) => `user:${req.user._id}`,
+    store: new MongoRateLimitStore('playlist'),
+    message: tooManyRequests('Too many playlist requests, please try again later.')
+});
+
+// Shared summary pages and cards are public, and rendering cards is relatively expensive
+export const shareRateLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    keyGenerator: (req) => `ip:${req.ip}`,
+    store: new MongoRateLimitStore('share'),
+    message: tooManyRequests('Too many requests from this IP, please try again later.')
+});
@@ -0,0 +1,58 @@
+// backend/middleware/requestContext.js
+// Gives every request an ID (the caller's X-Request-Id when it looks sane, so IDs can be followed
+// across services), runs the rest of the chain in a log context carrying it, and logs and counts
+// each request when its response is done.
+import crypto from 'crypto';
+import { logger, runWithLogContext } from '../utils/logger.js';
+import { httpRequests, httpRequestDuration } from '../utils/metrics.js';
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Probes and scrapes would drown out everything else at info level
+const QUIET_PATHS = ['/health/', '/metrics'];
+
+// The route template rather than the URL, so IDs don't each get their own metric series.
+// Requests no route handled (static files, unknown paths) are grouped together.
+const routeLabel = (req) => {
+    if (!req.route) return 'other';
+    // A router's root route is labelled with the router's mount path, without a trailing slash
+    return req.route.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+};
+
+export const requestContext = (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const started = process.hrtime.bigint();
+    const path = req.originalUrl.split('?')[0]; // query strings can hold OAuth codes
+    let logged = false;
+    const done = (aborted) => {
+        if (logged) return;
+        logged = true;
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        // 499 (client closed request) when the client went away before the response finished
+        const status = aborted ? 499 : res.statusCode;
+        const labels = { method: req.method, route: routeLabel(req), status };
+        httpRequests.inc(labels);
+        httpRequestDuration.observe(labels, seconds);
+
+        // A failing readiness probe is reported by its response, not an error line per probe
+        let level = status >= 500 ? 'error' : 'info';
+        if (QUIET_PATHS.some((prefix) => path.startsWith(prefix))) level = 'debug';
+        // Response events may fire outside the request's log context, so its fields are repeated here
+        logger[level](aborted ? 'Request aborted' : 'Request completed', {
+            requestId: req.id,
+            ...(req.user && { userId: String(req.user._id) }),
+            method: req.method,
+            path,
+            status,
+            durationMs: Math.round(seconds * 1000)
+        });
+    };
+    res.on('finish', () => done(false));
+    res.on('close', () => done(!res.writableFinished));
+
+    runWithLogContext({ requestId: req.id }, next);
+};
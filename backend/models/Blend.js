@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// A participant's top artists and tracks at the time the blend was computed.
+// Used server-side only; the other participant never sees it directly.
+const blendTasteSchema = new mongoose.Schema({
+    artists: [{
+        _id: false,
+        id: { type: String },
+        name: { type: String },
+        genres: [{ type: String }]
+    }],
+    tracks: [{
+        _id: false,
+        id: { type: String },
+        name: { type: String },
+        artists: [{ type: String }],
+        uri: { type: String }
+    }]
+}, { _id: false });
+
+const blendArtistSchema = new mongoose.Schema({
+    name: { type: String },
+    genres: [{ type: String }],
+    reason: { type: String }
+}, { _id: false });
+
+// Blend Schema: a taste comparison between two users, created from an invite the second user accepted
+const blendSchema = new mongoose.Schema({
+    inviterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    inviteeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }, // set when accepted
+    tokenHash: { type: String, required: true, unique: true }, // sha256 of the invite code
+    status: { type: String, enum: ['pending', 'accepted', 'declined'], default: 'pending' },
+    expiresAt: { type: Date, expires: 0 }, // pending invites only; removed on accept
+    acceptedAt: { type: Date },
+    tastes: {
+        inviter: blendTasteSchema,
+        invitee: blendTasteSchema
+    },
+    result: {
+        score: { type: Number }, // 0-100
+        breakdown: {
+            artists: { type: Number },
+            genres: { type: Number },
+            tracks: { type: Number }
+        },
+        sharedArtists: [{ type: String }],
+        sharedGenres: [{ type: String }],
+        sharedTracks: [{ type: String }], // "Track by Artist"
+        forInviter: [blendArtistSchema], // the invitee's artists the inviter would likely enjoy
+        forInvitee: [blendArtistSchema]
+    },
+    createdAt: { type: Date, default: Date.now }
+});
+
+export const Blend = mongoose.model('Blend', blendSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Listening Event Schema: one play ingested from Spotify's recently-played history
+const listeningEventSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    playedAt: { type: Date, required: true },
+    trackId: { type: String, required: true },
+    trackName: { type: String },
+    trackUri: { type: String },
+    durationMs: { type: Number },
+    popularity: { type: Number },
+    explicit: { type: Boolean },
+    albumId: { type: String },
+    albumName: { type: String },
+    releaseDate: { type: String },
+    artists: [{
+        _id: false,
+        id: { type: String },
+        name: { type: String }
+    }],
+    genres: [{ type: String }], // union of the track artists' genres at ingestion time
+    context: {
+        type: { type: String }, // playlist, album, artist, ...
+        uri: { type: String }
+    }
+});
+
+// A user can't start two plays at the same instant, so this also deduplicates re-ingested plays
+listeningEventSchema.index({ userId: 1, playedAt: -1 }, { unique: true });
+listeningEventSchema.index({ userId: 1, trackId: 1 });
+
+export const ListeningEvent = mongoose.model('ListeningEvent', listeningEventSchema);
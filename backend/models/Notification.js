@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Notification Schema: in-app inbox entries such as the weekly digest
+const notificationSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: ['weekly-digest'], required: true },
+    title: { type: String, required: true },
+    body: { type: String, required: true },
+    data: { type: Object }, // type-specific payload, e.g. the digest's top list snapshot and changes
+    readAt: { type: Date },
+    emailedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, type: 1, createdAt: -1 });
+
+export const Notification = mongoose.model('Notification', notificationSchema);
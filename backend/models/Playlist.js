@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Playlist Schema: playlists Moodi-Fi created in a user's Spotify library
+const playlistSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    spotifyPlaylistId: { type: String, required: true },
+    name: { type: String, required: true },
+    description: { type: String },
+    public: { type: Boolean, default: false },
+    source: { type: String, enum: ['top-tracks', 'mood', 'blend'], default: 'top-tracks' },
+    mood: { type: String },
+    trackCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+playlistSchema.index({ userId: 1, spotifyPlaylistId: 1 }, { unique: true });
+playlistSchema.index({ userId: 1, updatedAt: -1 });
+
+export const Playlist = mongoose.model('Playlist', playlistSchema);
@@ -0,0 +1,11 @@
+import mongoose from 'mongoose';
+
+// Rate Limit Counter Schema: requests from one client in the current window of one rate limiter,
+// see middleware/rateLimits.js
+const rateLimitCounterSchema = new mongoose.Schema({
+    _id: { type: String }, // "<limiter>:<client key>"
+    hits: { type: Number, required: true },
+    resetAt: { type: Date, required: true, expires: 0 } // auto-deleted once the window is over
+}, { versionKey: false });
+
+export const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+
+// Refresh Token Schema: one rotating refresh token. Only a hash of the token is stored.
+const refreshTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true }, // every token rotated from the same login
+    expiresAt: { type: Date, required: true, expires: 0 }, // auto-deleted once expired
+    revokedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+export const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,10 +1,74 @@
 import mongoose from 'mongoose';
 
+// Track a summary was generated from, kept so summaries can be compared later
+const summaryInputTrackSchema = new mongoose.Schema({
+    id: { type: String },
+    name: { type: String },
+    artists: [{ type: String }],
+    album: { type: String },
+    popularity: { type: Number },
+    releaseYear: { type: Number },
+    durationMs: { type: Number }
+}, { _id: false });
+
+// Artist a summary was generated from
+const summaryInputArtistSchema = new mongoose.Schema({
+    id: { type: String },
+    name: { type: String },
+    genres: [{ type: String }],
+    popularity: { type: Number }
+}, { _id: false });
+
+// Artist named in a summary, with the model's reason
+const summaryArtistSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    reason: { type: String }
+}, { _id: false });
+
+// Structured summary content, validated before it is saved
+const summaryInsightsSchema = new mongoose.Schema({
+    headline: { type: String, required: true },
+    topArtists: [summaryArtistSchema],
+    genres: [{ type: String }],
+    moods: [{ type: String }],
+    funFacts: [{ type: String }],
+    recommendedArtists: [summaryArtistSchema]
+}, { _id: false });
+
 // Summary Schema
 const summarySchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    summaryText: { type: String, required: true },
+    timeRange: {
+        type: String,
+        enum: ['short_term', 'medium_term', 'long_term'],
+        default: 'medium_term'
+    },
+    style: { type: String, default: 'standard' }, // prompt template, see services/summaryStyles.js
+    language: { type: String, default: 'en' }, // BCP 47 tag of the output language
+    inputFingerprint: { type: String, required: true }, // sha256 of the ordered input track and artist ids
+    inputs: {
+        tracks: [summaryInputTrackSchema],
+        artists: [summaryInputArtistSchema],
+        features: { type: Object } // compact feature set sent to the model
+    },
+    summaryText: { type: String, required: true }, // plain text; rendered from insights when present
+    insights: { type: summaryInsightsSchema }, // missing on summaries generated before structured output
+    audio: {
+        fileName: { type: String }, // stored under the audio storage directory
+        mimeType: { type: String },
+        provider: { type: String },
+        createdAt: { type: Date }
+    },
+    share: {
+        token: { type: String }, // public link token; kept so the owner can copy the link again
+        createdAt: { type: Date }
+    },
     createdAt: { type: Date, default: Date.now }
 });
 
-export const Summary = mongoose.model('Summary', summarySchema);
\ No newline at end of file
+// Cache lookups are per user, time range, style and language; history listings are newest first
+summarySchema.index({ userId: 1, timeRange: 1, style: 1, language: 1, inputFingerprint: 1, createdAt: -1 });
+summarySchema.index({ userId: 1, createdAt: -1 });
+summarySchema.index({ 'share.token': 1 }, { unique: true, sparse: true });
+
+export const Summary = mongoose.model('Summary', summarySchema);
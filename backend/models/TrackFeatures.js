@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Track Features Schema: cached mood attributes for a Spotify track
+const trackFeaturesSchema = new mongoose.Schema({
+    trackId: { type: String, required: true, unique: true },
+    energy: { type: Number, min: 0, max: 1 },
+    valence: { type: Number, min: 0, max: 1 }, // musical positiveness
+    tempo: { type: Number }, // beats per minute
+    danceability: { type: Number, min: 0, max: 1 },
+    acousticness: { type: Number, min: 0, max: 1 },
+    mood: { type: String },
+    source: { type: String, enum: ['spotify', 'llm', 'genre'], required: true }, // how the values were obtained
+    expiresAt: { type: Date, expires: 0 } // genre guesses only, so the track is estimated again later
+}, { timestamps: true });
+
+export const TrackFeatures = mongoose.model('TrackFeatures', trackFeaturesSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Usage Record Schema: one user's AI and playlist usage for one UTC day, see services/usage.js
+const usageRecordSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    day: { type: String, required: true }, // UTC date, YYYY-MM-DD
+    llm: {
+        calls: { type: Number, default: 0 },
+        inputTokens: { type: Number, default: 0 },
+        outputTokens: { type: Number, default: 0 },
+        totalTokens: { type: Number, default: 0 },
+        costUsd: { type: Number, default: 0 }, // estimated from the model's list price
+        tasks: { type: Object } // total tokens per task, e.g. { summary: 1800, 'track-features': 950 }
+    },
+    playlistsCreated: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now, expires: '90d' } // auto-deleted after 90 days
+});
+
+usageRecordSchema.index({ userId: 1, day: -1 }, { unique: true });
+
+export const UsageRecord = mongoose.model('UsageRecord', usageRecordSchema);
@@ -1,14 +1,25 @@
 import mongoose from 'mongoose';
+import { encryptToken, decryptToken } from '../utils/tokenCrypto.js';
+
+// Spotify tokens are encrypted at rest; reading the field through a document decrypts it
+const encryptedToken = { type: String, required: true, set: encryptToken, get: decryptToken };
 
 // User Schema
 const UserSchema = new mongoose.Schema({
     spotifyId: { type: String, required: true, unique: true },
-    accessToken: { type: String, required: true },
-    refreshToken: { type: String, required: true },
+    accessToken: encryptedToken,
+    refreshToken: encryptedToken,
     tokenExpiration: { type: Date },
     profile: { type: Object },
     email: { type: String },
-    displayName: { type: String }
+    displayName: { type: String },
+    lastActiveAt: { type: Date }, // last authenticated request, used to pick users for background jobs
+    recentlyPlayedCursor: { type: Date }, // played_at of the newest ingested play
+    digest: {
+        enabled: { type: Boolean, default: false }, // opted in to the weekly digest
+        dayOfWeek: { type: Number, min: 0, max: 6, default: 1 }, // 0 = Sunday, in the server's time zone
+        lastSentAt: { type: Date }
+    }
 })
 
 export const User = mongoose.model('User', UserSchema);
@@ -0,0 +1,77 @@
+// backend/routes/health.js
+// Liveness and readiness probes. Live means the process is serving requests. Ready means MongoDB
+// answers; the LLM and speech providers are checked too, but the app runs without them (AI
+// features answer 503), so a provider being down only marks the instance degraded.
+import express from 'express';
+import mongoose from 'mongoose';
+import { redactText } from '../utils/logger.js';
+
+const CHECK_TIMEOUT_MS = 5000;
+// Provider checks call external APIs, so probes reuse a recent result
+const PROVIDER_CHECK_TTL_MS = 60 * 1000;
+
+const withTimeout = (promise, what) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} check timed out`)), CHECK_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run a check, reporting whether it passed and how long it took
+const runCheck = async (what, check) => {
+    const started = Date.now();
+    try {
+        await withTimeout(check(), what);
+        return { status: 'up', latencyMs: Date.now() - started };
+    } catch (error) {
+        return { status: 'down', latencyMs: Date.now() - started, error: redactText(error.message) };
+    }
+};
+
+// A check whose result is reused for PROVIDER_CHECK_TTL_MS, with concurrent probes sharing one run
+const cachedCheck = (what, check) => {
+    let last = null;
+    return () => {
+        if (!last || Date.now() - last.at > PROVIDER_CHECK_TTL_MS) {
+            last = { at: Date.now(), result: runCheck(what, check) };
+        }
+        return last.result;
+    };
+};
+
+const checkMongo = () => runCheck('MongoDB', async () => {
+    if (mongoose.connection.readyState !== 1) {
+        throw new Error('Not connected');
+    }
+    await mongoose.connection.db.admin().ping();
+});
+
+export const createHealthRouter = ({ llm, ttsProvider }) => {
+    const router = express.Router();
+    const checkLlm = cachedCheck('LLM provider', () => llm.check());
+    const checkTts = cachedCheck('Speech provider', () => ttsProvider.check());
+
+    router.get('/live', (req, res) => {
+        res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    router.get('/ready', async (req, res) => {
+        const [mongodb, llmCheck, ttsCheck] = await Promise.all([checkMongo(), checkLlm(), checkTts()]);
+        const checks = {
+            mongodb,
+            llm: { provider: llm.name, model: llm.model, ...llmCheck },
+            tts: { provider: ttsProvider.name, ...ttsCheck }
+        };
+
+        let status = 'ready';
+        if (mongodb.status !== 'up') {
+            status = 'not_ready';
+        } else if (llmCheck.status !== 'up' || ttsCheck.status !== 'up') {
+            status = 'degraded';
+        }
+        res.status(status === 'not_ready' ? 503 : 200).json({ status, checks });
+    });
+
+    return router;
+};
@@ -0,0 +1,73 @@
+// backend/routes/legacy.js
+// The unversioned paths from before /api/v1, kept as deprecated aliases until LEGACY_API_SUNSET.
+// Requests are rewritten to their /api/v1 path and answered by the same handlers, with
+// Deprecation, Sunset and Link headers pointing clients at the replacement.
+import express from 'express';
+import { API_V1_PREFIX } from './v1/index.js';
+
+export const LEGACY_API_SUNSET = new Date('2027-01-31T00:00:00Z');
+
+// [method, old path, path under /api/v1]
+const LEGACY_ROUTES = [
+    ['get', '/api/me', '/me'],
+    ['post', '/api/auth/refresh', '/auth/refresh'],
+    ['post', '/api/logout', '/auth/logout'],
+    ['get', '/api/listening-data', '/listening/top-tracks'],
+    ['get', '/api/top-artists', '/listening/top-artists'],
+    ['get', '/api/stats/overview', '/listening/stats/overview'],
+    ['get', '/api/stats/habits', '/listening/stats/habits'],
+    ['get', '/api/stats/weekly', '/listening/stats/weekly'],
+    ['get', '/api/stats/discovery', '/listening/stats/discovery'],
+    ['get', '/api/mood/timeline', '/listening/mood-timeline'],
+    ['get', '/api/summary-styles', '/summaries/styles'],
+    ['post', '/api/gemini-2.0-flash-exp', '/summaries'],
+    ['post', '/api/summaries/stream', '/summaries/stream'],
+    ['get', '/api/summaries', '/summaries'],
+    ['get', '/api/summaries/:id', '/summaries/:id'],
+    ['post', '/api/summaries/:id/audio', '/summaries/:id/audio'],
+    ['get', '/api/summaries/:id/audio', '/summaries/:id/audio'],
+    ['post', '/api/summaries/:id/share', '/summaries/:id/share'],
+    ['delete', '/api/summaries/:id/share', '/summaries/:id/share'],
+    ['get', '/api/now-playing', '/now-playing'],
+    ['get', '/api/now-playing/stream', '/now-playing/stream'],
+    ['post', '/api/generate-playlist', '/playlists'],
+    ['get', '/api/playlists', '/playlists'],
+    ['delete', '/api/playlists/:id', '/playlists/:id'],
+    ['post', '/api/mood-playlist/preview', '/playlists/mood/preview'],
+    ['post', '/api/mood-playlist', '/playlists/mood'],
+    ['post', '/api/blends/invites', '/blends/invites'],
+    ['get', '/api/blends/invites/:code', '/blends/invites/:code'],
+    ['post', '/api/blends/invites/:code/accept', '/blends/invites/:code/accept'],
+    ['post', '/api/blends/invites/:code/decline', '/blends/invites/:code/decline'],
+    ['get', '/api/blends', '/blends'],
+    ['post', '/api/blends/:id/playlist', '/blends/:id/playlist'],
+    ['delete', '/api/blends/:id', '/blends/:id'],
+    ['get', '/api/settings/digest', '/settings/digest'],
+    ['put', '/api/settings/digest', '/settings/digest'],
+    ['get', '/api/notifications', '/notifications'],
+    ['post', '/api/notifications/:id/read', '/notifications/:id/read'],
+    ['get', '/api/account/export', '/account/export'],
+    ['delete', '/api/account', '/account']
+];
+
+// Fill the old path's parameters into the new path
+const toV1Path = (path, params) => `${API_V1_PREFIX}${path.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name]))}`;
+
+// Mount before the /api/v1 router: matching requests continue to it with the rewritten URL
+export const createLegacyApiRouter = () => {
+    const router = express.Router();
+    LEGACY_ROUTES.forEach(([method, legacyPath, path]) => {
+        router[method](legacyPath, (req, res, next) => {
+            const successor = toV1Path(path, req.params);
+            res.set({
+                'Deprecation': 'true',
+                'Sunset': LEGACY_API_SUNSET.toUTCString(),
+                'Link': `<${process.env.API_BASE_URL}${successor}>; rel="successor-version"`
+            });
+            const queryStart = req.url.indexOf('?');
+            req.url = successor + (queryStart === -1 ? '' : req.url.slice(queryStart));
+            next();
+        });
+    });
+    return router;
+};
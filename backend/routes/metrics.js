@@ -0,0 +1,32 @@
+// backend/routes/metrics.js
+// Prometheus scrape endpoint. When METRICS_TOKEN is set, scrapers must send it as a bearer token.
+import crypto from 'crypto';
+import express from 'express';
+import { renderMetrics, METRICS_CONTENT_TYPE } from '../utils/metrics.js';
+import { logger } from '../utils/logger.js';
+
+const tokenMatches = (header, token) => {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(header || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+export const createMetricsRouter = () => {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        const token = process.env.METRICS_TOKEN;
+        if (token && !tokenMatches(req.get('Authorization'), token)) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: 'A valid metrics token is required' });
+        }
+        try {
+            res.set('Content-Type', METRICS_CONTENT_TYPE).send(await renderMetrics());
+        } catch (error) {
+            logger.error('Failed to collect metrics', { error });
+            res.status(500).json({ error: 'Failed to collect metrics' });
+        }
+    });
+
+    return router;
+};
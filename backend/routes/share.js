@@ -0,0 +1,72 @@
+// backend/routes/share.js
+// Public pages and card images of shared summaries: anyone with the link can view them,
+// without logging in.
+import express from 'express';
+import { Summary } from '../models/Summary.js';
+import { User } from '../models/User.js';
+import { shareUrl } from '../services/summaries.js';
+import { renderSummaryCard, renderSharePage, rasterizeCard, isRasterizerAvailable } from '../services/summaryCard.js';
+import { logger } from '../utils/logger.js';
+
+const SHARE_NOT_FOUND = 'This summary is no longer shared.';
+
+const findSharedSummary = async (token) => {
+    if (!/^[\w-]{32}$/.test(token)) {
+        return null;
+    }
+    const summary = await Summary.findOne({ 'share.token': token });
+    if (!summary) {
+        return null;
+    }
+    const owner = await User.findById(summary.userId).select('displayName');
+    return { summary, displayName: owner ? owner.displayName : null };
+};
+
+export const createShareRouter = ({ frontendUrl }) => {
+    const router = express.Router();
+
+    router.get('/:token', async (req, res) => {
+        try {
+            const shared = await findSharedSummary(req.params.token);
+            if (!shared) {
+                return res.status(404).type('text/plain').send(SHARE_NOT_FOUND);
+            }
+            const urls = {
+                page: shareUrl(req.params.token),
+                image: shareUrl(req.params.token, await isRasterizerAvailable() ? 'card.png' : 'card.svg'),
+                app: frontendUrl
+            };
+            res.set({ 'Cache-Control': 'no-cache', 'X-Robots-Tag': 'noindex' });
+            res.type('html').send(renderSharePage(shared.summary, { displayName: shared.displayName, urls }));
+        } catch (error) {
+            logger.error('Failed to render shared summary', { error });
+            res.status(500).type('text/plain').send('Failed to load summary');
+        }
+    });
+
+    router.get('/:token/card.:format(svg|png)', async (req, res) => {
+        try {
+            const shared = await findSharedSummary(req.params.token);
+            if (!shared) {
+                return res.status(404).type('text/plain').send(SHARE_NOT_FOUND);
+            }
+            const svg = renderSummaryCard(shared.summary, { displayName: shared.displayName });
+            // Short cache lifetime so a revoked card stops being served soon after
+            res.set({ 'Cache-Control': 'public, max-age=300', 'X-Robots-Tag': 'noindex' });
+            if (req.params.format === 'svg') {
+                return res.type('image/svg+xml').send(svg);
+            }
+
+            const png = await rasterizeCard(svg);
+            if (!png) {
+                return res.status(404).type('text/plain').send('PNG cards are not available on this server.');
+            }
+            res.type('image/png').send(png);
+        } catch (error) {
+            logger.error('Failed to render summary card', { error });
+            res.status(500).type('text/plain').send('Failed to render card');
+        }
+    });
+
+    return router;
+};
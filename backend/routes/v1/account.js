@@ -0,0 +1,73 @@
+// backend/routes/v1/account.js
+// Exporting and deleting everything stored about the user.
+import { createApiRouter } from '../../api/router.js';
+import { ACCESS_COOKIE, clearSessionCookies, blacklistAccessToken } from '../../services/authTokens.js';
+import { collectUserData, writeExportZip, deleteUserData, SPOTIFY_APPS_URL } from '../../services/accountData.js';
+import { logger } from '../../utils/logger.js';
+
+export const createAccountApi = () => {
+    const api = createApiRouter('Account');
+
+    // Download everything stored about the user as JSON or a ZIP archive
+    api.get('/export', {
+        summary: 'Export account data',
+        query: {
+            type: 'object',
+            properties: { format: { type: 'string', enum: ['json', 'zip'], default: 'json' } }
+        },
+        responses: {
+            200: { description: 'Everything stored about the user, as a download', content: 'application/octet-stream' }
+        }
+    }, async (req, res) => {
+        const { format } = req.query;
+        try {
+            const data = await collectUserData(req.user._id);
+            const fileName = `moodi-fi-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+            res.setHeader('Cache-Control', 'no-store');
+
+            if (format === 'json') {
+                return res.json(data);
+            }
+            res.setHeader('Content-Type', 'application/zip');
+            await writeExportZip(data, res);
+        } catch (error) {
+            logger.error('Account export failed', { error });
+            if (res.headersSent) {
+                return res.destroy(error);
+            }
+            res.status(500).json({ error: 'Failed to export account data' });
+        }
+    });
+
+    // Delete the account and all of its data
+    api.delete('/', {
+        summary: 'Delete the account',
+        description: 'Deletes the user and all of their data and ends the session. Spotify\'s grant can only be '
+            + 'removed by the user, at the returned spotifyAppsUrl.',
+        body: {
+            type: 'object',
+            properties: { confirm: { type: 'string', enum: ['DELETE'], description: 'Must be DELETE' } },
+            required: ['confirm']
+        },
+        responses: { 200: 'What was deleted, and where to remove Moodi-Fi\'s Spotify access' }
+    }, async (req, res) => {
+        try {
+            const deleted = await deleteUserData(req.user._id);
+            await blacklistAccessToken(req.cookies[ACCESS_COOKIE]);
+            clearSessionCookies(res);
+            logger.info('Account deleted');
+            res.json({
+                message: 'Your account and data have been deleted.',
+                deleted,
+                // Stored Spotify tokens are gone; the grant itself can only be removed by the user
+                spotifyAppsUrl: SPOTIFY_APPS_URL
+            });
+        } catch (error) {
+            logger.error('Account deletion failed', { error });
+            res.status(500).json({ error: 'Failed to delete account' });
+        }
+    });
+
+    return api;
+};
@@ -0,0 +1,165 @@
+// backend/routes/v1/blends.js
+// Taste comparisons between two users, started from an invite link.
+import { createApiRouter } from '../../api/router.js';
+import { idParams, playlistOptionsProperties } from '../../api/schemas.js';
+import { User } from '../../models/User.js';
+import { Blend } from '../../models/Blend.js';
+import {
+    createInvite,
+    findInvite,
+    acceptInvite,
+    declineInvite,
+    findUserBlend,
+    interleaveTracks,
+    formatBlend,
+    loadPartners
+} from '../../services/blend.js';
+import { parsePlaylistOptions, savePlaylist, formatPlaylist } from '../../services/playlists.js';
+import { playlistRateLimiter } from '../../middleware/rateLimits.js';
+import { sendError } from '../../utils/httpErrors.js';
+import { logger } from '../../utils/logger.js';
+
+const inviteParams = {
+    type: 'object',
+    properties: { code: { type: 'string', minLength: 1, maxLength: 64, description: 'Code from the invite link' } },
+    required: ['code']
+};
+const blendParams = idParams('Blend id');
+
+const inviteNotFound = { 404: 'The invite doesn\'t exist', 410: 'The invite has expired or was already used' };
+const blendNotFound = { 404: 'The blend doesn\'t exist or the user isn\'t part of it' };
+
+export const createBlendsApi = ({ frontendUrl }) => {
+    const api = createApiRouter('Blends');
+
+    // Create an invite link for comparing tastes with a friend
+    api.post('/invites', {
+        summary: 'Invite a friend to compare tastes',
+        responses: { 201: 'The invite link and when it expires', 429: 'Too many open invites' }
+    }, async (req, res) => {
+        try {
+            const { code, blend } = await createInvite(req.user._id);
+            res.status(201).json({
+                id: blend._id,
+                inviteUrl: `${frontendUrl}/?blend=${code}`,
+                expiresAt: blend.expiresAt
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to create invite');
+        }
+    });
+
+    // Who sent an invite, so the invitee can decide whether to accept it
+    api.get('/invites/:code', {
+        summary: 'Who sent an invite',
+        params: inviteParams,
+        responses: { 200: 'The inviter\'s name, whether the invite is the user\'s own, and when it expires', ...inviteNotFound }
+    }, async (req, res) => {
+        try {
+            const invite = await findInvite(req.params.code);
+            const inviter = await User.findById(invite.inviterId).select('displayName');
+            res.json({
+                inviter: { displayName: inviter && inviter.displayName ? inviter.displayName : 'A Spotify listener' },
+                ownInvite: invite.inviterId.equals(req.user._id),
+                expiresAt: invite.expiresAt
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch invite');
+        }
+    });
+
+    // Accepting is the invitee's consent to compare; the inviter consented by creating the invite
+    api.post('/invites/:code/accept', {
+        summary: 'Accept an invite',
+        description: 'Compares both users\' top artists, tracks and genres and stores the result for both of them.',
+        params: inviteParams,
+        responses: { 200: 'The blend, with match score and shared favourites', ...inviteNotFound }
+    }, async (req, res) => {
+        try {
+            const blend = await acceptInvite(req.params.code, req.user, req.spotify);
+            res.json(formatBlend(blend, req.user._id, await loadPartners([blend], req.user._id)));
+        } catch (error) {
+            sendError(res, error, 'Failed to accept invite');
+        }
+    });
+
+    api.post('/invites/:code/decline', {
+        summary: 'Decline an invite',
+        params: inviteParams,
+        responses: { 200: 'The invite was declined', ...inviteNotFound }
+    }, async (req, res) => {
+        try {
+            await declineInvite(req.params.code, req.user);
+            res.json({ message: 'Invite declined.' });
+        } catch (error) {
+            sendError(res, error, 'Failed to decline invite');
+        }
+    });
+
+    // Open invites and accepted blends the user takes part in, newest first
+    api.get('/', {
+        summary: 'Blends and open invites',
+        responses: { 200: 'The user\'s open invites and accepted blends, newest first' }
+    }, async (req, res) => {
+        try {
+            const userId = req.user._id;
+            const now = new Date();
+            const blends = (await Blend
+                .find({ $or: [{ inviterId: userId }, { inviteeId: userId }], status: { $in: ['pending', 'accepted'] } })
+                .sort({ createdAt: -1 }))
+                .filter((blend) => blend.status === 'accepted' || (blend.inviterId.equals(userId) && blend.expiresAt > now));
+            const partners = await loadPartners(blends, userId);
+            res.json({ items: blends.map((blend) => formatBlend(blend, userId, partners)) });
+        } catch (error) {
+            logger.error('Failed to list blends', { error });
+            res.status(500).json({ error: 'Failed to list blends' });
+        }
+    });
+
+    // Create a playlist in the requesting user's library that alternates both users' top tracks
+    api.post('/:id/playlist', {
+        summary: 'Create a playlist from a blend',
+        description: 'Saves a playlist to the requesting user\'s library that alternates both users\' top tracks.',
+        params: blendParams,
+        body: { type: 'object', properties: playlistOptionsProperties },
+        responses: {
+            200: { description: 'The saved playlist', schema: 'Playlist' },
+            409: 'The invite hasn\'t been accepted yet',
+            ...blendNotFound
+        }
+    }, playlistRateLimiter, async (req, res) => {
+        try {
+            const blend = await findUserBlend(req.params.id, req.user._id);
+            if (blend.status !== 'accepted') {
+                return res.status(409).json({ error: 'The invite hasn\'t been accepted yet' });
+            }
+            const partner = formatBlend(blend, req.user._id, await loadPartners([blend], req.user._id)).partner;
+            const options = parsePlaylistOptions(req.body, {
+                name: `Moodi-Fi Blend with ${partner ? partner.displayName : 'a friend'}`,
+                description: 'Top tracks from both of you, taking turns.'
+            });
+            const playlist = await savePlaylist(req.spotify, req.user._id, options, interleaveTracks(blend), { source: 'blend' });
+            res.json(formatPlaylist(playlist));
+        } catch (error) {
+            sendError(res, error, 'Failed to create blend playlist');
+        }
+    });
+
+    // Either participant can delete a blend (or cancel an invite), removing both users' stored tastes
+    api.delete('/:id', {
+        summary: 'Delete a blend or cancel an invite',
+        description: 'Either participant can delete a blend; it is removed for both.',
+        params: blendParams,
+        responses: { 200: 'The blend was deleted', ...blendNotFound }
+    }, async (req, res) => {
+        try {
+            const blend = await findUserBlend(req.params.id, req.user._id);
+            await blend.deleteOne();
+            res.json({ message: 'Blend deleted.' });
+        } catch (error) {
+            sendError(res, error, 'Failed to delete blend');
+        }
+    });
+
+    return api;
+};
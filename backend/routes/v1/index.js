@@ -0,0 +1,47 @@
+// backend/routes/v1/index.js
+// The versioned REST API under /api/v1, and its OpenAPI document at /api/v1/openapi.json.
+import express from 'express';
+import { buildOpenApiDocument } from '../../api/openapi.js';
+import { handleApiError } from '../../utils/httpErrors.js';
+import { createSessionApi } from './session.js';
+import { createListeningApi } from './listening.js';
+import { createSummariesApi } from './summaries.js';
+import { createNowPlayingApi } from './nowPlaying.js';
+import { createPlaylistsApi } from './playlists.js';
+import { createBlendsApi } from './blends.js';
+import { createSettingsApi } from './settings.js';
+import { createNotificationsApi } from './notifications.js';
+import { createAccountApi } from './account.js';
+import { createUsageApi } from './usage.js';
+
+export const API_V1_PREFIX = '/api/v1';
+
+// deps: { llm, ttsProvider, frontendUrl }
+export const createApiV1Router = (deps) => {
+    const apis = [
+        { prefix: '', api: createSessionApi() },
+        { prefix: '/listening', api: createListeningApi(deps) },
+        { prefix: '/summaries', api: createSummariesApi(deps) },
+        { prefix: '/now-playing', api: createNowPlayingApi(deps) },
+        { prefix: '/playlists', api: createPlaylistsApi(deps) },
+        { prefix: '/blends', api: createBlendsApi(deps) },
+        { prefix: '/settings', api: createSettingsApi() },
+        { prefix: '/notifications', api: createNotificationsApi() },
+        { prefix: '/account', api: createAccountApi() },
+        { prefix: '/usage', api: createUsageApi() }
+    ];
+
+    const router = express.Router();
+    let openApiDocument;
+    router.get('/openapi.json', (req, res) => {
+        // Built on first request, once API_BASE_URL is known
+        openApiDocument = openApiDocument
+            || buildOpenApiDocument(apis, { serverUrl: `${process.env.API_BASE_URL}${API_V1_PREFIX}` });
+        res.json(openApiDocument);
+    });
+    apis.forEach(({ prefix, api }) => router.use(prefix || '/', api.router));
+
+    router.use((req, res) => res.status(404).json({ error: 'Not found', code: 'not_found' }));
+    router.use(handleApiError);
+    return router;
+};
@@ -0,0 +1,136 @@
+// backend/routes/v1/listening.js
+// Top tracks and artists from Spotify, and statistics over the stored listening history.
+import { createApiRouter } from '../../api/router.js';
+import { topItemsQuery, statsRangeProperties, timeRange } from '../../api/schemas.js';
+import { fetchTopItems, TOP_ITEMS_MAX_LIMIT } from '../../services/topItems.js';
+import {
+    parseStatsRange,
+    getOverview,
+    getHabits,
+    getWeeklyTop,
+    getDiscovery
+} from '../../services/listeningStats.js';
+import { getTopTracksMood, getHistoryMood } from '../../services/trackMood.js';
+import { meterLlm } from '../../services/usage.js';
+import { sendError } from '../../utils/httpErrors.js';
+
+const statsQuery = { type: 'object', properties: statsRangeProperties };
+
+// Only the validated paging parameters are passed on to Spotify
+const topItemsParams = ({ time_range: range, limit, offset }) => ({ time_range: range, limit, offset });
+
+export const createListeningApi = ({ llm }) => {
+    const api = createApiRouter('Listening');
+
+    api.get('/top-tracks', {
+        summary: 'Top tracks',
+        query: topItemsQuery(),
+        responses: { 200: 'A Spotify paging object of tracks' }
+    }, async (req, res) => {
+        try {
+            const topTracks = await fetchTopItems(req.spotify, 'tracks', topItemsParams(req.query));
+            res.json(topTracks);
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch listening data');
+        }
+    });
+
+    // Top artists, including their genres
+    api.get('/top-artists', {
+        summary: 'Top artists',
+        query: topItemsQuery(),
+        responses: { 200: 'A Spotify paging object of artists, including their genres' }
+    }, async (req, res) => {
+        try {
+            const topArtists = await fetchTopItems(req.spotify, 'artists', topItemsParams(req.query));
+            res.json(topArtists);
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch top artists');
+        }
+    });
+
+    // Listening statistics over the stored play history
+    api.get('/stats/overview', {
+        summary: 'Listening time, play counts and artist diversity',
+        query: statsQuery
+    }, async (req, res) => {
+        try {
+            res.json(await getOverview(req.user._id, parseStatsRange(req.query)));
+        } catch (error) {
+            sendError(res, error, 'Failed to compute listening overview');
+        }
+    });
+
+    api.get('/stats/habits', {
+        summary: 'Plays and minutes by hour of day and day of week',
+        query: statsQuery
+    }, async (req, res) => {
+        try {
+            res.json(await getHabits(req.user._id, parseStatsRange(req.query)));
+        } catch (error) {
+            sendError(res, error, 'Failed to compute listening habits');
+        }
+    });
+
+    api.get('/stats/weekly', {
+        summary: 'Top artists, tracks and genres for each week',
+        query: {
+            type: 'object',
+            properties: { ...statsRangeProperties, limit: { type: 'integer', minimum: 1, maximum: 50, default: 5 } }
+        }
+    }, async (req, res) => {
+        try {
+            res.json(await getWeeklyTop(req.user._id, parseStatsRange(req.query), req.query.limit));
+        } catch (error) {
+            sendError(res, error, 'Failed to compute weekly top lists');
+        }
+    });
+
+    api.get('/stats/discovery', {
+        summary: 'Artists heard, and heard for the first time, per week',
+        query: statsQuery
+    }, async (req, res) => {
+        try {
+            res.json(await getDiscovery(req.user._id, parseStatsRange(req.query)));
+        } catch (error) {
+            sendError(res, error, 'Failed to compute artist discovery');
+        }
+    });
+
+    // Mood curve over the current top tracks (source=top) or the stored listening history (source=history)
+    api.get('/mood-timeline', {
+        summary: 'Mood over the top tracks or the listening history',
+        description: 'time_range, limit and offset apply to source=top; from, to and timezone to source=history.',
+        query: {
+            type: 'object',
+            properties: {
+                source: { type: 'string', enum: ['top', 'history'], default: 'top' },
+                bucket: { type: 'string', enum: ['day', 'week'], default: 'day', description: 'Grouping of history points' },
+                time_range: timeRange,
+                limit: { type: 'integer', minimum: 1, maximum: TOP_ITEMS_MAX_LIMIT, default: TOP_ITEMS_MAX_LIMIT },
+                offset: { type: 'integer', minimum: 0, default: 0 },
+                ...statsRangeProperties
+            }
+        }
+    }, async (req, res) => {
+        const { source, bucket, time_range: range, limit, offset } = req.query;
+        try {
+            if (source === 'history') {
+                const statsRange = parseStatsRange(req.query);
+                const points = await getHistoryMood(req.spotify, meterLlm(llm, req.user._id), req.user._id, statsRange, bucket);
+                return res.json({ source, bucket, from: statsRange.from, to: statsRange.to, points });
+            }
+
+            const [topTracks, topArtists] = await Promise.all([
+                fetchTopItems(req.spotify, 'tracks', { time_range: range, limit, offset }),
+                fetchTopItems(req.spotify, 'artists', { time_range: range, limit: TOP_ITEMS_MAX_LIMIT })
+            ]);
+            const points = await getTopTracksMood(req.spotify, meterLlm(llm, req.user._id), topTracks.items, topArtists.items);
+            res.json({ source, timeRange: range, points });
+        } catch (error) {
+            sendError(res, error, 'Failed to build mood timeline');
+        }
+    });
+
+    return api;
+};
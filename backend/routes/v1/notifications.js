@@ -0,0 +1,60 @@
+// backend/routes/v1/notifications.js
+// The in-app inbox.
+import { createApiRouter } from '../../api/router.js';
+import { idParams } from '../../api/schemas.js';
+import { Notification } from '../../models/Notification.js';
+import { sendError } from '../../utils/httpErrors.js';
+
+// Shape a Notification document for API responses
+const formatNotification = (notification) => ({
+    id: notification._id,
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    read: Boolean(notification.readAt),
+    emailed: Boolean(notification.emailedAt),
+    createdAt: notification.createdAt
+});
+
+export const createNotificationsApi = () => {
+    const api = createApiRouter('Notifications');
+
+    // In-app inbox, newest first
+    api.get('/', {
+        summary: 'Notifications',
+        responses: { 200: 'The latest 50 notifications, newest first, and the number unread' }
+    }, async (req, res) => {
+        try {
+            const filter = { userId: req.user._id };
+            const [notifications, unreadCount] = await Promise.all([
+                Notification.find(filter).sort({ createdAt: -1 }).limit(50),
+                Notification.countDocuments({ ...filter, readAt: null })
+            ]);
+            res.json({ items: notifications.map(formatNotification), unreadCount });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch notifications');
+        }
+    });
+
+    api.post('/:id/read', {
+        summary: 'Mark a notification as read',
+        params: idParams('Notification id'),
+        responses: { 200: 'The updated notification', 404: 'The notification doesn\'t exist' }
+    }, async (req, res) => {
+        try {
+            const notification = await Notification.findOneAndUpdate(
+                { _id: req.params.id, userId: req.user._id },
+                { $set: { readAt: new Date() } },
+                { new: true }
+            );
+            if (!notification) {
+                return res.status(404).json({ error: 'Notification not found' });
+            }
+            res.json(formatNotification(notification));
+        } catch (error) {
+            sendError(res, error, 'Failed to update notification');
+        }
+    });
+
+    return api;
+};
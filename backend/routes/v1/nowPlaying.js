@@ -0,0 +1,93 @@
+// backend/routes/v1/nowPlaying.js
+// What the user is playing on Spotify right now, as a snapshot or a change stream.
+import { createApiRouter } from '../../api/router.js';
+import { getNowPlaying, nowPlayingChanged, NOW_PLAYING_CACHE_MS } from '../../services/nowPlaying.js';
+import { SpotifyApiError, SpotifyAuthError, SpotifyRateLimitError } from '../../services/spotifyClient.js';
+import { meterLlm } from '../../services/usage.js';
+import { sendError } from '../../utils/httpErrors.js';
+import { logger } from '../../utils/logger.js';
+import { openEventStream, sendEvent } from '../../utils/sse.js';
+
+const NOW_PLAYING_STREAM_MS = 15 * 60 * 1000; // the access cookie's lifetime
+const NOW_PLAYING_HEARTBEAT_MS = 25 * 1000;
+
+// Spotify answers 403 when the user logged in before the currently-playing scope was requested
+const isMissingScope = (error) => error instanceof SpotifyApiError && error.status === 403;
+const MISSING_SCOPE = { error: 'Log in again to let Moodi-Fi see what you\'re playing', code: 'scope_missing' };
+
+export const createNowPlayingApi = ({ llm }) => {
+    const api = createApiRouter('Now playing');
+
+    // What the user is playing right now (cached for a few seconds)
+    api.get('/', {
+        summary: 'The track playing right now',
+        responses: {
+            200: 'Play state, track, progress and mood; track is null when nothing is playing',
+            403: 'The login predates the currently-playing permission (code scope_missing)'
+        }
+    }, async (req, res) => {
+        try {
+            res.json(await getNowPlaying(req.user, req.spotify, meterLlm(llm, req.user._id)));
+        } catch (error) {
+            if (isMissingScope(error)) {
+                return res.status(403).json(MISSING_SCOPE);
+            }
+            sendError(res, error, 'Failed to fetch what\'s playing');
+        }
+    });
+
+    // Push the current playback as "nowplaying" events whenever the track, play state or position
+    // changes. The stream ends after NOW_PLAYING_STREAM_MS so clients reconnect with a fresh session.
+    api.get('/stream', {
+        summary: 'Changes to the track playing right now',
+        description: 'Server-Sent Events: "nowplaying" with the same state as GET /now-playing whenever the track, '
+            + 'play state or position changes, or "error" before the stream ends. Clients should reconnect when '
+            + 'the stream ends, which it does after 15 minutes.',
+        responses: { 200: { description: 'The event stream', content: 'text/event-stream' } }
+    }, (req, res) => {
+        openEventStream(res);
+
+        const userLlm = meterLlm(llm, req.user._id);
+        let last = null;
+        let pollTimer;
+        // A client that disconnects leaves the response destroyed rather than ended, possibly while a
+        // poll is in flight, so that poll must not schedule the next one
+        let closed = false;
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), NOW_PLAYING_HEARTBEAT_MS);
+        const lifetime = setTimeout(() => res.end(), NOW_PLAYING_STREAM_MS);
+        res.on('close', () => {
+            closed = true;
+            clearTimeout(pollTimer);
+            clearInterval(heartbeat);
+            clearTimeout(lifetime);
+        });
+
+        const poll = async () => {
+            let delay = NOW_PLAYING_CACHE_MS;
+            try {
+                const state = await getNowPlaying(req.user, req.spotify, userLlm);
+                if (closed) return;
+                if (nowPlayingChanged(last, state)) {
+                    sendEvent(res, 'nowplaying', state);
+                    last = state;
+                }
+            } catch (error) {
+                if (closed) return;
+                if (isMissingScope(error) || error instanceof SpotifyAuthError) {
+                    sendEvent(res, 'error', isMissingScope(error) ? MISSING_SCOPE : { error: error.message, code: 'spotify_auth' });
+                    return res.end();
+                }
+                if (error instanceof SpotifyRateLimitError) {
+                    delay = Math.max(delay, error.retryAfter * 1000);
+                }
+                logger.error('Now playing stream failed', { error });
+            }
+            if (!closed && !res.writableEnded) {
+                pollTimer = setTimeout(poll, delay);
+            }
+        };
+        poll();
+    });
+
+    return api;
+};
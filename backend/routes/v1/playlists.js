@@ -0,0 +1,148 @@
+// backend/routes/v1/playlists.js
+// Playlists Moodi-Fi writes to the user's Spotify library: from top tracks or from a mood.
+import { createApiRouter } from '../../api/router.js';
+import { playlistOptionsProperties, trackUris } from '../../api/schemas.js';
+import { Playlist } from '../../models/Playlist.js';
+import { fetchTopItems } from '../../services/topItems.js';
+import { sanitizeMood, suggestMoodTracks, resolveCandidates, MAX_MOOD_LENGTH } from '../../services/moodPlaylist.js';
+import {
+    parsePlaylistOptions,
+    parseTrackUris,
+    savePlaylist,
+    removePlaylist,
+    formatPlaylist
+} from '../../services/playlists.js';
+import { meterLlm } from '../../services/usage.js';
+import { playlistRateLimiter } from '../../middleware/rateLimits.js';
+import { sendError } from '../../utils/httpErrors.js';
+import { logger } from '../../utils/logger.js';
+
+const mood = { type: 'string', minLength: 1, maxLength: MAX_MOOD_LENGTH, description: 'Free-text mood, e.g. rainy sunday morning' };
+const MOOD_REQUIRED = `mood is required and must be at most ${MAX_MOOD_LENGTH} characters`;
+
+const savedPlaylist = {
+    200: { description: 'The saved playlist', schema: 'Playlist' },
+    429: 'Too many playlist requests, today\'s playlist quota is used up, or Spotify is rate limiting'
+};
+
+export const createPlaylistsApi = ({ llm }) => {
+    const api = createApiRouter('Playlists');
+
+    // Create a playlist from the given tracks (usually the user's top tracks)
+    api.post('/', {
+        summary: 'Create or update a playlist',
+        description: 'Creates a playlist of the tracks, or appends them to or replaces the tracks of a playlist Moodi-Fi created.',
+        body: {
+            type: 'object',
+            properties: { trackUris, ...playlistOptionsProperties },
+            required: ['trackUris']
+        },
+        responses: savedPlaylist
+    }, playlistRateLimiter, async (req, res) => {
+        try {
+            const uris = parseTrackUris(req.body.trackUris);
+            const options = parsePlaylistOptions(req.body, { name: 'Your Top Tracks Playlist' });
+            const playlist = await savePlaylist(req.spotify, req.user._id, options, uris, { source: 'top-tracks', mood: undefined });
+            res.json(formatPlaylist(playlist));
+        } catch (error) {
+            sendError(res, error, 'Failed to create playlist');
+        }
+    });
+
+    // List playlists Moodi-Fi created for the user
+    api.get('/', {
+        summary: 'Playlists Moodi-Fi created',
+        responses: { 200: { description: 'Playlists, most recently updated first', schema: { type: 'object', properties: { items: { type: 'array', items: { $ref: '#/components/schemas/Playlist' } } } } } }
+    }, async (req, res) => {
+        try {
+            const playlists = await Playlist.find({ userId: req.user._id }).sort({ updatedAt: -1 });
+            res.json({ items: playlists.map(formatPlaylist) });
+        } catch (error) {
+            logger.error('Failed to list playlists', { error });
+            res.status(500).json({ error: 'Failed to list playlists' });
+        }
+    });
+
+    // Remove a Moodi-Fi playlist from the user's library
+    api.delete('/:id', {
+        summary: 'Remove a playlist',
+        description: 'Unfollows the playlist in Spotify, which removes it from the user\'s library.',
+        params: {
+            type: 'object',
+            properties: { id: { type: 'string', format: 'spotify-id', description: 'Spotify playlist id' } },
+            required: ['id']
+        },
+        responses: { 200: 'The playlist was removed', 404: 'Moodi-Fi didn\'t create this playlist' }
+    }, async (req, res) => {
+        try {
+            await removePlaylist(req.spotify, req.user._id, req.params.id);
+            res.json({ message: 'Playlist removed.' });
+        } catch (error) {
+            sendError(res, error, 'Failed to remove playlist');
+        }
+    });
+
+    // Preview tracks for a free-text mood: model suggestions resolved through Spotify search
+    api.post('/mood/preview', {
+        summary: 'Suggest tracks for a mood',
+        description: 'Asks the AI for tracks that fit the mood, informed by the user\'s top artists, and looks them up in Spotify.',
+        body: { type: 'object', properties: { mood }, required: ['mood'] },
+        responses: {
+            200: 'The mood, the tracks found, and the suggestions that weren\'t',
+            422: 'None of the suggested tracks were found',
+            429: 'Too many playlist requests, or today\'s AI quota is used up',
+            503: 'The AI provider is unavailable'
+        }
+    }, playlistRateLimiter, async (req, res) => {
+        const cleanMood = sanitizeMood(req.body.mood);
+        if (!cleanMood) {
+            return res.status(400).json({ error: MOOD_REQUIRED, code: 'invalid_request' });
+        }
+
+        try {
+            const topArtists = await fetchTopItems(req.spotify, 'artists', { time_range: 'medium_term', limit: 20 });
+            const candidates = await suggestMoodTracks(meterLlm(llm, req.user._id), cleanMood, topArtists.items);
+            const { tracks, unmatched } = await resolveCandidates(req.spotify, candidates);
+            if (tracks.length === 0) {
+                return res.status(422).json({ error: 'No matching tracks found for this mood, try describing it differently' });
+            }
+
+            logger.info('Resolved mood tracks', { resolved: tracks.length, suggested: candidates.length });
+            res.json({ mood: cleanMood, tracks, unmatched });
+        } catch (error) {
+            logger.error('Mood playlist preview failed', { error });
+            sendError(res, error, 'Failed to build mood playlist preview');
+        }
+    });
+
+    // Create a playlist from previewed mood tracks
+    api.post('/mood', {
+        summary: 'Create a playlist for a mood',
+        description: 'Saves tracks from a mood preview as a playlist, named after the mood unless a name is given.',
+        body: {
+            type: 'object',
+            properties: { mood, trackUris, ...playlistOptionsProperties },
+            required: ['mood', 'trackUris']
+        },
+        responses: savedPlaylist
+    }, playlistRateLimiter, async (req, res) => {
+        const cleanMood = sanitizeMood(req.body.mood);
+        if (!cleanMood) {
+            return res.status(400).json({ error: MOOD_REQUIRED, code: 'invalid_request' });
+        }
+
+        try {
+            const uris = parseTrackUris(req.body.trackUris);
+            const options = parsePlaylistOptions(req.body, {
+                name: `Moodi-Fi: ${cleanMood}`,
+                description: `Generated by Moodi-Fi for "${cleanMood}"`
+            });
+            const playlist = await savePlaylist(req.spotify, req.user._id, options, uris, { source: 'mood', mood: cleanMood });
+            res.json(formatPlaylist(playlist));
+        } catch (error) {
+            sendError(res, error, 'Failed to create mood playlist');
+        }
+    });
+
+    return api;
+};
@@ -0,0 +1,78 @@
+// backend/routes/v1/session.js
+// The logged-in user and their session cookies. Logging in itself goes through /auth/spotify.
+import { createApiRouter } from '../../api/router.js';
+import {
+    ACCESS_COOKIE,
+    REFRESH_COOKIE,
+    CSRF_COOKIE,
+    RefreshTokenError,
+    rotateSession,
+    revokeSession,
+    clearSessionCookies,
+    setCsrfCookie,
+    blacklistAccessToken
+} from '../../services/authTokens.js';
+import { sendError } from '../../utils/httpErrors.js';
+import { logger } from '../../utils/logger.js';
+
+export const createSessionApi = () => {
+    const api = createApiRouter('Session');
+
+    // Current user; the frontend uses this to check whether it's logged in
+    api.get('/me', {
+        summary: 'The logged-in user',
+        description: 'Also sets the CSRF cookie if it is missing.',
+        responses: { 200: 'Id, Spotify id, display name, email and profile image of the user' }
+    }, (req, res) => {
+        if (!req.cookies[CSRF_COOKIE]) {
+            setCsrfCookie(res);
+        }
+        const images = req.user.profile && req.user.profile.photos;
+        res.json({
+            id: req.user._id,
+            spotifyId: req.user.spotifyId,
+            displayName: req.user.displayName,
+            email: req.user.email || null,
+            image: images && images.length ? images[0].value || images[0] : null
+        });
+    });
+
+    // Exchange the refresh token cookie for a new session (the refresh token rotates every time)
+    api.post('/auth/refresh', {
+        summary: 'Refresh the session',
+        description: 'Exchanges the refresh token cookie for new session cookies.',
+        public: true,
+        responses: { 200: 'New session cookies are set', 401: 'The refresh token is missing, invalid or revoked' }
+    }, async (req, res) => {
+        try {
+            await rotateSession(res, req.cookies[REFRESH_COOKIE]);
+            res.json({ message: 'Session refreshed.' });
+        } catch (error) {
+            clearSessionCookies(res);
+            if (error instanceof RefreshTokenError) {
+                return res.status(401).json({ error: error.message, code: 'not_authenticated' });
+            }
+            sendError(res, error, 'Failed to refresh session');
+        }
+    });
+
+    // Logout: revoke the access token and the whole refresh token family
+    api.post('/auth/logout', {
+        summary: 'Log out',
+        public: true,
+        responses: { 200: 'The session is revoked and its cookies cleared' }
+    }, async (req, res) => {
+        try {
+            await blacklistAccessToken(req.cookies[ACCESS_COOKIE]);
+            await revokeSession(req.cookies[REFRESH_COOKIE]);
+
+            clearSessionCookies(res);
+            res.json({ message: 'Logged out successfully.' });
+        } catch (error) {
+            logger.error('Logout failed', { error });
+            res.status(500).json({ error: 'Failed to log out' });
+        }
+    });
+
+    return api;
+};
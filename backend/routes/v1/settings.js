@@ -0,0 +1,44 @@
+// backend/routes/v1/settings.js
+// User preferences.
+import { createApiRouter } from '../../api/router.js';
+import { User } from '../../models/User.js';
+import { sendError } from '../../utils/httpErrors.js';
+
+export const createSettingsApi = () => {
+    const api = createApiRouter('Settings');
+
+    // Weekly digest settings
+    api.get('/digest', {
+        summary: 'Weekly digest settings',
+        responses: { 200: 'Whether the digest is on, its day, when it was last sent and the address it goes to' }
+    }, (req, res) => {
+        const { enabled = false, dayOfWeek = 1, lastSentAt = null } = req.user.digest || {};
+        res.json({ enabled, dayOfWeek, lastSentAt, email: req.user.email || null });
+    });
+
+    api.put('/digest', {
+        summary: 'Change weekly digest settings',
+        body: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                dayOfWeek: { type: 'integer', minimum: 0, maximum: 6, description: '0 (Sunday) to 6 (Saturday), in the server\'s time zone' }
+            }
+        },
+        responses: { 200: 'The updated settings' }
+    }, async (req, res) => {
+        const { enabled, dayOfWeek } = req.body;
+        try {
+            const update = {};
+            if (enabled !== undefined) update['digest.enabled'] = enabled;
+            if (dayOfWeek !== undefined) update['digest.dayOfWeek'] = dayOfWeek;
+            const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true });
+            const { enabled: isEnabled, dayOfWeek: day, lastSentAt = null } = user.digest;
+            res.json({ enabled: isEnabled, dayOfWeek: day, lastSentAt, email: user.email || null });
+        } catch (error) {
+            sendError(res, error, 'Failed to update digest settings');
+        }
+    });
+
+    return api;
+};
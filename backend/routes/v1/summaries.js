@@ -0,0 +1,363 @@
+// backend/routes/v1/summaries.js
+// AI summaries of the user's listening, their audio versions and public share links.
+import crypto from 'crypto';
+import { createApiRouter } from '../../api/router.js';
+import { idParams, timeRange } from '../../api/schemas.js';
+import { Summary } from '../../models/Summary.js';
+import { TIME_RANGES } from '../../services/topItems.js';
+import { generateSummaryInsights, buildSummaryTextPrompt, parseInsightsText } from '../../services/summaryInsights.js';
+import {
+    parseSummaryOptions,
+    listSummaryStyles,
+    DEFAULT_STYLE,
+    DEFAULT_LANGUAGE
+} from '../../services/summaryStyles.js';
+import { formatSummary, prepareSummary, buildSummaryFeatures, shareUrl, NOT_ENOUGH_HISTORY } from '../../services/summaries.js';
+import { LlmProviderError } from '../../services/llm/index.js';
+import { meterLlm, assertLlmQuota, QuotaExceededError } from '../../services/usage.js';
+import { SpotifyApiError } from '../../services/spotifyClient.js';
+import { toSpeechText } from '../../services/tts/index.js';
+import { saveAudio, streamAudio } from '../../services/audioStorage.js';
+import { isRasterizerAvailable } from '../../services/summaryCard.js';
+import { sendError } from '../../utils/httpErrors.js';
+import { logger } from '../../utils/logger.js';
+import { openEventStream, sendEvent } from '../../utils/sse.js';
+
+const summaryParams = idParams('Summary id');
+
+// style and language are checked further by parseSummaryOptions
+const summaryRequest = {
+    type: 'object',
+    properties: {
+        timeRange,
+        regenerate: { type: 'boolean', default: false, description: 'Generate a new summary even if the top lists are unchanged' },
+        style: { type: 'string', enum: listSummaryStyles().map((style) => style.id), default: DEFAULT_STYLE },
+        language: { type: 'string', maxLength: 35, default: DEFAULT_LANGUAGE, description: 'BCP 47 language tag of the summary, e.g. es or pt-BR' }
+    }
+};
+
+const summaryNotFound = { 404: 'The summary doesn\'t exist or belongs to someone else' };
+
+export const createSummariesApi = ({ llm, ttsProvider }) => {
+    const api = createApiRouter('Summaries');
+
+    // Summary styles the client can offer
+    api.get('/styles', {
+        summary: 'Summary styles',
+        public: true,
+        responses: { 200: 'Id, label and description of each style' }
+    }, (req, res) => {
+        res.json({ items: listSummaryStyles() });
+    });
+
+    // Generate a summary, or return the one already built from the same top lists
+    api.post('/', {
+        summary: 'Generate a summary',
+        description: 'Summarizes the user\'s top tracks and artists for the time range. A summary already built from '
+            + 'the same top lists, style and language is returned instead unless regenerate is set.',
+        body: summaryRequest,
+        responses: {
+            200: { description: 'The new or cached summary', schema: 'Summary' },
+            422: 'Not enough listening history for the time range',
+            429: 'Today\'s AI quota is used up',
+            503: 'The AI provider is unavailable'
+        }
+    }, async (req, res) => {
+        const { timeRange: range, regenerate } = req.body;
+        const userId = req.user._id;
+
+        try {
+            const options = parseSummaryOptions(req.body);
+            const prepared = await prepareSummary(req.spotify, userId, range, options, regenerate);
+            if (!prepared) {
+                return res.status(422).json({ error: NOT_ENOUGH_HISTORY });
+            }
+            if (prepared.cached) {
+                logger.info('Returning existing summary', { timeRange: range });
+                return res.json({ ...formatSummary(prepared.cached), cached: true });
+            }
+
+            const features = await buildSummaryFeatures(userId, prepared);
+            const { insights, text: summaryText } = await generateSummaryInsights(meterLlm(llm, userId), features, options);
+
+            // Create and save new summary in the database
+            const newSummary = new Summary({
+                userId,
+                timeRange: range,
+                style: options.style,
+                language: options.language,
+                inputFingerprint: prepared.inputFingerprint,
+                inputs: { tracks: prepared.inputTracks, artists: prepared.inputArtists, features },
+                summaryText,
+                insights
+            });
+            await newSummary.save();
+            logger.info('Generated and saved new summary', { timeRange: range, summaryId: newSummary._id });
+            res.json({ ...formatSummary(newSummary), cached: false });
+        } catch (error) {
+            sendError(res, error, error instanceof SpotifyApiError
+                ? 'Failed to fetch listening data for summary'
+                : 'Failed to generate summary');
+        }
+    });
+
+    // Generate a summary as a stream of Server-Sent Events: "token" events carry text as the model
+    // writes it, then "done" carries the saved summary (or "error" on failure). A cached summary is
+    // sent as "done" straight away. Closing the connection cancels the model request.
+    api.post('/stream', {
+        summary: 'Generate a summary as it is written',
+        description: 'Server-Sent Events: "token" events with { text } as the model writes, then "done" with the saved '
+            + 'summary, or "error" with { error }. Errors before the stream starts are JSON responses.',
+        body: summaryRequest,
+        responses: {
+            200: { description: 'The event stream', content: 'text/event-stream' },
+            422: 'Not enough listening history for the time range',
+            429: 'Today\'s AI quota is used up'
+        }
+    }, async (req, res) => {
+        const { timeRange: range, regenerate } = req.body;
+        const userId = req.user._id;
+
+        // Errors before the stream starts are plain JSON responses
+        let options;
+        let prepared;
+        let features;
+        try {
+            options = parseSummaryOptions(req.body);
+            prepared = await prepareSummary(req.spotify, userId, range, options, regenerate);
+            if (!prepared) {
+                return res.status(422).json({ error: NOT_ENOUGH_HISTORY });
+            }
+            if (!prepared.cached) {
+                await assertLlmQuota(userId);
+                features = await buildSummaryFeatures(userId, prepared);
+            }
+        } catch (error) {
+            return sendError(res, error, 'Failed to fetch listening data for summary');
+        }
+
+        openEventStream(res);
+
+        if (prepared.cached) {
+            sendEvent(res, 'done', { ...formatSummary(prepared.cached), cached: true });
+            return res.end();
+        }
+
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        try {
+            let text = '';
+            for await (const chunk of meterLlm(llm, userId).stream(buildSummaryTextPrompt(features, options), { task: 'summary-text', signal: controller.signal })) {
+                if (chunk.text) {
+                    text += chunk.text;
+                    sendEvent(res, 'token', { text: chunk.text });
+                }
+            }
+            if (controller.signal.aborted) return;
+            if (!text.trim()) {
+                throw new LlmProviderError('The model returned an empty summary');
+            }
+
+            // Structured insights when the text follows the layout; the plain text is kept either way
+            const newSummary = new Summary({
+                userId,
+                timeRange: range,
+                style: options.style,
+                language: options.language,
+                inputFingerprint: prepared.inputFingerprint,
+                inputs: { tracks: prepared.inputTracks, artists: prepared.inputArtists, features },
+                summaryText: text.trim(),
+                insights: parseInsightsText(text) || undefined
+            });
+            await newSummary.save();
+            logger.info('Streamed and saved new summary', { timeRange: range, summaryId: newSummary._id });
+            sendEvent(res, 'done', { ...formatSummary(newSummary), cached: false });
+            res.end();
+        } catch (error) {
+            if (controller.signal.aborted) {
+                logger.info('Summary stream cancelled by the user');
+                return;
+            }
+            logger.error('Summary stream failed', { error });
+            let message = 'Failed to generate summary';
+            if (error instanceof LlmProviderError) {
+                message = 'The AI provider is unavailable, please try again later';
+            } else if (error instanceof QuotaExceededError) {
+                message = error.message;
+            }
+            sendEvent(res, 'error', { error: message });
+            res.end();
+        }
+    });
+
+    // List past summaries, newest first
+    api.get('/', {
+        summary: 'Past summaries',
+        query: {
+            type: 'object',
+            properties: {
+                timeRange: { type: 'string', enum: TIME_RANGES, description: 'Only summaries of this time range' },
+                limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+            }
+        },
+        responses: { 200: { description: 'Summaries, newest first', schema: { type: 'object', properties: { items: { type: 'array', items: { $ref: '#/components/schemas/Summary' } } } } } }
+    }, async (req, res) => {
+        try {
+            const filter = { userId: req.user._id };
+            if (req.query.timeRange) {
+                filter.timeRange = req.query.timeRange;
+            }
+            const summaries = await Summary.find(filter).sort({ createdAt: -1 }).limit(req.query.limit);
+            res.json({ items: summaries.map(formatSummary) });
+        } catch (error) {
+            logger.error('Failed to fetch summary history', { error });
+            res.status(500).json({ error: 'Failed to fetch summary history' });
+        }
+    });
+
+    // Fetch a single summary with the inputs it was built from
+    api.get('/:id', {
+        summary: 'A summary and the inputs it was built from',
+        params: summaryParams,
+        responses: { 200: { description: 'The summary, with its inputs', schema: 'Summary' }, ...summaryNotFound }
+    }, async (req, res) => {
+        try {
+            const summary = await Summary.findOne({ _id: req.params.id, userId: req.user._id });
+            if (!summary) {
+                return res.status(404).json({ error: 'Summary not found' });
+            }
+            res.json({ ...formatSummary(summary), inputs: summary.inputs });
+        } catch (error) {
+            logger.error('Failed to fetch summary', { error });
+            res.status(500).json({ error: 'Failed to fetch summary' });
+        }
+    });
+
+    // Generate (or reuse) the audio version of a summary
+    api.post('/:id/audio', {
+        summary: 'Generate the audio version of a summary',
+        params: summaryParams,
+        body: {
+            type: 'object',
+            properties: { regenerate: { type: 'boolean', default: false, description: 'Replace existing audio' } }
+        },
+        responses: { 200: 'The audio URL and the speech provider that made it', ...summaryNotFound }
+    }, async (req, res) => {
+        try {
+            const summary = await Summary.findOne({ _id: req.params.id, userId: req.user._id });
+            if (!summary) {
+                return res.status(404).json({ error: 'Summary not found' });
+            }
+
+            const audioUrl = `/api/v1/summaries/${summary._id}/audio`;
+            if (summary.audio && summary.audio.fileName && !req.body.regenerate) {
+                return res.json({ audioUrl, provider: summary.audio.provider, cached: true });
+            }
+
+            const audioBuffer = await ttsProvider.synthesize(toSpeechText(summary.summaryText));
+            const fileName = await saveAudio(summary._id, ttsProvider.extension, audioBuffer);
+            summary.audio = {
+                fileName,
+                mimeType: ttsProvider.mimeType,
+                provider: ttsProvider.name,
+                createdAt: new Date()
+            };
+            await summary.save();
+
+            logger.info('Generated summary audio', { provider: ttsProvider.name, summaryId: summary._id });
+            res.json({ audioUrl, provider: ttsProvider.name, cached: false });
+        } catch (error) {
+            logger.error('Failed to generate audio', { error });
+            res.status(500).json({ error: 'Failed to generate audio' });
+        }
+    });
+
+    // Stream a summary's audio, with Range support for seeking
+    api.get('/:id/audio', {
+        summary: 'Play the audio version of a summary',
+        description: 'Supports Range requests.',
+        params: summaryParams,
+        responses: {
+            200: { description: 'The audio file', content: 'audio/*' },
+            206: { description: 'Part of the audio file', content: 'audio/*' },
+            404: 'No audio has been generated for the summary'
+        }
+    }, async (req, res) => {
+        try {
+            const summary = await Summary.findOne({ _id: req.params.id, userId: req.user._id });
+            if (!summary || !summary.audio || !summary.audio.fileName) {
+                return res.status(404).json({ error: 'Audio not found for this summary' });
+            }
+            await streamAudio(req, res, summary.audio.fileName, summary.audio.mimeType);
+        } catch (error) {
+            logger.error('Failed to stream audio', { error });
+            if (res.headersSent || res.destroyed) {
+                return; // failed part-way; the response was cut short
+            }
+            if (error.code === 'ENOENT') {
+                return res.status(404).json({ error: 'Audio file is missing, generate it again' });
+            }
+            res.status(500).json({ error: 'Failed to stream audio' });
+        }
+    });
+
+    // Create a public link to a read-only copy of the summary, or return the existing one
+    api.post('/:id/share', {
+        summary: 'Share a summary',
+        description: 'Creates a public link to a read-only page and card image of the summary, or returns the existing link.',
+        params: summaryParams,
+        responses: {
+            200: 'The existing share link',
+            201: 'A new share link',
+            ...summaryNotFound
+        }
+    }, async (req, res) => {
+        try {
+            const summary = await Summary.findOne({ _id: req.params.id, userId: req.user._id });
+            if (!summary) {
+                return res.status(404).json({ error: 'Summary not found' });
+            }
+
+            const created = !(summary.share && summary.share.token);
+            if (created) {
+                summary.share = { token: crypto.randomBytes(24).toString('base64url'), createdAt: new Date() };
+                await summary.save();
+            }
+            const { token } = summary.share;
+            res.status(created ? 201 : 200).json({
+                url: shareUrl(token),
+                imageUrl: shareUrl(token, await isRasterizerAvailable() ? 'card.png' : 'card.svg'),
+                createdAt: summary.share.createdAt
+            });
+        } catch (error) {
+            logger.error('Failed to share summary', { error });
+            res.status(500).json({ error: 'Failed to share summary' });
+        }
+    });
+
+    // Revoke the public link; the summary itself is kept
+    api.delete('/:id/share', {
+        summary: 'Stop sharing a summary',
+        params: summaryParams,
+        responses: { 200: 'The share link no longer works', ...summaryNotFound }
+    }, async (req, res) => {
+        try {
+            const summary = await Summary.findOneAndUpdate(
+                { _id: req.params.id, userId: req.user._id },
+                { $unset: { share: 1 } }
+            );
+            if (!summary) {
+                return res.status(404).json({ error: 'Summary not found' });
+            }
+            res.json({ message: 'Share link revoked.' });
+        } catch (error) {
+            logger.error('Failed to revoke share link', { error });
+            res.status(500).json({ error: 'Failed to revoke share link' });
+        }
+    });
+
+    return api;
+};
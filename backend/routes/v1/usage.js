@@ -0,0 +1,63 @@
+// backend/routes/v1/usage.js
+// The user's daily quotas and what their AI usage has cost.
+import { createApiRouter } from '../../api/router.js';
+import { getUsageReport } from '../../services/usage.js';
+import { sendError } from '../../utils/httpErrors.js';
+
+const quota = (description) => ({
+    type: 'object',
+    description,
+    properties: {
+        used: { type: 'integer' },
+        limit: { type: 'integer', nullable: true, description: 'Null when there is no limit' },
+        remaining: { type: 'integer', nullable: true }
+    }
+});
+
+const usageReport = {
+    type: 'object',
+    properties: {
+        day: { type: 'string', description: 'Today, as a UTC date' },
+        resetsAt: { type: 'string', format: 'date-time', description: 'When the daily quotas reset (midnight UTC)' },
+        llmTokens: quota('AI tokens used today; byTask splits them by feature'),
+        playlists: quota('Playlists created today'),
+        cost: {
+            type: 'object',
+            description: 'Estimated cost of AI usage at the model\'s list price',
+            properties: { todayUsd: { type: 'number' }, last30DaysUsd: { type: 'number' } }
+        },
+        history: {
+            type: 'array',
+            description: 'Usage per day over the last 30 days, newest first; days without usage are left out',
+            items: {
+                type: 'object',
+                properties: {
+                    day: { type: 'string' },
+                    llmCalls: { type: 'integer' },
+                    llmTokens: { type: 'integer' },
+                    costUsd: { type: 'number' },
+                    playlistsCreated: { type: 'integer' }
+                }
+            }
+        }
+    }
+};
+
+export const createUsageApi = () => {
+    const api = createApiRouter('Usage');
+
+    api.get('/', {
+        summary: 'Quotas and usage',
+        description: 'Where the user stands against today\'s AI token and playlist quotas. Requests over a quota '
+            + 'fail with 429 and code quota_exceeded until the quotas reset.',
+        responses: { 200: { description: 'Today\'s quotas, estimated costs and recent daily usage', schema: usageReport } }
+    }, async (req, res) => {
+        try {
+            res.json(await getUsageReport(req.user._id));
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch usage');
+        }
+    });
+
+    return api;
+};
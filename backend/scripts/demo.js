@@ -0,0 +1,6 @@
+// backend/scripts/demo.js
+// Starts the server in demo mode: mock Spotify API, fixture users and the mock LLM, no network needed.
+// Usage: npm run demo
+process.env.DEMO_MODE = 'true';
+
+await import('../server.js');
@@ -0,0 +1,49 @@
+// backend/scripts/reencryptTokens.js
+// Encrypts plaintext Spotify tokens and re-encrypts tokens still on an older key version.
+// Usage: npm run migrate:encrypt-tokens [-- --dry-run]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { User } from '../models/User.js';
+import { assertEncryptionConfigured, needsReencryption, reencryptToken } from '../utils/tokenCrypto.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+const TOKEN_FIELDS = ['accessToken', 'refreshToken'];
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+    assertEncryptionConfigured();
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Read the raw documents so getters don't decrypt and setters don't re-run
+    const cursor = User.collection.find({}, { projection: { accessToken: 1, refreshToken: 1 } });
+    let scanned = 0;
+    let updated = 0;
+
+    for await (const doc of cursor) {
+        scanned++;
+        const update = {};
+        TOKEN_FIELDS.forEach((field) => {
+            if (needsReencryption(doc[field])) {
+                update[field] = reencryptToken(doc[field]);
+            }
+        });
+
+        if (Object.keys(update).length > 0) {
+            updated++;
+            if (!dryRun) {
+                await User.collection.updateOne({ _id: doc._id }, { $set: update });
+            }
+        }
+    }
+
+    logger.info(`${dryRun ? '[dry run] ' : ''}Token re-encryption finished`, { scanned, updated, dryRun });
+};
+
+run()
+    .catch((error) => {
+        logger.error('Token re-encryption failed', { error });
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
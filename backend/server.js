@@ -1,13 +1,10 @@
 // backend/server.js
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import path from 'path';
 import { fileURLToPath } from "url";
 import cookieParser from 'cookie-parser';
 import express_csp_header, { expressCspHeader } from 'express-csp-header';
-import rateLimit from 'express-rate-limit';
 import express from 'express';
 import mongoose from 'mongoose';
-import axios from 'axios';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import passport from 'passport';
@@ -15,70 +12,111 @@ import session from 'express-session';
 import SpotifyStrategyLib from 'passport-spotify';
 import cron from 'node-cron';
 import { User } from './models/User.js';
-import { BlacklistedToken } from "./models/BlacklistedToken.js";
-import { Summary } from "./models/Summary.js";
-import { createLogger, format, transports } from 'winston';
+import { createTtsProvider } from './services/tts/index.js';
+import { handleApiError } from './utils/httpErrors.js';
+import { createLlmProvider } from './services/llm/index.js';
+import { quotasFromEnv } from './services/usage.js';
+import { ingestAllActiveUsers } from './jobs/recentlyPlayed.js';
+import { sendDueDigests } from './jobs/weeklyDigest.js';
+import { applyRetentionPolicy } from './jobs/retention.js';
+import { isDemoMode, applyDemoDefaults, demoDatabaseUri, createDemoRouter } from './demo/index.js';
+import { issueSession } from './services/authTokens.js';
+import { csrfProtection } from './middleware/csrf.js';
+import { apiLimiter, shareRateLimiter } from './middleware/rateLimits.js';
+import { assertEncryptionConfigured } from './utils/tokenCrypto.js';
+import { createApiV1Router, API_V1_PREFIX } from './routes/v1/index.js';
+import { createLegacyApiRouter } from './routes/legacy.js';
+import { createShareRouter } from './routes/share.js';
+import { createHealthRouter } from './routes/health.js';
+import { createMetricsRouter } from './routes/metrics.js';
+import { requestContext } from './middleware/requestContext.js';
+import { logger, runWithLogContext } from './utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
-import jwt from 'jsonwebtoken';
 
 const SpotifyStrategy = SpotifyStrategyLib.Strategy;
 
 dotenv.config();
 const app = express();
 
-console.log("--- server.js START ----");
-console.log("API_BASE_URL (immediately after dotenv.config()):", process.env.API_BASE_URL);
+// Demo mode fills in everything needed to run offline against the mock Spotify API
+if (isDemoMode()) {
+    try {
+        applyDemoDefaults();
+    } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+    }
+    logger.info('Demo mode: serving fixture users from the mock Spotify API');
+}
 
 // Environment Configuration Validation
 const requiredEnvVars = [
     'SPOTIFY_CLIENT_ID', 
     'SPOTIFY_CLIENT_SECRET', 
     'SPOTIFY_CALLBACK_URL', 
-    'GOOGLE_API_KEY', 
     'MONGODB_URI',
     'SESSION_SECRET',
     'NODE_ENV',
     'JWT_SECRET',
-    'API_BASE_URL'
+    'API_BASE_URL',
+    'TOKEN_ENCRYPTION_KEYS'
 ];
+// Demo mode can start its own database (see demo/index.js)
+if (isDemoMode()) {
+    requiredEnvVars.splice(requiredEnvVars.indexOf('MONGODB_URI'), 1);
+}
 requiredEnvVars.forEach(varName => {
     if (!process.env[varName]) {
-        console.error(`Missing required environment variable: ${varName}`);
+        logger.error(`Missing required environment variable: ${varName}`);
         process.exit(1);
     }
 });
 
+// Fail fast on malformed token encryption keys rather than on the first login
+try {
+    assertEncryptionConfigured();
+} catch (error) {
+    logger.error('Invalid token encryption configuration', { error: error.message });
+    process.exit(1);
+}
+
 // Access environment variables
 const PORT = process.env.PORT || 8888;
-const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
-const JWT_SECRET = process.env.JWT_SECRET;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const RECENTLY_PLAYED_CRON = process.env.RECENTLY_PLAYED_CRON || '*/30 * * * *';
+const WEEKLY_DIGEST_CRON = process.env.WEEKLY_DIGEST_CRON || '0 9 * * *'; // checked daily, sent on each user's chosen day
 
 const corsOptions = {
-    origin: 'http://localhost:3000',
+    origin: FRONTEND_URL,
     methods: 'POST,GET,OPTIONS,PUT,DELETE',
     credentials: true,
-    allowedHeaders: 'Content-Type,Authorization',
+    allowedHeaders: 'Content-Type,Authorization,X-CSRF-Token,X-Request-Id',
+    exposedHeaders: 'X-Request-Id',
 };
+
+// Request IDs, request logs and HTTP metrics; first, so every request is covered
+app.use(requestContext);
 app.use(cors(corsOptions));
 
-// Allow front-end to verify if user is authenticated
+// Session, refresh and CSRF tokens all travel in cookies
 app.use(cookieParser());
 app.use(express.json());
 
+// State-changing API requests must carry the CSRF token
+app.use('/api/', csrfProtection);
+
 // Middleware to generate nonce for CSP
 app.use((req, res, next) => {
     res.locals.nonce = uuidv4();
     next();
   });
 
-console.log("API_BASE_URL (outside helmet middleware):", process.env.API_BASE_URL);
-
 // Use express_csp_header to set secure HTTP headers
 app.use(expressCspHeader({
         directives: {
             'default-src': ['\'self\''],
             'style-src': ['\'self\'', '\'unsafe-inline\'', 'https://fonts.googleapis.com'],
-            'img-src': ['\'self\'', 'data:'],
+            'img-src': ['\'self\'', 'data:', 'https://i.scdn.co'], // album artwork
             'connect-src': ['\'self\'', process.env.API_BASE_URL, 'http://localhost:3000'], 
             'font-src': ['\'self\'', 'https://fonts.gstatic.com'],
             'object-src': ['\'none\''],
@@ -87,78 +125,58 @@ app.use(expressCspHeader({
     },
 ));
 
-app.use('/api/spotify-callback', (req, res, next) => {
-    next(); // Bypass CSP route
-});
-
+// The express session only holds the OAuth state parameter during login;
+// after the callback the app's session lives in the JWT and refresh token cookies.
 app.use(session({
     secret: process.env.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: {
-        httpOnly: true, 
-        secure: process.env.NODE_ENV === 'development'
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: 10 * 60 * 1000 // Long enough to finish the Spotify consent screen
     }
 }));
 
 app.use(passport.initialize());
-app.use(passport.session());
 
 // Rate limiting for API routes
-const apiLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit to 100 requests per window
-    message: 'Too many requests from this IP, please try again later.'
-});
 app.use('/api/', apiLimiter);
-
-const playlistRateLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 10,
-    message: "Too many requests from this IP to generate playlist, please try again later."
-})
-app.use("/api/generate-playlist", playlistRateLimiter)
+app.use('/share/', shareRateLimiter);
 
 // Connect to MongoDB
-mongoose
-    .connect(process.env.MONGODB_URI)
-    .then(() => console.log('Connected to MongoDB'))
+(isDemoMode() ? demoDatabaseUri() : Promise.resolve(process.env.MONGODB_URI))
+    .then((uri) => mongoose.connect(uri))
+    .then(() => logger.info('Connected to MongoDB'))
     .catch((error) => {
-        console.error('MongoDB Connection Error:', error);
+        logger.error('MongoDB connection failed', { error });
         process.exit(1); // Exit
     });
 
-// Initialize Google's Gemini model
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-
-const model = genAI.getGenerativeModel({
-    model: "gemini-2.0-flash-exp", // "gemini-1.5-flash"
-    generationConfig: {
-      candidateCount: 1,
-      stopSequences: [],
-      maxOutputTokens: 1000,
-      temperature: 1.0,
-    },
-});
-
-// Test the Gemini model at startup 
-(async () => {
-    try {
-        const result = await model.generateContent("What is RAG in one line?");
-        console.log(result.response.text());
-    } catch (error) {
-        console.error("Error testing GenAI model:", error);
-        process.exit(1); // Exit
-    }
-})();
+// LLM provider for summaries, mood estimates and digests (LLM_PROVIDER: gemini, openai or mock)
+let llm;
+let quotas;
+try {
+    llm = createLlmProvider();
+    quotas = quotasFromEnv();
+} catch (error) {
+    logger.error('Invalid LLM configuration', { error: error.message });
+    process.exit(1);
+}
+logger.info('LLM provider configured', { provider: llm.name, model: llm.model });
+logger.info('Daily quotas per user', { llmTokens: quotas.llmTokens || 'unlimited', playlists: quotas.playlists || 'unlimited' });
+
+// Text-to-speech provider for audio summaries
+const ttsProvider = createTtsProvider();
 
 // Passport Spotify Configuration
 passport.use(new SpotifyStrategy({
     clientID: process.env.SPOTIFY_CLIENT_ID,
     clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-    callbackURL: process.env.SPOTIFY_CALLBACK_URL
+    callbackURL: process.env.SPOTIFY_CALLBACK_URL,
+    state: true // Protects the login itself against CSRF
 }, async (accessToken, refreshToken, expires_in, profile, done) => {
-    console.log("SpotifyStrategy verify callback started");
     try {
         let user = await User.findOne({ spotifyId: profile.id });
         if (!user) {
@@ -175,119 +193,23 @@ passport.use(new SpotifyStrategy({
             user.accessToken = accessToken;
             user.refreshToken = refreshToken;
             user.tokenExpiration = new Date(Date.now() + expires_in * 1000);
+            if (profile.emails && profile.emails.length) {
+                user.email = profile.emails[0].value;
+            }
         }
         await user.save();
-        console.log("Spotify login successful, user:", user.spotifyId);
+        logger.info('Spotify login successful', { userId: user._id, spotifyId: user.spotifyId });
         done(null, user);
     } catch (error) {
-        console.error('Error during Spotify login:', error);
-        console.error('Error details:', error.message, error.response ? error.response.data : 'No response data');
+        logger.error('Spotify login failed', { error, response: error.response ? error.response.data : undefined });
         done(error, null);
-        return; // Return early to prevent further execution
-    } finally {
-        console.log("SpotifyStrategy verify callback finished");
     }
 }));
 
-// Serialize and Deserialize User
-passport.serializeUser((user, done) => done(null, user.spotifyId));
-passport.deserializeUser(async (spotifyId, done) => {
-    try {
-        const user = await User.findOne({ spotifyId });
-        done(null, user);
-    } catch (error) {
-        done(error);
-    }
-});
-
-// Refresh the Spotify access token for a user if it's expired.
-const refreshSpotifyToken = async (user) => {
-     // Check if the token is valid and not expired
-     if (user.tokenExpiration && user.tokenExpiration > new Date()) {
-        logger.info('Token is still valid, no refresh needed.');
-        return user.accessToken; // Return the existing access token if valid
-    }
-    logger.info('Token expired or invalid. Attempting to refresh.');
-
-    try {
-        // Attempt to refresh the token
-        const response = await axios.post('https://accounts.spotify.com/api/token', 
-            new URLSearchParams({
-                grant_type: 'refresh_token',
-                refresh_token: user.refreshToken,
-                client_id: process.env.SPOTIFY_CLIENT_ID,
-                client_secret: process.env.SPOTIFY_CLIENT_SECRET
-            }),
-            {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
-                timeout: 10000 // 10-second timeout
-            }
-        );
-
-        // Check if the refresh was successful, returns the new access token
-        if (response.data && response.data.access_token) {
-            user.accessToken = response.data.access_token;
-            const expiresInSeconds = response.data.expires_in || 3600;
-            user.tokenExpiration = new Date(Date.now() + expiresInSeconds * 1000); // New expiration date
-            await user.save();
-            console.log('Token refreshed successfully.');
-            return user.accessToken;
-        } else {
-            console.error('Token refresh failed: No access token received from Spotify.');
-            // consider not nulling the user tokens here so you can retry later
-            throw new Error('No access token received');
-        }
-    } catch (error) {
-         // Log detailed information about the refresh failure
-        console.error('Token Refresh failed:', {
-            message: error.message,
-            response: error.response ? error.response.data : 'No response',
-            status: error.response ? error.response.status : 'Unknown'
-        });
-
-        if (user) {
-            // Consider not nulling out the user tokens here if you need to retry later.
-            // This would help with race conditions if the function is called multiple times at the same time
-            user.accessToken = null;
-            user.tokenExpiration = null;
-            await user.save();
-        }
-        throw new Error('Failed to refresh token');
-    }
-};
-
-// Ensure valid Spotify token
-const ensureValidSpotifyToken = async (req, res, next) => {
-    try {
-        const token = req.cookies.jwtToken; // Extract JWT from cookie
-
-        if (!token) {
-            return res.status(401).json({error: 'No authorizaiotn token provided (cookie missing)' });
-        }
-        
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const userId = decoded.userId;
-
-        // Check if token is blacklisted
-        const blacklisted = await BlacklistedToken.findOne({ jti: decoded.jti });
-        if (blacklisted) {
-            return res.status(401).json({ error: 'Token has been revoked' });
-        }
-
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(401).json({ error: 'User not found' });
-        }
-
-        req.user = user;
-        next();
-    }   catch (error) {
-        console.error('Authentication failed:', error);
-        res.status(401).json({ error: 'Authentication failed (cookie invalid or expired' });
-    }
-};
+// Mock Spotify API and fixture logins
+if (isDemoMode()) {
+    app.use(createDemoRouter({ frontendUrl: FRONTEND_URL }));
+}
 
 // Routes
 // Base route
@@ -295,191 +217,60 @@ app.get('/', (req, res) => {
     res.send('Server is running.');
 });
 
+// Probes and Prometheus metrics
+app.use('/health', createHealthRouter({ llm, ttsProvider }));
+app.use('/metrics', createMetricsRouter());
+
 // Auth routes
 app.get('/auth/spotify', passport.authenticate('spotify', { 
-    scope: ['user-read-recently-played', 'playlist-modify-public', 'playlist-modify-private'], 
+    scope: ['user-read-email', 'user-read-recently-played', 'user-top-read', 'user-read-currently-playing', 'playlist-modify-public', 'playlist-modify-private'], 
     showDialog: true 
   }));
 
-  app.post('/api/spotify-callback',
-  passport.authenticate('spotify'),
-  async function(req, res) {
-      try {
-        // Generate JWT
-        const payload = {
-            userId: req.user._id,
-            jti: uuidv4()
-        };
-        const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '24h' });
-        console.log("JWT Token generated for user:", req.user.spotifyId);
-        console.log("FRONTEND_URL before redirect:", FRONTEND_URL);
-
-        res.redirect(`${FRONTEND_URL}/#token=${token}`);
-
-    } catch (error) {
-        console.error("Error in /api/spotify-callback route:", error);
-        res.redirect(FRONTEND_URL);
-    }
-  }
-);
-
-/*app.post('/api/spotify-callback', (req, res) => {
-    console.log("Hit /api/spotify-callback POST route!");
-    res.send('Spotify callback route hit!');
-});*/
-
-// Fetch user listening data
-app.get('/api/listening-data', ensureValidSpotifyToken, async (req, res) => {
-    try {
-        // Access user data from req.user
-        if (!req.user || !req.user.accessToken) {
-            return res.status(401).json({ error: 'User not authenticated or access token missing' });
-        }
-        const accessToken = req.user.accessToken;
-
-        const response = await axios.get('https://api.spotify.com/v1/me/top/tracks', {
-            headers: { 'Authorization': `Bearer ${accessToken}` },
-            params: { limit: 20, time_range: 'medium_term' }
-        });
-        res.json(response.data);
-    } catch (error) {
-        console.error('Error fetching listening data:', error.response ? error.response.data : error.message);
-        if (error.response && error.response.status === 401) {
-            return res.status(401).json({ error: 'Spotify token expired' }); // Handle token expiration
+// Spotify redirects here with ?code=...; on success the session cookies are set
+app.get('/api/spotify-callback',
+    passport.authenticate('spotify', { session: false, failureRedirect: `${FRONTEND_URL}/?error=login_failed` }),
+    async (req, res) => {
+        try {
+            await issueSession(res, req.user._id);
+            logger.info('Session issued', { userId: req.user._id });
+            res.redirect(FRONTEND_URL);
+        } catch (error) {
+            logger.error('Failed to issue a session after Spotify login', { error });
+            res.redirect(`${FRONTEND_URL}/?error=login_failed`);
         }
-        res.status(500).json({ error: 'Failed to fetch listening data' });
-    }
-});
-
-// Generate Summary
-app.post('/api/gemini-2.0-flash-exp', ensureValidSpotifyToken, async (req, res) => {
-    const { listeningData } = req.body;
-    const userId = req.user._id;
-
-    if (!listeningData) {
-        return res.status(400).json({ error: 'No listening data provided' });
     }
+);
 
-    try {
-        // Check an existing summary for this user
-        const existingSummary = await Summary.findOne({ userId });
-        if (existingSummary) {
-            logger.info(`Returning existing summary for user ${userId}`);
-            return res.json({ summary: existingSummary.summaryText });
+// Versioned REST API; the unversioned paths it replaced are rewritten to it
+app.use(createLegacyApiRouter());
+app.use(API_V1_PREFIX, createApiV1Router({ llm, ttsProvider, frontendUrl: FRONTEND_URL }));
+app.use('/api/', (req, res) => res.status(404).json({ error: 'Not found', code: 'not_found' }));
+app.use('/api/', handleApiError);
+
+// Public pages of shared summaries
+app.use('/share', createShareRouter({ frontendUrl: FRONTEND_URL }));
+
+// Run a background job with its name (and a run ID) on every line it logs
+const scheduleJob = (schedule, job, run) => cron.schedule(schedule, () => runWithLogContext(
+    { job, jobRunId: uuidv4() },
+    async () => {
+        try {
+            await run();
+        } catch (error) {
+            logger.error('Job failed', { error });
         }
-
-        const prompt = `Analyze the user's Spotify listening data and create a short, engaging summary. Focus on their top artists, genres, and tracks, and include fun, bite-sized insights. Identify trends or moods in their preferences, and suggest their next favorite genre or artist: ${JSON.stringify(listeningData)}`;
-        const result = await model.generateContent(prompt);
-        const summaryText = result.response.text();
-
-        // Create and save new summary in the database
-        const newSummary = new Summary({
-            userId,
-            summaryText
-        });
-        await newSummary.save();
-        logger.info(`Generated and saved new summary for user ${userId}`);
-        res.json({ summary: summaryText });
-    } catch (error) {
-        logger.error('Summary Generation Error:', error.message);
-        res.status(500).json({ error: 'Failed to generate summary', details: error.message });
-    }
-});
-
-// API Route to generate audio (consider OpenAI for now?)
-app.post('/api/gemini-2.0-flash-exp', async (req, res) => {
-    const { summary } = req.body;
-    if (!summary) {
-        return res.status(400).json({ error: 'No summary provided to generate audio from' });
-    }
-
-    try {
-        // TODO: TTS
-        res.status(501).json({ error: 'TTS not implemented. Please integrate a TTS API here.' });
-    } catch (error) {
-        console.error('Error generating audio:', error.response ? error.response.data : error.message);
-        res.status(500).json({ error: 'Failed to generate audio' });
-    }
-});
-
-app.post('/api/generate-playlist', ensureValidSpotifyToken, async (req, res) => {
-    const { trackUris } = req.body;
-    if (!trackUris || !Array.isArray(trackUris)) {
-        return res.status(400).json({ error: 'trackUris is required and must be an array' });
-    }
-
-    try {
-        const userResponse = await axios.get('https://api.spotify.com/v1/me', {
-            headers: { 'Authorization': `Bearer ${req.user.accessToken}` }
-        });
-        const userId = userResponse.data.id;
-
-        // Create a new playlist
-        const playlistResponse = await axios.post(
-            `https://api.spotify.com/v1/users/${userId}/playlists`,
-            { name: 'Your Top Tracks Playlist', public: false },
-            { headers: { 'Authorization': `Bearer ${req.user.accessToken}` } }
-        );
-
-        const playlistId = playlistResponse.data.id;
-
-        // Add tracks to the playlist
-        await axios.post(
-            `https://api.spotify.com/v1/playlists/${playlistId}/tracks`,
-            { uris: trackUris },
-            { headers: { 'Authorization': `Bearer ${req.user.accessToken}` } }
-        );
-
-        res.json({ id: playlistId });
-    } catch (error) {
-        console.error('Failed to create playlist:', error.response ? error.response.data : error.message);
-        res.status(500).json({ error: 'Failed to create playlist' });
     }
-});
-
-// Logout
-app.post('/api/logout', async (req, res) => {
-    console.log("--- /api/logout route hit ---");
-    try {
-        const token = req.cookies.jwtToken; // Get JWT from cookie
-        
-        if (token) {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            console.log("JWT decoded successfully:", decoded);
-
-            // Blacklist the token
-            const blacklistedToken = new BlacklistedToken({ jti: decoded.jti });
-            await blacklistedToken.save();
-            console.log("Token blacklisted successfully.");
-        } else {
-            console.log("No JWT cookie found to blacklist (moght already be cleared).");
-        }
+));
 
-        res.clearCookie('jwtToken', { httpOnly: true, path: '/' }); // Clear cookie on backend side
+// Apply the data retention policy daily (see jobs/retention.js)
+scheduleJob('0 0 * * *', 'retention', applyRetentionPolicy);
 
-        res.json({ message: 'Logged out successfully.' });
-        console.log("Logout successful response sent.");
-    } catch (error) {
-        console.error('Logout failed:', error);
-        res.status(500).json({ error: 'Failed to log out' });
-        console.log("Logout error response sent.");
-    } finally {
-        console.log("--- /api/logout route finished ---");
-    }
-});
+// Send weekly digests to opted-in users whose chosen day is today
+scheduleJob(WEEKLY_DIGEST_CRON, 'weekly-digest', () => sendDueDigests(llm));
 
-// Clean up expired tokens daily
-cron.schedule('0 0 * * *', async () => {
-    try {
-        const expirationThreshold = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days
-        await User.deleteMany({ 
-            tokenExpiration: { $lt: expirationThreshold } 
-        });
-        console.log('Expired user tokens cleaned up');
-    } catch (error) {
-        console.error('Token cleanup error:', error);
-    }
-});
+// Poll recently played tracks for active users into the listening history
+scheduleJob(RECENTLY_PLAYED_CRON, 'recently-played', ingestAllActiveUsers);
 
 // Serve static files from React frontend app
 const __filename = fileURLToPath(import.meta.url);
@@ -492,19 +283,4 @@ app.get('*', (req, res) => {
 });  
 
 // Start Server
-app.listen(PORT, () => console.log(`Backend running on port ${PORT}`));
-
-// Logger
-const logger = createLogger({
-    level: 'info',
-    format: format.combine(
-        format.timestamp(),
-        format.json()
-    ),
-    transports: [
-        new transports.File({ filename: 'app.log' }), // Log to a file
-        new transports.Console(), // Log to console
-    ]
-});
-
-logger.info('Server is starting.');
+app.listen(PORT, () => logger.info('Backend running', { port: PORT, apiBaseUrl: process.env.API_BASE_URL }));
@@ -0,0 +1,147 @@
+// backend/services/accountData.js
+// Everything stored about a user, in one place: the data export and the account deletion cascade.
+// Any new per-user collection must be added to both USER_COLLECTIONS and the export. Blends belong
+// to two users and are handled separately.
+import archiver from 'archiver';
+import { User } from '../models/User.js';
+import { Summary } from '../models/Summary.js';
+import { Playlist } from '../models/Playlist.js';
+import { ListeningEvent } from '../models/ListeningEvent.js';
+import { Notification } from '../models/Notification.js';
+import { RefreshToken } from '../models/RefreshToken.js';
+import { Blend } from '../models/Blend.js';
+import { UsageRecord } from '../models/UsageRecord.js';
+import { formatPlaylist } from './playlists.js';
+import { formatBlend, loadPartners } from './blend.js';
+import { readAudio, deleteAudio } from './audioStorage.js';
+import { formatUsageExport } from './usage.js';
+
+// Spotify has no token revocation endpoint; users remove the app's access here
+export const SPOTIFY_APPS_URL = 'https://www.spotify.com/account/apps/';
+
+// Collections holding documents keyed by userId, deleted with the account
+export const USER_COLLECTIONS = {
+    summaries: Summary,
+    playlists: Playlist,
+    listeningEvents: ListeningEvent,
+    notifications: Notification,
+    refreshTokens: RefreshToken,
+    usageRecords: UsageRecord
+};
+
+const blendsOf = (userId) => ({ $or: [{ inviterId: userId }, { inviteeId: userId }] });
+
+const formatProfile = (user) => ({
+    spotifyId: user.spotifyId,
+    displayName: user.displayName,
+    email: user.email,
+    spotifyProfile: user.profile ? user.profile._json || null : null,
+    lastActiveAt: user.lastActiveAt,
+    digest: {
+        enabled: user.digest.enabled,
+        dayOfWeek: user.digest.dayOfWeek,
+        lastSentAt: user.digest.lastSentAt
+    }
+});
+
+const formatSummaryExport = (summary) => ({
+    id: summary._id,
+    timeRange: summary.timeRange,
+    summary: summary.summaryText,
+    insights: summary.insights || null,
+    inputs: summary.inputs,
+    audioFile: summary.audio && summary.audio.fileName ? `audio/${summary.audio.fileName}` : null,
+    sharedSince: summary.share && summary.share.token ? summary.share.createdAt : null,
+    createdAt: summary.createdAt
+});
+
+const formatListeningEvent = (event) => ({
+    playedAt: event.playedAt,
+    trackId: event.trackId,
+    trackName: event.trackName,
+    artists: event.artists.map((artist) => artist.name),
+    albumName: event.albumName,
+    durationMs: event.durationMs,
+    context: event.context
+});
+
+const formatNotificationExport = (notification) => ({
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    readAt: notification.readAt,
+    emailedAt: notification.emailedAt,
+    createdAt: notification.createdAt
+});
+
+// Gather the user's data as plain JSON. Tokens, session records and shared caches are left out.
+export const collectUserData = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const [summaries, playlists, listeningHistory, notifications, blends, usage] = await Promise.all([
+        Summary.find({ userId }).sort({ createdAt: -1 }),
+        Playlist.find({ userId }).sort({ createdAt: -1 }),
+        ListeningEvent.find({ userId }).sort({ playedAt: -1 }).lean(),
+        Notification.find({ userId }).sort({ createdAt: -1 }),
+        Blend.find(blendsOf(userId)).sort({ createdAt: -1 }),
+        UsageRecord.find({ userId }).sort({ day: -1 }).lean()
+    ]);
+    // Only what the user could see in the app: the comparison, not the other person's taste
+    const partners = await loadPartners(blends, userId);
+
+    return {
+        exportedAt: new Date(),
+        profile: formatProfile(user),
+        summaries: summaries.map(formatSummaryExport),
+        playlists: playlists.map(formatPlaylist),
+        listeningHistory: listeningHistory.map(formatListeningEvent),
+        notifications: notifications.map(formatNotificationExport),
+        blends: blends.map((blend) => formatBlend(blend, userId, partners)),
+        usage: usage.map(formatUsageExport)
+    };
+};
+
+// Stream the export as a ZIP: one JSON file per section plus any generated summary audio
+export const writeExportZip = async (data, output) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.pipe(output);
+
+    const json = (value) => JSON.stringify(value, null, 2);
+    archive.append(json({ exportedAt: data.exportedAt, ...data.profile }), { name: 'profile.json' });
+    archive.append(json(data.summaries), { name: 'summaries.json' });
+    archive.append(json(data.playlists), { name: 'playlists.json' });
+    archive.append(json(data.listeningHistory), { name: 'listening-history.json' });
+    archive.append(json(data.notifications), { name: 'notifications.json' });
+    archive.append(json(data.blends), { name: 'blends.json' });
+    archive.append(json(data.usage), { name: 'usage.json' });
+
+    for (const summary of data.summaries) {
+        if (!summary.audioFile) continue;
+        const audio = await readAudio(summary.audioFile);
+        if (audio) {
+            archive.append(audio, { name: summary.audioFile });
+        }
+    }
+
+    await archive.finalize();
+};
+
+// Delete a user and everything that references them, including audio files on disk.
+// Playlists already saved to the user's Spotify library are theirs and are left in place.
+export const deleteUserData = async (userId) => {
+    const audioFiles = await Summary.distinct('audio.fileName', { userId, 'audio.fileName': { $ne: null } });
+    await Promise.all(audioFiles.map((fileName) => deleteAudio(fileName)));
+
+    const deleted = {};
+    for (const [name, model] of Object.entries(USER_COLLECTIONS)) {
+        const result = await model.deleteMany({ userId });
+        deleted[name] = result.deletedCount;
+    }
+    // A blend holds both users' tastes, so it goes when either of them leaves
+    deleted.blends = (await Blend.deleteMany(blendsOf(userId))).deletedCount;
+    // The user goes last so a failure part-way can be retried from the account
+    const result = await User.deleteOne({ _id: userId });
+    deleted.user = result.deletedCount;
+    return deleted;
+};
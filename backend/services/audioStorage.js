@@ -0,0 +1,93 @@
+// backend/services/audioStorage.js
+// Stores generated audio files on disk and streams them back with HTTP range support.
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Read on use, since this module is loaded before dotenv runs
+const audioDir = () => process.env.AUDIO_STORAGE_DIR || path.join(__dirname, '..', 'storage', 'audio');
+
+// Write audio for a summary and return the stored file name
+export const saveAudio = async (summaryId, extension, buffer) => {
+    const dir = audioDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${summaryId}.${extension}`;
+    await fs.promises.writeFile(path.join(dir, fileName), buffer);
+    return fileName;
+};
+
+export const deleteAudio = async (fileName) => {
+    await fs.promises.rm(path.join(audioDir(), path.basename(fileName)), { force: true });
+};
+
+// Read a stored audio file, or null if it's missing (e.g. deleted storage)
+export const readAudio = async (fileName) => {
+    try {
+        return await fs.promises.readFile(path.join(audioDir(), path.basename(fileName)));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+// Parse a single "bytes=start-end" range; returns null when absent, false when unsatisfiable
+const parseRange = (header, size) => {
+    if (!header) return null;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return false;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    if (start > end || start >= size) return false;
+    return { start, end };
+};
+
+// Stream a stored audio file, answering Range requests with 206 Partial Content. Rejects with
+// ENOENT, before anything is sent, when the file is missing; a read failing part-way destroys the
+// response. Resolves once the file is sent or the client has gone away.
+export const streamAudio = async (req, res, fileName, mimeType) => {
+    // The file is opened first, so one deleted while it streams (e.g. by the retention job) can still
+    // be read to the end
+    const file = await fs.promises.open(path.join(audioDir(), path.basename(fileName)));
+    let stream;
+    try {
+        const { size } = await file.stat();
+        const range = parseRange(req.headers.range, size);
+
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+
+        if (range === false) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+            return res.status(416).end();
+        }
+
+        if (range) {
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+        } else {
+            res.setHeader('Content-Length', size);
+        }
+        stream = file.createReadStream(range || {}); // closes the file when done
+    } finally {
+        if (!stream) await file.close();
+    }
+
+    try {
+        await pipeline(stream, res);
+    } catch (error) {
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+    }
+};
@@ -0,0 +1,127 @@
+// backend/services/authTokens.js
+// Session cookies: a short-lived access JWT plus a rotating refresh token, both HttpOnly,
+// and a readable CSRF token for the double-submit check in middleware/csrf.js.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { RefreshToken } from '../models/RefreshToken.js';
+import { BlacklistedToken } from '../models/BlacklistedToken.js';
+import { logger } from '../utils/logger.js';
+import { sessionRefreshes } from '../utils/metrics.js';
+
+export const ACCESS_COOKIE = 'jwtToken';
+export const REFRESH_COOKIE = 'refreshToken';
+export const CSRF_COOKIE = 'csrfToken';
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const REFRESH_COOKIE_PATH = '/api/v1/auth'; // The refresh token is only sent to the auth endpoints
+const LEGACY_REFRESH_COOKIE_PATH = '/api/auth'; // Before the versioned API; cleared when a session is issued
+
+export class RefreshTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RefreshTokenError';
+        this.status = 401;
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const cookieOptions = (maxAge, overrides = {}) => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    maxAge,
+    ...overrides
+});
+
+// Set a fresh CSRF cookie; readable by the frontend so it can echo it in a header
+export const setCsrfCookie = (res) => {
+    const csrfToken = crypto.randomBytes(32).toString('base64url');
+    res.cookie(CSRF_COOKIE, csrfToken, cookieOptions(REFRESH_TOKEN_TTL_MS, { httpOnly: false }));
+    return csrfToken;
+};
+
+// Sign an access JWT and create a refresh token, then set all session cookies
+export const issueSession = async (res, userId, family = uuidv4()) => {
+    const accessToken = jwt.sign({ userId, jti: uuidv4() }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await RefreshToken.create({
+        userId,
+        tokenHash: hashToken(refreshToken),
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    res.cookie(ACCESS_COOKIE, accessToken, cookieOptions(ACCESS_TOKEN_TTL_SECONDS * 1000));
+    res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(REFRESH_TOKEN_TTL_MS, { path: REFRESH_COOKIE_PATH }));
+    // A leftover token on the old path would be replayed by the deprecated refresh alias and
+    // look like token reuse
+    const { maxAge, ...clearOptions } = cookieOptions(0);
+    res.clearCookie(REFRESH_COOKIE, { ...clearOptions, path: LEGACY_REFRESH_COOKIE_PATH });
+    setCsrfCookie(res);
+};
+
+// Exchange a refresh token for a new session. A token that was already rotated means it leaked,
+// so the whole family is revoked and that login has to start over.
+export const rotateSession = async (res, refreshToken) => {
+    if (!refreshToken) {
+        sessionRefreshes.inc({ outcome: 'missing' });
+        throw new RefreshTokenError('No refresh token provided');
+    }
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!stored || stored.expiresAt <= new Date()) {
+        sessionRefreshes.inc({ outcome: 'invalid' });
+        throw new RefreshTokenError('Refresh token is invalid or expired');
+    }
+    if (stored.revokedAt) {
+        await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+        sessionRefreshes.inc({ outcome: 'reused' });
+        logger.warn('Refresh token reuse detected, session family revoked', { userId: stored.userId });
+        throw new RefreshTokenError('Refresh token has been revoked');
+    }
+
+    // Claim the token atomically so two concurrent refreshes can't both rotate it
+    const claimed = await RefreshToken.updateOne({ _id: stored._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    if (claimed.modifiedCount === 0) {
+        sessionRefreshes.inc({ outcome: 'invalid' });
+        throw new RefreshTokenError('Refresh token has been revoked');
+    }
+
+    await issueSession(res, stored.userId, stored.family);
+    sessionRefreshes.inc({ outcome: 'success' });
+    return stored.userId;
+};
+
+// Revoke every refresh token from the same login as this one
+export const revokeSession = async (refreshToken) => {
+    if (!refreshToken) return;
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (stored) {
+        await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    }
+};
+
+export const clearSessionCookies = (res) => {
+    const { maxAge, ...options } = cookieOptions(0);
+    res.clearCookie(ACCESS_COOKIE, options);
+    res.clearCookie(REFRESH_COOKIE, { ...options, path: REFRESH_COOKIE_PATH });
+    res.clearCookie(REFRESH_COOKIE, { ...options, path: LEGACY_REFRESH_COOKIE_PATH });
+    res.clearCookie(CSRF_COOKIE, { ...options, httpOnly: false });
+};
+
+// Blacklist an access token's jti. Expired tokens are still blacklisted so they can't be
+// replayed with a skewed clock.
+export const blacklistAccessToken = async (token) => {
+    if (!token) return;
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+        await BlacklistedToken.updateOne({ jti: decoded.jti }, { $setOnInsert: { jti: decoded.jti } }, { upsert: true });
+    } catch (error) {
+        if (!(error instanceof jwt.JsonWebTokenError)) throw error;
+    }
+};
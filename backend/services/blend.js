@@ -0,0 +1,271 @@
+// backend/services/blend.js
+// Taste comparison between two users. One user creates an invite link; when another user accepts it,
+// both users' top artists and tracks are fetched with their own Spotify clients and compared here.
+// Only the comparison (score, shared items, recommendations) is ever shown to either participant.
+import crypto from 'crypto';
+import { Blend } from '../models/Blend.js';
+import { User } from '../models/User.js';
+import { createSpotifyClient, SpotifyAuthError } from './spotifyClient.js';
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_PENDING_INVITES = 10;
+const TASTE_LIMIT = 50; // Spotify's maximum top items per request
+const MAX_SHARED_ITEMS = 10;
+const MAX_RECOMMENDATIONS = 8;
+export const BLEND_PLAYLIST_LENGTH = 50;
+
+// Weights of each similarity in the overall score
+const SCORE_WEIGHTS = { artists: 0.4, genres: 0.4, tracks: 0.2 };
+
+export class BlendError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'BlendError';
+        this.status = status;
+    }
+}
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Create an invite; the code is only returned here, the database keeps its hash
+export const createInvite = async (userId) => {
+    const pending = await Blend.countDocuments({ inviterId: userId, status: 'pending', expiresAt: { $gt: new Date() } });
+    if (pending >= MAX_PENDING_INVITES) {
+        throw new BlendError(`You already have ${MAX_PENDING_INVITES} open invites; wait for them to be accepted or expire`, 429);
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    const blend = await Blend.create({
+        inviterId: userId,
+        tokenHash: hashCode(code),
+        expiresAt: new Date(Date.now() + INVITE_TTL_MS)
+    });
+    return { code, blend };
+};
+
+// Look up a usable invite by its code
+export const findInvite = async (code) => {
+    if (typeof code !== 'string' || !code) {
+        throw new BlendError('Invite not found', 404);
+    }
+    const blend = await Blend.findOne({ tokenHash: hashCode(code) });
+    if (!blend || blend.status === 'declined') {
+        throw new BlendError('Invite not found', 404);
+    }
+    if (blend.status === 'accepted') {
+        throw new BlendError('This invite has already been used', 410);
+    }
+    if (!blend.expiresAt || blend.expiresAt <= new Date()) {
+        throw new BlendError('This invite has expired', 410);
+    }
+    return blend;
+};
+
+// Fetch the top artists and tracks a comparison is built from, with the user's own client
+const fetchTaste = async (spotify) => {
+    const params = { time_range: 'medium_term', limit: TASTE_LIMIT };
+    const [artists, tracks] = await Promise.all([
+        spotify.get('/me/top/artists', params),
+        spotify.get('/me/top/tracks', params)
+    ]);
+    return {
+        artists: artists.items.map((artist) => ({ id: artist.id, name: artist.name, genres: artist.genres || [] })),
+        tracks: tracks.items.map((track) => ({
+            id: track.id,
+            name: track.name,
+            artists: track.artists.map((artist) => artist.name),
+            uri: track.uri
+        }))
+    };
+};
+
+// |A ∩ B| / min(|A|, |B|): 1 when the smaller list is entirely shared
+const overlap = (a, b) => {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    a.forEach((item) => { if (b.has(item)) shared++; });
+    return shared / Math.min(a.size, b.size);
+};
+
+const genreCounts = (taste) => {
+    const counts = new Map();
+    taste.artists.forEach((artist) => artist.genres.forEach((genre) => counts.set(genre, (counts.get(genre) || 0) + 1)));
+    return counts;
+};
+
+// Cosine similarity of two genre count vectors
+const cosine = (a, b) => {
+    let dot = 0;
+    a.forEach((count, genre) => { dot += count * (b.get(genre) || 0); });
+    const norm = (counts) => Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator ? dot / denominator : 0;
+};
+
+// The other user's artists this user doesn't know yet, ranked by how well their genres fit
+const recommend = (forTaste, fromTaste) => {
+    const known = new Set(forTaste.artists.map((artist) => artist.id));
+    const genres = genreCounts(forTaste);
+    return fromTaste.artists
+        .filter((artist) => !known.has(artist.id))
+        .map((artist, rank) => {
+            const matching = artist.genres.filter((genre) => genres.has(genre));
+            return { artist, matching, fit: matching.reduce((sum, genre) => sum + genres.get(genre), 0), rank };
+        })
+        .sort((a, b) => b.fit - a.fit || a.rank - b.rank)
+        .slice(0, MAX_RECOMMENDATIONS)
+        .map(({ artist, matching }) => ({
+            name: artist.name,
+            genres: artist.genres.slice(0, 2),
+            reason: matching.length
+                ? `Fits your love of ${matching.slice(0, 2).join(' and ')}`
+                : 'A favorite of theirs, outside your usual genres'
+        }));
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Compare two tastes
+export const compareTastes = (inviter, invitee) => {
+    const inviterArtists = new Set(inviter.artists.map((artist) => artist.id));
+    const inviteeArtists = new Set(invitee.artists.map((artist) => artist.id));
+    const inviterTracks = new Set(inviter.tracks.map((track) => track.id));
+    const inviteeTracks = new Set(invitee.tracks.map((track) => track.id));
+    const inviterGenres = genreCounts(inviter);
+    const inviteeGenres = genreCounts(invitee);
+
+    const breakdown = {
+        artists: round(overlap(inviterArtists, inviteeArtists)),
+        genres: round(cosine(inviterGenres, inviteeGenres)),
+        tracks: round(overlap(inviterTracks, inviteeTracks))
+    };
+    const score = Math.round(100 * Object.entries(SCORE_WEIGHTS)
+        .reduce((sum, [key, weight]) => sum + weight * breakdown[key], 0));
+
+    return {
+        score,
+        breakdown,
+        sharedArtists: inviter.artists.filter((artist) => inviteeArtists.has(artist.id)).map((artist) => artist.name).slice(0, MAX_SHARED_ITEMS),
+        sharedGenres: [...inviterGenres.keys()]
+            .filter((genre) => inviteeGenres.has(genre))
+            .sort((a, b) => (inviteeGenres.get(b) + inviterGenres.get(b)) - (inviteeGenres.get(a) + inviterGenres.get(a)))
+            .slice(0, MAX_SHARED_ITEMS),
+        sharedTracks: inviter.tracks
+            .filter((track) => inviteeTracks.has(track.id))
+            .map((track) => `${track.name} by ${track.artists.join(', ')}`)
+            .slice(0, MAX_SHARED_ITEMS),
+        forInviter: recommend(inviter, invitee),
+        forInvitee: recommend(invitee, inviter)
+    };
+};
+
+// Accept an invite as `user`: compute the comparison and record the consent
+export const acceptInvite = async (code, user, spotify) => {
+    const invite = await findInvite(code);
+    if (invite.inviterId.equals(user._id)) {
+        throw new BlendError('You can\'t accept your own invite');
+    }
+    const inviter = await User.findById(invite.inviterId);
+    if (!inviter) {
+        throw new BlendError('Invite not found', 404);
+    }
+
+    const [inviterTaste, inviteeTaste] = await Promise.all([
+        // The inviter's expired grant isn't the invitee's problem to fix by logging in again
+        fetchTaste(createSpotifyClient(inviter)).catch((error) => {
+            if (error instanceof SpotifyAuthError) {
+                throw new BlendError('The person who invited you needs to log in to Moodi-Fi again before this invite can be accepted', 409);
+            }
+            throw error;
+        }),
+        fetchTaste(spotify)
+    ]);
+
+    // Only one acceptance can win, and only while the invite is still open
+    const blend = await Blend.findOneAndUpdate(
+        { _id: invite._id, status: 'pending', expiresAt: { $gt: new Date() } },
+        {
+            $set: {
+                inviteeId: user._id,
+                status: 'accepted',
+                acceptedAt: new Date(),
+                tastes: { inviter: inviterTaste, invitee: inviteeTaste },
+                result: compareTastes(inviterTaste, inviteeTaste)
+            },
+            $unset: { expiresAt: 1 }
+        },
+        { new: true }
+    );
+    if (!blend) {
+        throw new BlendError('This invite has already been used', 410);
+    }
+    return blend;
+};
+
+export const declineInvite = async (code, user) => {
+    const invite = await findInvite(code);
+    if (invite.inviterId.equals(user._id)) {
+        throw new BlendError('You can\'t decline your own invite; delete it instead');
+    }
+    invite.status = 'declined';
+    await invite.save();
+};
+
+// A blend the user takes part in, or a 404
+export const findUserBlend = async (blendId, userId) => {
+    const blend = await Blend.findOne({ _id: blendId, $or: [{ inviterId: userId }, { inviteeId: userId }] });
+    if (!blend) {
+        throw new BlendError('Blend not found', 404);
+    }
+    return blend;
+};
+
+// Alternate both users' top tracks, skipping duplicates
+export const interleaveTracks = (blend) => {
+    const first = blend.tastes.inviter.tracks;
+    const second = blend.tastes.invitee.tracks;
+    const uris = [];
+    for (let i = 0; i < Math.max(first.length, second.length); i++) {
+        [first[i], second[i]].forEach((track) => {
+            if (track && track.uri && !uris.includes(track.uri)) uris.push(track.uri);
+        });
+    }
+    return uris.slice(0, BLEND_PLAYLIST_LENGTH);
+};
+
+// Shape a blend for one of its participants. Tastes and account details stay on the server;
+// the partner is identified by display name only.
+export const formatBlend = (blend, viewerId, partners = new Map()) => {
+    const isInviter = blend.inviterId.equals(viewerId);
+    const partnerId = isInviter ? blend.inviteeId : blend.inviterId;
+    const partner = partnerId ? partners.get(String(partnerId)) : null;
+    const result = blend.status === 'accepted' ? {
+        score: blend.result.score,
+        breakdown: blend.result.breakdown,
+        sharedArtists: blend.result.sharedArtists,
+        sharedGenres: blend.result.sharedGenres,
+        sharedTracks: blend.result.sharedTracks,
+        recommendedForYou: isInviter ? blend.result.forInviter : blend.result.forInvitee,
+        recommendedForThem: isInviter ? blend.result.forInvitee : blend.result.forInviter
+    } : null;
+
+    return {
+        id: blend._id,
+        status: blend.status,
+        role: isInviter ? 'inviter' : 'invitee',
+        partner: partner ? { displayName: partner.displayName || 'A Spotify listener' } : null,
+        expiresAt: blend.status === 'pending' ? blend.expiresAt : undefined,
+        acceptedAt: blend.acceptedAt,
+        createdAt: blend.createdAt,
+        result
+    };
+};
+
+// Display names of the other participants, keyed by user id
+export const loadPartners = async (blends, viewerId) => {
+    const ids = blends
+        .map((blend) => (blend.inviterId.equals(viewerId) ? blend.inviteeId : blend.inviterId))
+        .filter(Boolean);
+    const users = await User.find({ _id: { $in: ids } }).select('displayName');
+    return new Map(users.map((user) => [String(user._id), user]));
+};
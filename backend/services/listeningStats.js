@@ -0,0 +1,275 @@
+// backend/services/listeningStats.js
+// Aggregate statistics over a user's stored ListeningEvents. All work happens in MongoDB
+// aggregation pipelines; week bucketing uses $dateTrunc, which needs MongoDB 5.0+.
+import { ListeningEvent } from '../models/ListeningEvent.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 28;
+const MAX_RANGE_DAYS = 366;
+
+export class StatsRangeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StatsRangeError';
+        this.status = 400;
+    }
+}
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Parse from/to (ISO dates) and timezone (IANA name) query parameters; defaults to the last 28 days in UTC
+export const parseStatsRange = (query) => {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    const timezone = query.timezone || 'UTC';
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        throw new StatsRangeError('from and to must be valid ISO 8601 dates');
+    }
+    if (from >= to) {
+        throw new StatsRangeError('from must be before to');
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+        throw new StatsRangeError(`The date range can be at most ${MAX_RANGE_DAYS} days`);
+    }
+    if (!isValidTimezone(timezone)) {
+        throw new StatsRangeError('timezone must be a valid IANA time zone, e.g. Europe/Berlin');
+    }
+
+    return { from, to, timezone };
+};
+
+const matchRange = (userId, { from, to }) => ({
+    $match: { userId, playedAt: { $gte: from, $lt: to } }
+});
+
+const weekOf = (field, timezone) => ({
+    $dateTrunc: { date: field, unit: 'week', startOfWeek: 'monday', timezone }
+});
+
+// Shannon entropy (bits) of the play distribution across artists, plus a 0-1 normalized score
+const artistDiversityStages = [
+    { $unwind: '$artists' },
+    { $group: { _id: '$artists.id', plays: { $sum: 1 } } },
+    { $group: { _id: null, total: { $sum: '$plays' }, counts: { $push: '$plays' }, artists: { $sum: 1 } } },
+    {
+        $project: {
+            _id: 0,
+            artists: 1,
+            entropy: {
+                $reduce: {
+                    input: '$counts',
+                    initialValue: 0,
+                    in: {
+                        $subtract: ['$$value', {
+                            $multiply: [
+                                { $divide: ['$$this', '$total'] },
+                                { $log: [{ $divide: ['$$this', '$total'] }, 2] }
+                            ]
+                        }]
+                    }
+                }
+            }
+        }
+    },
+    {
+        $addFields: {
+            normalized: {
+                $cond: [{ $gt: ['$artists', 1] }, { $divide: ['$entropy', { $log: ['$artists', 2] }] }, 0]
+            }
+        }
+    }
+];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Total listening time, play counts and artist diversity
+export const getOverview = async (userId, range) => {
+    const [result] = await ListeningEvent.aggregate([
+        matchRange(userId, range),
+        {
+            $facet: {
+                totals: [{ $group: { _id: null, durationMs: { $sum: '$durationMs' }, plays: { $sum: 1 } } }],
+                tracks: [{ $group: { _id: '$trackId' } }, { $count: 'count' }],
+                diversity: artistDiversityStages
+            }
+        }
+    ]);
+
+    const totals = result.totals[0] || { durationMs: 0, plays: 0 };
+    const diversity = result.diversity[0] || { artists: 0, entropy: 0, normalized: 0 };
+    return {
+        from: range.from,
+        to: range.to,
+        totalMinutes: Math.round(totals.durationMs / 60000),
+        playCount: totals.plays,
+        uniqueTracks: result.tracks[0] ? result.tracks[0].count : 0,
+        uniqueArtists: diversity.artists,
+        artistDiversity: {
+            entropy: round(diversity.entropy),
+            normalized: round(diversity.normalized)
+        }
+    };
+};
+
+// Plays and minutes by hour of day (0-23) and day of week (0 = Sunday) in the requested timezone
+export const getHabits = async (userId, range) => {
+    const { timezone } = range;
+    const [result] = await ListeningEvent.aggregate([
+        matchRange(userId, range),
+        {
+            $facet: {
+                byHour: [
+                    { $group: { _id: { $hour: { date: '$playedAt', timezone } }, plays: { $sum: 1 }, durationMs: { $sum: '$durationMs' } } }
+                ],
+                byDay: [
+                    { $group: { _id: { $dayOfWeek: { date: '$playedAt', timezone } }, plays: { $sum: 1 }, durationMs: { $sum: '$durationMs' } } }
+                ]
+            }
+        }
+    ]);
+
+    // Fill empty buckets so clients always get 24 hours and 7 days
+    const byHourOfDay = Array.from({ length: 24 }, (_, hour) => {
+        const bucket = result.byHour.find((entry) => entry._id === hour);
+        return { hour, plays: bucket ? bucket.plays : 0, minutes: bucket ? Math.round(bucket.durationMs / 60000) : 0 };
+    });
+    const byDayOfWeek = Array.from({ length: 7 }, (_, day) => {
+        const bucket = result.byDay.find((entry) => entry._id === day + 1); // $dayOfWeek is 1 (Sunday) to 7
+        return { day, plays: bucket ? bucket.plays : 0, minutes: bucket ? Math.round(bucket.durationMs / 60000) : 0 };
+    });
+
+    return { from: range.from, to: range.to, timezone, byHourOfDay, byDayOfWeek };
+};
+
+// Top artists, tracks and genres for each week in the range
+export const getWeeklyTop = async (userId, range, limit = 5) => {
+    const week = weekOf('$playedAt', range.timezone);
+    const topPerWeek = (groupId, name) => [
+        { $group: { _id: { week, item: groupId }, name: { $first: name }, plays: { $sum: 1 } } },
+        { $sort: { plays: -1 } },
+        { $group: { _id: '$_id.week', items: { $push: { id: '$_id.item', name: '$name', plays: '$plays' } } } },
+        { $project: { items: { $slice: ['$items', limit] } } }
+    ];
+
+    const [result] = await ListeningEvent.aggregate([
+        matchRange(userId, range),
+        {
+            $facet: {
+                plays: [{ $group: { _id: week, plays: { $sum: 1 }, durationMs: { $sum: '$durationMs' } } }],
+                artists: [{ $unwind: '$artists' }, ...topPerWeek('$artists.id', '$artists.name')],
+                tracks: topPerWeek('$trackId', '$trackName'),
+                genres: [{ $unwind: '$genres' }, ...topPerWeek('$genres', '$genres')]
+            }
+        }
+    ]);
+
+    const itemsFor = (facet, weekStart) => {
+        const entry = facet.find((item) => item._id.getTime() === weekStart.getTime());
+        return entry ? entry.items : [];
+    };
+
+    const weeks = result.plays
+        .sort((a, b) => a._id - b._id)
+        .map((entry) => ({
+            weekStart: entry._id,
+            playCount: entry.plays,
+            totalMinutes: Math.round(entry.durationMs / 60000),
+            topArtists: itemsFor(result.artists, entry._id),
+            topTracks: itemsFor(result.tracks, entry._id),
+            topGenres: itemsFor(result.genres, entry._id).map(({ name, plays }) => ({ name, plays }))
+        }));
+
+    return { from: range.from, to: range.to, timezone: range.timezone, weeks };
+};
+
+// Per week: artists heard, artists heard for the first time ever, and the share that were new
+export const getDiscovery = async (userId, range) => {
+    const week = weekOf('$playedAt', range.timezone);
+    const [heard, firstPlays] = await Promise.all([
+        ListeningEvent.aggregate([
+            matchRange(userId, range),
+            { $unwind: '$artists' },
+            { $group: { _id: { week, artist: '$artists.id' } } },
+            { $group: { _id: '$_id.week', artists: { $sum: 1 } } }
+        ]),
+        // First plays are computed over the whole history, not just the range
+        ListeningEvent.aggregate([
+            { $match: { userId } },
+            { $unwind: '$artists' },
+            { $group: { _id: '$artists.id', name: { $first: '$artists.name' }, firstPlayedAt: { $min: '$playedAt' } } },
+            { $match: { firstPlayedAt: { $gte: range.from, $lt: range.to } } },
+            {
+                $group: {
+                    _id: weekOf('$firstPlayedAt', range.timezone),
+                    newArtists: { $sum: 1 },
+                    examples: { $push: '$name' }
+                }
+            }
+        ])
+    ]);
+
+    const weeks = heard
+        .sort((a, b) => a._id - b._id)
+        .map((entry) => {
+            const discovered = firstPlays.find((item) => item._id.getTime() === entry._id.getTime());
+            const newArtists = discovered ? discovered.newArtists : 0;
+            return {
+                weekStart: entry._id,
+                artistsHeard: entry.artists,
+                newArtists,
+                discoveryRate: round(newArtists / entry.artists),
+                newArtistExamples: discovered ? discovered.examples.slice(0, 5) : []
+            };
+        });
+
+    const totalHeard = weeks.reduce((sum, entry) => sum + entry.artistsHeard, 0);
+    const totalNew = weeks.reduce((sum, entry) => sum + entry.newArtists, 0);
+    return {
+        from: range.from,
+        to: range.to,
+        timezone: range.timezone,
+        discoveryRate: totalHeard ? round(totalNew / totalHeard) : 0,
+        weeks
+    };
+};
+
+// Recent listening trends for the summary prompt: the last four weeks against the four before.
+// Returns null when there isn't any stored history yet.
+export const getListeningTrends = async (userId) => {
+    const now = new Date();
+    const recent = { from: new Date(now.getTime() - DEFAULT_RANGE_DAYS * DAY_MS), to: now, timezone: 'UTC' };
+    const previous = { from: new Date(recent.from.getTime() - DEFAULT_RANGE_DAYS * DAY_MS), to: recent.from, timezone: 'UTC' };
+
+    const periodSummary = async (range) => {
+        const [overview, weekly] = await Promise.all([getOverview(userId, range), getWeeklyTop(userId, range, 3)]);
+        const counts = (key) => {
+            const totals = new Map();
+            weekly.weeks.forEach((entry) => entry[key].forEach((item) => {
+                totals.set(item.name, (totals.get(item.name) || 0) + item.plays);
+            }));
+            return [...totals.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([name]) => name);
+        };
+        return {
+            minutes: overview.totalMinutes,
+            plays: overview.playCount,
+            uniqueArtists: overview.uniqueArtists,
+            artistDiversity: overview.artistDiversity.normalized,
+            topArtists: counts('topArtists'),
+            topGenres: counts('topGenres')
+        };
+    };
+
+    const [last4Weeks, previous4Weeks] = await Promise.all([periodSummary(recent), periodSummary(previous)]);
+    if (last4Weeks.plays === 0 && previous4Weeks.plays === 0) {
+        return null;
+    }
+    return { last4Weeks, previous4Weeks };
+};
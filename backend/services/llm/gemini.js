@@ -0,0 +1,61 @@
+// backend/services/llm/gemini.js
+// Google Gemini through the @google/generative-ai SDK.
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const createGeminiProvider = ({
+    apiKey = process.env.GOOGLE_API_KEY,
+    model: modelName = 'gemini-2.0-flash-exp',
+    temperature,
+    maxOutputTokens,
+    timeoutMs
+}) => {
+    if (!apiKey) {
+        throw new Error('GOOGLE_API_KEY is required for the gemini LLM provider');
+    }
+    const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: modelName }, { timeout: timeoutMs });
+
+    // A per-request generationConfig replaces the model's, so it is always built in full
+    const buildRequest = (prompt, options) => ({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+            candidateCount: 1,
+            temperature: options.temperature ?? temperature,
+            maxOutputTokens: options.maxOutputTokens ?? maxOutputTokens,
+            ...(options.json ? { responseMimeType: 'application/json' } : {}),
+            ...(options.json && options.schema ? { responseSchema: options.schema } : {})
+        }
+    });
+
+    const toUsage = (usage) => (usage ? {
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0
+    } : null);
+
+    return {
+        name: 'gemini',
+        model: modelName,
+
+        // Counting tokens is free and fails the same way generation would on a bad key or model
+        async check() {
+            await model.countTokens('ping');
+        },
+
+        async generate(prompt, options = {}) {
+            const result = await model.generateContent(buildRequest(prompt, options));
+            return { text: result.response.text(), usage: toUsage(result.response.usageMetadata) };
+        },
+
+        async *stream(prompt, options = {}) {
+            const result = await model.generateContentStream(buildRequest(prompt, options), { signal: options.signal });
+            let usage = null;
+            for await (const chunk of result.stream) {
+                const text = chunk.text();
+                if (text) yield { text };
+                // Every chunk carries the running totals; the last one is final
+                if (chunk.usageMetadata) usage = toUsage(chunk.usageMetadata);
+            }
+            yield { usage };
+        }
+    };
+};
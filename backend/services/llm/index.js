@@ -0,0 +1,126 @@
+// backend/services/llm/index.js
+// LLM provider registry. A provider exposes:
+//   name, model, generate(prompt, options) -> Promise<{ text, usage }>, and
+//   stream(prompt, options) -> async iterable of { text } chunks followed by one { usage }, and
+//   check() -> Promise that rejects when the provider can't be reached (for readiness checks)
+// options: { task, json, schema, temperature, maxOutputTokens }. `task` names the caller (e.g. 'summary')
+// for logging and the mock provider; `json` asks for a JSON-only response and `schema` (a JSON Schema
+// using only type, properties, required, items and description) constrains it further. usage is
+// { inputTokens, outputTokens, totalTokens } when the provider reports it, otherwise null.
+// options.signal (an AbortSignal) cancels the upstream request.
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { llmRequests, llmRequestDuration, llmTokens } from '../../utils/metrics.js';
+
+const providers = {
+    gemini: createGeminiProvider,
+    openai: createOpenAiProvider,
+    mock: createMockProvider
+};
+
+export const LLM_PROVIDERS = Object.keys(providers);
+
+// The provider failed or couldn't be reached; callers degrade or answer 503
+export class LlmProviderError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'LlmProviderError';
+        this.status = 503;
+        this.details = details;
+    }
+}
+
+const numberFromEnv = (name, fallback) => {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`${name} must be a number`);
+    }
+    return number;
+};
+
+// Generation settings shared by every provider, from the environment
+export const llmConfigFromEnv = () => ({
+    model: process.env.LLM_MODEL || undefined, // each provider has its own default
+    temperature: numberFromEnv('LLM_TEMPERATURE', 1.0),
+    maxOutputTokens: numberFromEnv('LLM_MAX_OUTPUT_TOKENS', 1000),
+    timeoutMs: numberFromEnv('LLM_TIMEOUT_MS', 30000)
+});
+
+// Create the provider named by LLM_PROVIDER (defaults to Gemini)
+export const createLlmProvider = (name = process.env.LLM_PROVIDER || 'gemini', options = llmConfigFromEnv()) => {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Available providers: ${LLM_PROVIDERS.join(', ')}`);
+    }
+    const provider = factory(options);
+
+    // Wrap every failure in LlmProviderError so routes can tell an outage from a bug.
+    // Cancellations by the caller are passed through untouched.
+    const wrapError = (error, signal) => {
+        if (error instanceof LlmProviderError || (signal && signal.aborted)) return error;
+        return new LlmProviderError(`${provider.name} request failed`, error.message);
+    };
+
+    // Count every call for /metrics
+    const startCall = (callOptions) => {
+        const labels = { provider: provider.name, task: callOptions.task || 'other' };
+        const stopTimer = llmRequestDuration.startTimer(labels);
+        return (outcome, usage) => {
+            stopTimer();
+            llmRequests.inc({ ...labels, outcome });
+            if (usage) {
+                llmTokens.inc({ provider: provider.name, direction: 'input' }, usage.inputTokens || 0);
+                llmTokens.inc({ provider: provider.name, direction: 'output' }, usage.outputTokens || 0);
+            }
+        };
+    };
+    const failureOutcome = (signal) => (signal && signal.aborted ? 'cancelled' : 'error');
+
+    return {
+        ...provider,
+        async check() {
+            try {
+                await provider.check();
+            } catch (error) {
+                throw wrapError(error);
+            }
+        },
+        async generate(prompt, generateOptions = {}) {
+            const endCall = startCall(generateOptions);
+            try {
+                const result = await provider.generate(prompt, generateOptions);
+                endCall('success', result.usage);
+                return result;
+            } catch (error) {
+                endCall(failureOutcome(generateOptions.signal));
+                throw wrapError(error, generateOptions.signal);
+            }
+        },
+        async *stream(prompt, streamOptions = {}) {
+            const endCall = startCall(streamOptions);
+            let usage = null;
+            let outcome = 'cancelled'; // unless the stream ends or fails, the caller stopped reading
+            try {
+                for await (const chunk of provider.stream(prompt, streamOptions)) {
+                    if (chunk.usage) usage = chunk.usage;
+                    yield chunk;
+                }
+                outcome = 'success';
+            } catch (error) {
+                outcome = failureOutcome(streamOptions.signal);
+                throw wrapError(error, streamOptions.signal);
+            } finally {
+                endCall(outcome, usage);
+            }
+        }
+    };
+};
+
+// Pull the JSON payload out of a model response, tolerating markdown code fences
+export const parseJsonResponse = (text) => {
+    const unfenced = text.replace(/^\s*```(?:json)?/i, '').replace(/```\s*$/, '').trim();
+    return JSON.parse(unfenced);
+};
@@ -0,0 +1,139 @@
+// backend/services/llm/mock.js
+// Deterministic offline provider for development and tests: no network, and the same prompt always
+// gives the same answer. Responses are built from the JSON data embedded in each task's prompt.
+import crypto from 'crypto';
+
+// A stable number in [0, 1) for a seed string
+const unit = (seed) => crypto.createHash('sha256').update(seed).digest().readUInt32BE(0) / 2 ** 32;
+
+const pick = (items, seed) => items[Math.floor(unit(seed) * items.length)];
+
+// Parse the single-line JSON that follows "<label> (JSON): " in a prompt
+const extractJson = (prompt, label) => {
+    const marker = `${label} (JSON): `;
+    const start = prompt.indexOf(marker);
+    if (start === -1) return null;
+    const line = prompt.slice(start + marker.length).split('\n')[0];
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+};
+
+const names = (items = []) => items.map((item) => item.name).filter(Boolean);
+
+const listPhrase = (items) => (items.length > 1
+    ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+    : items[0] || 'a bit of everything');
+
+const TITLE_WORDS = ['Midnight', 'Golden', 'Electric', 'Quiet', 'Neon', 'Summer', 'Velvet', 'Paper', 'Ocean', 'Wild'];
+const TITLE_NOUNS = ['Drive', 'Hearts', 'Lights', 'Rain', 'Echoes', 'Skyline', 'Dreams', 'Fever', 'Tides', 'Static'];
+
+const mockInsights = (prompt) => {
+    const data = extractJson(prompt, 'Listening data') || {};
+    const artists = (data.topArtists || []).slice(0, 3);
+    const genres = names(data.topGenres).slice(0, 4);
+    const decade = data.releaseYears && data.releaseYears.decades && data.releaseYears.decades[0];
+    return {
+        headline: `A ${pick(['restless', 'devoted', 'wide-eyed', 'late-night'], prompt)} fan of ${listPhrase(genres.slice(0, 2))}`,
+        topArtists: artists.map((artist, index) => ({
+            name: artist.name,
+            reason: index === 0 ? 'The artist you come back to most.' : `Anchors your ${(artist.genres || [])[0] || 'eclectic'} side.`
+        })),
+        genres,
+        moods: [pick(['energetic', 'mellow', 'nostalgic', 'euphoric'], `${prompt}mood1`), pick(['moody', 'dreamy', 'playful', 'focused'], `${prompt}mood2`)],
+        funFacts: [
+            `${(data.topTracks || []).length} tracks made your top list.`,
+            decade ? `Most of your favorites come from the ${decade.name}.` : 'Your favorites span every era.'
+        ],
+        recommendedArtists: genres.slice(0, 2).map((genre) => ({
+            name: `${pick(TITLE_WORDS, genre)} ${pick(TITLE_NOUNS, `${genre}n`)}`,
+            reason: `More ${genre} in the same spirit.`
+        }))
+    };
+};
+
+const tasks = {
+    summary: (prompt) => JSON.stringify(mockInsights(prompt)),
+
+    // The sectioned plain-text layout the streaming summary prompt asks for
+    'summary-text'(prompt) {
+        const insights = mockInsights(prompt);
+        const artistLines = (items) => items.map((item) => `- ${item.name}: ${item.reason}`).join('\n');
+        return [
+            insights.headline,
+            `Top artists:\n${artistLines(insights.topArtists)}`,
+            `Genres:\n- ${insights.genres.join(', ')}`,
+            `Moods:\n- ${insights.moods.join(', ')}`,
+            `Fun facts:\n${insights.funFacts.map((fact) => `- ${fact}`).join('\n')}`,
+            `You might also like:\n${artistLines(insights.recommendedArtists)}`
+        ].join('\n\n');
+    },
+
+    'digest-recap'(prompt) {
+        const data = extractJson(prompt, 'Data') || {};
+        const top = (data.topArtists || [])[0] || 'your favorites';
+        if (data.firstDigest) {
+            return `Welcome to your weekly digest! ${top} is leading your last four weeks.`;
+        }
+        return `${top} is leading your last four weeks, with ${(data.newTracks || []).length} new tracks and ${(data.newArtists || []).length} new artists in your top list.`;
+    },
+
+    'mood-tracks'(prompt) {
+        const artists = names(extractJson(prompt, "Listener's top artists") || []);
+        const candidates = (artists.length ? artists : ['Mock Artist']).flatMap((artist) => [0, 1].map((index) => ({
+            title: `${pick(TITLE_WORDS, `${prompt}${artist}${index}w`)} ${pick(TITLE_NOUNS, `${prompt}${artist}${index}n`)}`,
+            artist
+        })));
+        return JSON.stringify(candidates);
+    },
+
+    'track-features'(prompt) {
+        const songs = extractJson(prompt, 'Songs') || [];
+        return JSON.stringify(songs.map((song) => ({
+            id: song.id,
+            energy: Math.round(unit(`${song.id}energy`) * 100) / 100,
+            valence: Math.round(unit(`${song.id}valence`) * 100) / 100,
+            tempo: 70 + Math.round(unit(`${song.id}tempo`) * 100)
+        })));
+    }
+};
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const STREAM_DELAY_MS = 20;
+
+const respond = (prompt, options) => {
+    const handler = tasks[options.task];
+    const text = handler
+        ? handler(prompt)
+        : (options.json ? '{}' : `Mock response ${unit(prompt).toString(36).slice(2, 10)}.`);
+    const usage = { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) };
+    usage.totalTokens = usage.inputTokens + usage.outputTokens;
+    return { text, usage };
+};
+
+export const createMockProvider = ({ model = 'mock' } = {}) => ({
+    name: 'mock',
+    model,
+
+    async check() {},
+
+    async generate(prompt, options = {}) {
+        return respond(prompt, options);
+    },
+
+    // The same response a word at a time, paced like a real model
+    async *stream(prompt, options = {}) {
+        const { text, usage } = respond(prompt, options);
+        for (const word of text.match(/\S+\s*|\s+/g) || []) {
+            await new Promise((resolve) => setTimeout(resolve, STREAM_DELAY_MS));
+            if (options.signal && options.signal.aborted) {
+                throw Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+            }
+            yield { text: word };
+        }
+        yield { usage };
+    }
+});
@@ -0,0 +1,88 @@
+// backend/services/llm/openai.js
+// Any OpenAI-compatible chat completions endpoint: OpenAI itself, or local servers such as
+// Ollama (OPENAI_BASE_URL=http://localhost:11434/v1) and llama.cpp.
+import axios from 'axios';
+
+const toUsage = (usage) => (usage ? {
+    inputTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+} : null);
+
+export const createOpenAiProvider = ({
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+    model = 'gpt-4o-mini',
+    temperature,
+    maxOutputTokens,
+    timeoutMs
+}) => {
+    const post = (body, options, axiosOptions = {}) => {
+        // Without a schema, JSON is only requested in the prompt: json_object mode doesn't allow the
+        // top-level arrays some prompts ask for. Callers parse the text leniently either way.
+        const responseFormat = options.json && options.schema
+            ? { type: 'json_schema', json_schema: { name: options.task || 'response', schema: options.schema } }
+            : undefined;
+        return axios.post(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+            model,
+            temperature: options.temperature ?? temperature,
+            max_tokens: options.maxOutputTokens ?? maxOutputTokens,
+            response_format: responseFormat,
+            ...body
+        }, {
+            // Local servers usually don't need a key
+            headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+            timeout: timeoutMs,
+            signal: options.signal,
+            ...axiosOptions
+        });
+    };
+
+    return {
+        name: 'openai',
+        model,
+
+        async check() {
+            await axios.get(`${baseUrl.replace(/\/$/, '')}/models`, {
+                headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+                timeout: timeoutMs
+            });
+        },
+
+        async generate(prompt, options = {}) {
+            const response = await post({ messages: [{ role: 'user', content: prompt }] }, options);
+            const choice = response.data.choices && response.data.choices[0];
+            if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+                throw new Error('Response contained no message');
+            }
+            return { text: choice.message.content, usage: toUsage(response.data.usage) };
+        },
+
+        // Server-sent "data: {json}" lines, ending with "data: [DONE]"
+        async *stream(prompt, options = {}) {
+            const response = await post({
+                messages: [{ role: 'user', content: prompt }],
+                stream: true,
+                stream_options: { include_usage: true }
+            }, options, { responseType: 'stream' });
+
+            const decoder = new TextDecoder(); // chunks can split multi-byte characters
+            let usage = null;
+            let buffered = '';
+            for await (const chunk of response.data) {
+                buffered += decoder.decode(chunk, { stream: true });
+                const lines = buffered.split('\n');
+                buffered = lines.pop();
+                for (const line of lines) {
+                    const data = line.trim().replace(/^data:\s*/, '');
+                    if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+                    const event = JSON.parse(data);
+                    const delta = event.choices && event.choices[0] && event.choices[0].delta;
+                    if (delta && delta.content) yield { text: delta.content };
+                    if (event.usage) usage = toUsage(event.usage);
+                }
+            }
+            yield { usage };
+        }
+    };
+};
@@ -0,0 +1,37 @@
+// backend/services/mailer.js
+// Outgoing email over SMTP. For local development point SMTP_HOST/SMTP_PORT at a catcher
+// such as MailHog or smtp4dev (e.g. localhost:1025) to see messages without delivering them.
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+export const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT || 587),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+    return transporter;
+};
+
+// Send a message; resolves to false without sending when SMTP isn't configured
+export const sendMail = async ({ to, subject, text, html }) => {
+    if (!isMailConfigured()) {
+        return false;
+    }
+    await getTransporter().sendMail({
+        from: process.env.MAIL_FROM || 'Moodi-Fi <no-reply@moodi-fi.local>',
+        to,
+        subject,
+        text,
+        html
+    });
+    return true;
+};
@@ -0,0 +1,108 @@
+// backend/services/nowPlaying.js
+// What the user is playing right now, from Spotify's currently-playing endpoint. Results are cached
+// per user for a few seconds so several tabs and streams share one Spotify request.
+import { TrackFeatures } from '../models/TrackFeatures.js';
+import { getTrackFeatures } from './trackMood.js';
+import { logger } from '../utils/logger.js';
+
+export const NOW_PLAYING_CACHE_MS = 5000;
+const MAX_CACHED_USERS = 1000;
+const SEEK_TOLERANCE_MS = 3000; // progress drift beyond this counts as a seek
+
+// Latest state and any in-flight request, keyed by user id
+const cache = new Map();
+
+// Energy, valence and mood tag of a track, from the feature cache or estimated on first sight.
+// A missing mood never fails the now-playing response.
+const lookupMood = async (spotify, llm, item) => {
+    if (!item.id) return null; // local files have no Spotify id
+    try {
+        let features = await TrackFeatures.findOne({ trackId: item.id });
+        if (!features) {
+            const artistIds = item.artists.map((artist) => artist.id).filter(Boolean);
+            const artists = artistIds.length ? await spotify.get('/artists', { ids: artistIds.join(',') }) : { artists: [] };
+            const estimates = await getTrackFeatures(spotify, llm, [{
+                id: item.id,
+                name: item.name,
+                artists: item.artists.map((artist) => artist.name),
+                genres: [...new Set(artists.artists.filter(Boolean).flatMap((artist) => artist.genres || []))]
+            }]);
+            features = estimates.get(item.id);
+        }
+        return features ? { label: features.mood, energy: features.energy, valence: features.valence, tempo: features.tempo } : null;
+    } catch (error) {
+        logger.error('Failed to look up track mood', { trackId: item.id, error });
+        return null;
+    }
+};
+
+// The smallest album image that is still large enough for the widget
+const artworkImage = (images = [], minWidth = 300) => {
+    const sorted = [...images].sort((a, b) => (a.width || 0) - (b.width || 0));
+    const image = sorted.find((candidate) => (candidate.width || 0) >= minWidth) || sorted[sorted.length - 1];
+    return image ? image.url : null;
+};
+
+const fetchNowPlaying = async (spotify, llm, previous) => {
+    // 204 (nothing playing) comes back as an empty body
+    const data = await spotify.get('/me/player/currently-playing');
+    const fetchedAt = Date.now(); // progressMs is as of now, not after the mood lookup
+    const item = data && data.currently_playing_type === 'track' ? data.item : null;
+    if (!item) {
+        return { isPlaying: false, track: null, progressMs: null, mood: null, fetchedAt };
+    }
+
+    const sameTrack = previous && previous.track && previous.track.id === item.id;
+    return {
+        isPlaying: Boolean(data.is_playing),
+        track: {
+            id: item.id,
+            name: item.name,
+            artists: item.artists.map((artist) => artist.name),
+            album: item.album ? item.album.name : null,
+            artworkUrl: item.album ? artworkImage(item.album.images) : null,
+            url: item.external_urls ? item.external_urls.spotify : null,
+            durationMs: item.duration_ms
+        },
+        progressMs: data.progress_ms,
+        mood: sameTrack ? previous.mood : await lookupMood(spotify, llm, item),
+        fetchedAt
+    };
+};
+
+// Current playback for a user, at most NOW_PLAYING_CACHE_MS old
+export const getNowPlaying = async (user, spotify, llm) => {
+    const key = String(user._id);
+    const entry = cache.get(key) || {};
+    if (entry.state && Date.now() - entry.state.fetchedAt < NOW_PLAYING_CACHE_MS) {
+        return entry.state;
+    }
+    if (!entry.pending) {
+        entry.pending = fetchNowPlaying(spotify, llm, entry.state)
+            .then((state) => {
+                entry.state = state;
+                return state;
+            })
+            .finally(() => {
+                entry.pending = null;
+            });
+        cache.delete(key); // re-insert so the oldest users are evicted first
+        cache.set(key, entry);
+        if (cache.size > MAX_CACHED_USERS) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+    return entry.pending;
+};
+
+// Whether a stream client needs a new state: another track, play/pause, or a seek
+export const nowPlayingChanged = (previous, current) => {
+    if (!previous) return true;
+    const previousId = previous.track ? previous.track.id : null;
+    const currentId = current.track ? current.track.id : null;
+    if (previousId !== currentId || previous.isPlaying !== current.isPlaying) return true;
+    if (!current.track) return false;
+
+    const expected = previous.progressMs + (previous.isPlaying ? current.fetchedAt - previous.fetchedAt : 0);
+    return Math.abs(current.progressMs - expected) > SEEK_TOLERANCE_MS;
+};
@@ -0,0 +1,194 @@
+// backend/services/playlists.js
+// Creates and updates the playlists Moodi-Fi writes to a user's Spotify library.
+import { Playlist } from '../models/Playlist.js';
+import { assertPlaylistQuota, recordPlaylistCreation } from './usage.js';
+import { logger } from '../utils/logger.js';
+
+const PLAYLIST_TRACK_BATCH_SIZE = 100; // Spotify's maximum URIs per add/replace call
+const MAX_APP_PLAYLISTS = 25; // Keeps us from flooding a user's library
+export const MAX_NAME_LENGTH = 150;
+export const MAX_DESCRIPTION_LENGTH = 300;
+export const PLAYLIST_MODES = ['create', 'append', 'replace'];
+
+export class PlaylistRequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PlaylistRequestError';
+        this.status = status;
+    }
+}
+
+// Remove duplicate URIs, keeping first occurrences in order
+export const dedupeUris = (uris) => [...new Set(uris)];
+
+const chunk = (items, size) => {
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) {
+        batches.push(items.slice(i, i + size));
+    }
+    return batches;
+};
+
+// Validate playlist options from a request body. New playlists get the defaults;
+// existing playlists only have the details that were explicitly sent updated.
+export const parsePlaylistOptions = (body, defaults = {}) => {
+    const { mode = 'create', playlistId } = body;
+
+    if (!PLAYLIST_MODES.includes(mode)) {
+        throw new PlaylistRequestError(`mode must be one of: ${PLAYLIST_MODES.join(', ')}`);
+    }
+    if (mode !== 'create' && (typeof playlistId !== 'string' || !playlistId)) {
+        throw new PlaylistRequestError('playlistId is required to append to or replace a playlist');
+    }
+
+    const details = mode === 'create'
+        ? { name: defaults.name, description: defaults.description || '', public: false }
+        : {};
+    if (body.name !== undefined) details.name = body.name;
+    if (body.description !== undefined) details.description = body.description;
+    if (body.public !== undefined) details.public = body.public;
+
+    if (details.name !== undefined
+        && (typeof details.name !== 'string' || !details.name.trim() || details.name.length > MAX_NAME_LENGTH)) {
+        throw new PlaylistRequestError(`name must be between 1 and ${MAX_NAME_LENGTH} characters`);
+    }
+    if (details.description !== undefined
+        && (typeof details.description !== 'string' || details.description.length > MAX_DESCRIPTION_LENGTH)) {
+        throw new PlaylistRequestError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (details.public !== undefined && typeof details.public !== 'boolean') {
+        throw new PlaylistRequestError('public must be a boolean');
+    }
+    if (details.name !== undefined) details.name = details.name.trim();
+    if (details.description !== undefined) details.description = details.description.trim();
+
+    return { mode, playlistId, details };
+};
+
+// Validate a list of Spotify track URIs and drop duplicates
+export const parseTrackUris = (trackUris) => {
+    if (!Array.isArray(trackUris) || trackUris.length === 0
+        || !trackUris.every((uri) => typeof uri === 'string' && uri.startsWith('spotify:track:'))) {
+        throw new PlaylistRequestError('trackUris must be a non-empty array of Spotify track URIs');
+    }
+    return dedupeUris(trackUris);
+};
+
+// Every track URI currently in a playlist, following pagination
+const fetchPlaylistUris = async (spotify, playlistId) => {
+    const items = await spotify.getAll(`/playlists/${playlistId}/tracks`, {
+        fields: 'items(track(uri)),next',
+        limit: 100
+    });
+    return items.filter((item) => item.track).map((item) => item.track.uri);
+};
+
+// Append URIs in batches of 100
+const addTracks = async (spotify, playlistId, uris) => {
+    for (const batch of chunk(uris, PLAYLIST_TRACK_BATCH_SIZE)) {
+        await spotify.post(`/playlists/${playlistId}/tracks`, { uris: batch });
+    }
+};
+
+// Replace the playlist's items with the first batch, then append the rest
+const replaceTracks = async (spotify, playlistId, uris) => {
+    const [first = [], ...rest] = chunk(uris, PLAYLIST_TRACK_BATCH_SIZE);
+    await spotify.put(`/playlists/${playlistId}/tracks`, { uris: first });
+    await addTracks(spotify, playlistId, rest.flat());
+};
+
+// Create a new playlist in the user's library, or append to / replace one we created earlier.
+// meta (source and mood) describes how a playlist was made, so it is only recorded on creation.
+export const savePlaylist = async (spotify, userId, options, trackUris, meta = {}) => {
+    const { mode, playlistId, details } = options;
+
+    if (mode === 'create') {
+        const existingCount = await Playlist.countDocuments({ userId });
+        if (existingCount >= MAX_APP_PLAYLISTS) {
+            throw new PlaylistRequestError(
+                `You already have ${MAX_APP_PLAYLISTS} Moodi-Fi playlists; append to or replace one instead`,
+                409
+            );
+        }
+
+        await assertPlaylistQuota(userId);
+
+        const profile = await spotify.get('/me');
+        const created = await spotify.post(`/users/${profile.id}/playlists`, details);
+        let playlist;
+        try {
+            await addTracks(spotify, created.id, trackUris);
+            playlist = await Playlist.create({
+                userId,
+                spotifyPlaylistId: created.id,
+                ...details,
+                ...meta,
+                trackCount: trackUris.length
+            });
+        } catch (error) {
+            // Don't leave an untracked, possibly empty playlist in the user's library
+            await spotify.delete(`/playlists/${created.id}/followers`).catch((unfollowError) => {
+                logger.error('Failed to remove a playlist whose creation failed', { playlistId: created.id, error: unfollowError });
+            });
+            throw error;
+        }
+
+        // Only playlists that were created in full count against the quota
+        await recordPlaylistCreation(userId);
+        return playlist;
+    }
+
+    // Only playlists Moodi-Fi created can be modified
+    const playlist = await Playlist.findOne({ userId, spotifyPlaylistId: playlistId });
+    if (!playlist) {
+        throw new PlaylistRequestError('Playlist not found among your Moodi-Fi playlists', 404);
+    }
+
+    if (Object.keys(details).length > 0) {
+        await spotify.put(`/playlists/${playlistId}`, details);
+    }
+
+    if (mode === 'append') {
+        // The total counts every item, including duplicates the user added themselves
+        const [existing, { tracks }] = await Promise.all([
+            fetchPlaylistUris(spotify, playlistId),
+            spotify.get(`/playlists/${playlistId}`, { fields: 'tracks(total)' })
+        ]);
+        const existingUris = new Set(existing);
+        const newUris = trackUris.filter((uri) => !existingUris.has(uri));
+        await addTracks(spotify, playlistId, newUris);
+        playlist.trackCount = tracks.total + newUris.length;
+    } else {
+        await replaceTracks(spotify, playlistId, trackUris);
+        playlist.trackCount = trackUris.length;
+    }
+
+    Object.assign(playlist, details);
+    playlist.markModified('trackCount'); // bump updatedAt even when only tracks changed
+    await playlist.save();
+    return playlist;
+};
+
+// Unfollow (Spotify's equivalent of delete) a playlist we created and forget it
+export const removePlaylist = async (spotify, userId, playlistId) => {
+    const playlist = await Playlist.findOne({ userId, spotifyPlaylistId: playlistId });
+    if (!playlist) {
+        throw new PlaylistRequestError('Playlist not found among your Moodi-Fi playlists', 404);
+    }
+
+    await spotify.delete(`/playlists/${playlistId}/followers`);
+    await playlist.deleteOne();
+};
+
+// Shape a Playlist document for API responses
+export const formatPlaylist = (playlist) => ({
+    id: playlist.spotifyPlaylistId,
+    name: playlist.name,
+    description: playlist.description,
+    public: playlist.public,
+    source: playlist.source,
+    mood: playlist.mood,
+    trackCount: playlist.trackCount,
+    createdAt: playlist.createdAt,
+    updatedAt: playlist.updatedAt
+});
@@ -0,0 +1,195 @@
+// backend/services/spotifyClient.js
+// The single way routes and jobs talk to the Spotify Web API: refreshes expired tokens
+// (one refresh per user at a time), waits out 429s and follows pagination links.
+import axios from 'axios';
+import { User } from '../models/User.js';
+import { logger } from '../utils/logger.js';
+import { spotifyRequests, spotifyTokenRefreshes } from '../utils/metrics.js';
+
+// Overridable so the app can run against a local mock (see demo/mockSpotify.js). Read on use,
+// since this module is loaded before dotenv runs.
+const spotifyApiUrl = () => process.env.SPOTIFY_API_URL || 'https://api.spotify.com/v1';
+const spotifyTokenUrl = () => process.env.SPOTIFY_TOKEN_URL || 'https://accounts.spotify.com/api/token';
+const REQUEST_TIMEOUT_MS = 10000;
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000; // Refresh a minute early to avoid mid-request expiry
+const MAX_RATE_LIMIT_RETRIES = 3;
+const MAX_RETRY_AFTER_SECONDS = 30; // Longer waits are surfaced to the caller instead
+
+export class SpotifyApiError extends Error {
+    constructor(message, status, details) {
+        super(message);
+        this.name = 'SpotifyApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// The user's Spotify grant is missing, expired beyond refresh, or revoked
+export class SpotifyAuthError extends SpotifyApiError {
+    constructor(message = 'Spotify authorization expired, please log in again', details) {
+        super(message, 401, details);
+        this.name = 'SpotifyAuthError';
+    }
+}
+
+export class SpotifyRateLimitError extends SpotifyApiError {
+    constructor(retryAfter, details) {
+        super('Spotify rate limit reached, please try again later', 429, details);
+        this.name = 'SpotifyRateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// In-flight refreshes keyed by user id, so concurrent requests share one refresh
+const refreshLocks = new Map();
+
+const requestTokenRefresh = async (user) => {
+    if (!user.refreshToken) {
+        throw new SpotifyAuthError();
+    }
+
+    let response;
+    try {
+        response = await axios.post(spotifyTokenUrl(),
+            new URLSearchParams({
+                grant_type: 'refresh_token',
+                refresh_token: user.refreshToken,
+                client_id: process.env.SPOTIFY_CLIENT_ID,
+                client_secret: process.env.SPOTIFY_CLIENT_SECRET
+            }),
+            {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: REQUEST_TIMEOUT_MS
+            }
+        );
+    } catch (error) {
+        const data = error.response ? error.response.data : undefined;
+        // invalid_grant means the refresh token was revoked; anything else may be transient,
+        // so the stored tokens are left alone for a later retry
+        if (error.response && error.response.status === 400) {
+            spotifyTokenRefreshes.inc({ outcome: 'revoked' });
+            throw new SpotifyAuthError(undefined, data);
+        }
+        spotifyTokenRefreshes.inc({ outcome: 'error' });
+        throw new SpotifyApiError('Failed to refresh Spotify token', 502, data || error.message);
+    }
+
+    if (!response.data || !response.data.access_token) {
+        spotifyTokenRefreshes.inc({ outcome: 'error' });
+        throw new SpotifyApiError('Token refresh returned no access token', 502);
+    }
+
+    const tokens = {
+        accessToken: response.data.access_token,
+        tokenExpiration: new Date(Date.now() + (response.data.expires_in || 3600) * 1000)
+    };
+    // Spotify may rotate the refresh token
+    if (response.data.refresh_token) {
+        tokens.refreshToken = response.data.refresh_token;
+    }
+    await User.updateOne({ _id: user._id }, { $set: tokens });
+    spotifyTokenRefreshes.inc({ outcome: 'success' });
+    logger.info('Spotify token refreshed', { userId: user._id });
+    return tokens;
+};
+
+// Refresh a user's access token, joining any refresh already in flight for that user
+export const refreshAccessToken = async (user) => {
+    const key = String(user._id);
+    if (!refreshLocks.has(key)) {
+        refreshLocks.set(key, requestTokenRefresh(user).finally(() => refreshLocks.delete(key)));
+    }
+    const tokens = await refreshLocks.get(key);
+    Object.assign(user, tokens); // Keep this request's copy of the user in sync
+    return user.accessToken;
+};
+
+const tokenNeedsRefresh = (user) => !user.accessToken
+    || !user.tokenExpiration
+    || user.tokenExpiration.getTime() - TOKEN_EXPIRY_MARGIN_MS <= Date.now();
+
+// Seconds to wait from a Retry-After header (defaults to 1)
+const retryAfterSeconds = (error) => {
+    const value = Number(error.response.headers && error.response.headers['retry-after']);
+    return Number.isFinite(value) && value >= 0 ? value : 1;
+};
+
+// Create a client bound to a user document
+export const createSpotifyClient = (user) => {
+    const request = async (method, path, { params, data } = {}) => {
+        if (tokenNeedsRefresh(user)) {
+            await refreshAccessToken(user);
+        }
+
+        let refreshed = false;
+        let rateLimitRetries = 0;
+        for (;;) {
+            try {
+                const response = await axios({
+                    method,
+                    url: path.startsWith('http') ? path : `${spotifyApiUrl()}${path}`,
+                    params,
+                    data,
+                    headers: { 'Authorization': `Bearer ${user.accessToken}` },
+                    timeout: REQUEST_TIMEOUT_MS
+                });
+                spotifyRequests.inc({ method: method.toUpperCase(), status: response.status });
+                return response.data;
+            } catch (error) {
+                spotifyRequests.inc({ method: method.toUpperCase(), status: error.response ? error.response.status : 'network_error' });
+                if (!error.response) {
+                    throw new SpotifyApiError('Spotify is unreachable', 502, error.message);
+                }
+
+                const { status, data: details } = error.response;
+                if (status === 401 && !refreshed) {
+                    // Token was revoked or expired early: refresh once and retry
+                    refreshed = true;
+                    await refreshAccessToken(user);
+                    continue;
+                }
+                if (status === 401) {
+                    throw new SpotifyAuthError(undefined, details);
+                }
+                if (status === 429) {
+                    const retryAfter = retryAfterSeconds(error);
+                    if (rateLimitRetries >= MAX_RATE_LIMIT_RETRIES || retryAfter > MAX_RETRY_AFTER_SECONDS) {
+                        throw new SpotifyRateLimitError(retryAfter, details);
+                    }
+                    rateLimitRetries++;
+                    await sleep(retryAfter * 1000);
+                    continue;
+                }
+
+                const message = details && details.error && details.error.message
+                    ? details.error.message
+                    : `Spotify request failed with status ${status}`;
+                throw new SpotifyApiError(message, status, details);
+            }
+        }
+    };
+
+    return {
+        get: (path, params) => request('get', path, { params }),
+        post: (path, data) => request('post', path, { data }),
+        put: (path, data) => request('put', path, { data }),
+        delete: (path) => request('delete', path),
+
+        // Collect items across pages by following `next` links, up to maxItems
+        async getAll(path, params, { maxItems = Infinity } = {}) {
+            const items = [];
+            let page = await request('get', path, { params });
+            for (;;) {
+                // Search responses wrap the paging object, e.g. { tracks: { items, next } }
+                const paging = page.items ? page : Object.values(page).find((value) => value && value.items);
+                if (!paging) break;
+                items.push(...paging.items);
+                if (!paging.next || items.length >= maxItems) break;
+                page = await request('get', paging.next);
+            }
+            return items.slice(0, maxItems);
+        }
+    };
+};
@@ -0,0 +1,71 @@
+// backend/services/summaries.js
+// Inputs, caching and response shape of AI summaries. Generation itself is in summaryInsights.js.
+import crypto from 'crypto';
+import { Summary } from '../models/Summary.js';
+import { toInputTracks, toInputArtists, buildListeningFeatures } from '../utils/listeningFeatures.js';
+import { getListeningTrends } from './listeningStats.js';
+import { fetchTopItems } from './topItems.js';
+
+// Number of top tracks and artists a summary is built from
+const SUMMARY_INPUT_LIMIT = 20;
+
+export const NOT_ENOUGH_HISTORY = 'Not enough listening history to summarize for this time range';
+
+// Fingerprint summary inputs so unchanged top lists reuse their cached summary
+const fingerprintInputs = (inputTracks, inputArtists) => crypto
+    .createHash('sha256')
+    .update(inputTracks.map((track) => track.id).join(','))
+    .update('|')
+    .update(inputArtists.map((artist) => artist.id).join(','))
+    .digest('hex');
+
+// Public URL of a shared summary, or of one of its cards
+export const shareUrl = (token, file = '') => `${process.env.API_BASE_URL}/share/${token}${file ? `/${file}` : ''}`;
+
+// Shape a Summary document for API responses
+export const formatSummary = (summary) => ({
+    id: summary._id,
+    timeRange: summary.timeRange,
+    style: summary.style,
+    language: summary.language,
+    summary: summary.summaryText,
+    insights: summary.insights || null,
+    share: summary.share && summary.share.token
+        ? { url: shareUrl(summary.share.token), createdAt: summary.share.createdAt }
+        : null,
+    createdAt: summary.createdAt
+});
+
+// Fetch the top items a summary is built from and look up a summary already built from them.
+// Returns null when there isn't enough listening history for the time range.
+export const prepareSummary = async (spotify, userId, timeRange, options, regenerate) => {
+    // Fetch the listening data server-side; the client only picks the time range
+    const params = { time_range: timeRange, limit: SUMMARY_INPUT_LIMIT };
+    const [topTracks, topArtists] = await Promise.all([
+        fetchTopItems(spotify, 'tracks', params),
+        fetchTopItems(spotify, 'artists', params)
+    ]);
+    if (topTracks.items.length === 0) {
+        return null;
+    }
+
+    const inputTracks = toInputTracks(topTracks.items);
+    const inputArtists = toInputArtists(topArtists.items);
+    const inputFingerprint = fingerprintInputs(inputTracks, inputArtists);
+
+    // Reuse the latest summary built from the same inputs unless a regeneration was requested
+    const cached = regenerate ? null : await Summary
+        .findOne({ userId, timeRange, style: options.style, language: options.language, inputFingerprint })
+        .sort({ createdAt: -1 });
+    return { inputTracks, inputArtists, inputFingerprint, cached };
+};
+
+// The feature set sent to the model, with trends from the stored listening history when there is any
+export const buildSummaryFeatures = async (userId, { inputTracks, inputArtists }) => {
+    const features = buildListeningFeatures(inputTracks, inputArtists);
+    const trends = await getListeningTrends(userId);
+    if (trends) {
+        features.trends = trends;
+    }
+    return features;
+};
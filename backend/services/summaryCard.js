@@ -0,0 +1,214 @@
+// backend/services/summaryCard.js
+// Public, read-only views of a shared summary: a 1200x630 card image (the Open Graph size) and an
+// HTML page carrying the Open Graph tags chat apps read for link previews. Nothing here needs
+// the owner's session, so only what the owner chose to share may be rendered.
+import { estimateFromGenres, moodLabel } from './trackMood.js';
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+// Same colors as the mood chart in the app
+const MOOD_COLORS = {
+    euphoric: '#f5b700',
+    intense: '#e4572e',
+    chill: '#29bf12',
+    melancholy: '#4c6ef5',
+    balanced: '#999999'
+};
+
+const TIME_RANGE_LABELS = {
+    short_term: 'Last 4 weeks',
+    medium_term: 'Last 6 months',
+    long_term: 'All time'
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Split text into at most maxLines lines of roughly maxChars characters, ending with an ellipsis
+// when it doesn't fit. Character widths are estimated; there is no font metrics step.
+const wrapText = (text, maxChars, maxLines) => {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        if (line && (line + ' ' + word).length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1).trimEnd()}…`;
+    }
+    return lines.map((wrapped) => (wrapped.length > maxChars ? `${wrapped.slice(0, maxChars - 1)}…` : wrapped));
+};
+
+// Share of each mood among the summary's input artists, estimated from their genres, largest first
+export const moodPalette = (summary) => {
+    const artists = (summary.inputs && summary.inputs.artists) || [];
+    const counts = new Map();
+    artists.forEach((artist) => {
+        const mood = moodLabel(estimateFromGenres(artist.genres));
+        counts.set(mood, (counts.get(mood) || 0) + 1);
+    });
+    if (counts.size === 0) {
+        return [{ mood: 'balanced', color: MOOD_COLORS.balanced, share: 1 }];
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([mood, count]) => ({ mood, color: MOOD_COLORS[mood], share: count / artists.length }));
+};
+
+// What a shared summary shows, for summaries with and without structured insights
+const shareContent = (summary) => {
+    if (summary.insights) {
+        return {
+            headline: summary.insights.headline,
+            topArtists: summary.insights.topArtists.map((artist) => artist.name)
+        };
+    }
+    return {
+        headline: summary.summaryText.split(/(?<=[.!?])\s/)[0],
+        topArtists: ((summary.inputs && summary.inputs.artists) || []).map((artist) => artist.name)
+    };
+};
+
+const shareTitle = (summary, displayName) => `${displayName ? `${displayName}'s` : 'My'} Moodi-Fi summary`;
+
+// Render the card as an SVG document
+export const renderSummaryCard = (summary, { displayName } = {}) => {
+    const { headline, topArtists } = shareContent(summary);
+    const palette = moodPalette(summary);
+    const subtitle = `${shareTitle(summary, displayName)} · ${TIME_RANGE_LABELS[summary.timeRange] || ''}`;
+
+    // The headline keeps to the left of the artist column
+    const headlineLines = wrapText(headline, 26, 5);
+    const headlineSvg = headlineLines.map((line, index) => (
+        `<text x="64" y="${200 + index * 54}" font-size="42" font-weight="bold" fill="#ffffff">${escapeXml(line)}</text>`
+    )).join('');
+
+    const artistsSvg = topArtists.slice(0, 5).map((name, index) => (
+        `<text x="780" y="${200 + index * 56}" font-size="30" fill="#ffffff">` +
+        `<tspan fill="#1DB954" font-weight="bold">${index + 1}</tspan>  ${escapeXml(wrapText(name, 22, 1)[0] || '')}</text>`
+    )).join('');
+
+    // The mood palette as one bar, each mood taking its share of the width
+    let offset = 64;
+    const barWidth = CARD_WIDTH - 128;
+    const paletteSvg = palette.map(({ mood, color, share }) => {
+        const width = Math.round(barWidth * share);
+        const segment = `<rect x="${offset}" y="500" width="${width}" height="28" fill="${color}"/>` +
+            (width >= 110 ? `<text x="${offset}" y="566" font-size="22" fill="#b3b3b3">${escapeXml(mood)}</text>` : '');
+        offset += width;
+        return segment;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="${FONT_FAMILY}">
+<defs><linearGradient id="glow" x1="0" y1="0" x2="1" y2="1">` +
+        `<stop offset="0" stop-color="${palette[0].color}" stop-opacity="0.35"/>` +
+        `<stop offset="1" stop-color="#121212" stop-opacity="0"/></linearGradient></defs>
+<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="#121212"/>
+<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#glow)"/>
+<text x="64" y="92" font-size="36" font-weight="bold" fill="#1DB954">Moodi-Fi</text>
+<text x="64" y="130" font-size="24" fill="#b3b3b3">${escapeXml(subtitle)}</text>
+${headlineSvg}
+<text x="780" y="140" font-size="22" fill="#b3b3b3">TOP ARTISTS</text>
+${artistsSvg}
+${paletteSvg}
+</svg>`;
+};
+
+// Rasterize a card to PNG with the optional @resvg/resvg-js package. Returns null when it
+// isn't installed, in which case only the SVG card is offered.
+let resvg;
+const loadRasterizer = async () => {
+    if (resvg === undefined) {
+        resvg = await import('@resvg/resvg-js').catch(() => null);
+    }
+    return resvg;
+};
+
+export const isRasterizerAvailable = async () => Boolean(await loadRasterizer());
+
+export const rasterizeCard = async (svg) => {
+    const rasterizer = await loadRasterizer();
+    if (!rasterizer) return null;
+    return new rasterizer.Resvg(svg, { font: { defaultFontFamily: 'Arial' } }).render().asPng();
+};
+
+const artistItems = (artists) => artists
+    .map((artist) => `<li><strong>${escapeXml(artist.name)}</strong>${artist.reason ? ` · ${escapeXml(artist.reason)}` : ''}</li>`)
+    .join('');
+
+const listSection = (title, items) => (items && items.length
+    ? `<h2>${title}</h2><ul>${items.map((item) => `<li>${escapeXml(item)}</li>`).join('')}</ul>`
+    : '');
+
+// Render the read-only summary page. `urls` holds absolute URLs of the page, its card image and the app.
+export const renderSharePage = (summary, { displayName, urls }) => {
+    const title = shareTitle(summary, displayName);
+    const { headline } = shareContent(summary);
+    const palette = moodPalette(summary);
+    const insights = summary.insights;
+
+    const body = insights ? [
+        insights.topArtists.length ? `<h2>Top Artists</h2><ul>${artistItems(insights.topArtists)}</ul>` : '',
+        listSection('Genres', insights.genres),
+        listSection('Moods', insights.moods),
+        listSection('Fun Facts', insights.funFacts),
+        insights.recommendedArtists.length ? `<h2>Try Next</h2><ul>${artistItems(insights.recommendedArtists)}</ul>` : ''
+    ].join('') : `<p class="text">${escapeXml(summary.summaryText)}</p>`;
+
+    return `<!DOCTYPE html>
+<html lang="${escapeXml(summary.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeXml(title)}</title>
+<meta name="description" content="${escapeXml(headline)}">
+<meta property="og:type" content="website">
+<meta property="og:site_name" content="Moodi-Fi">
+<meta property="og:title" content="${escapeXml(title)}">
+<meta property="og:description" content="${escapeXml(headline)}">
+<meta property="og:url" content="${escapeXml(urls.page)}">
+<meta property="og:image" content="${escapeXml(urls.image)}">
+<meta property="og:image:width" content="${CARD_WIDTH}">
+<meta property="og:image:height" content="${CARD_HEIGHT}">
+<meta property="og:image:alt" content="${escapeXml(`${title}: ${headline}`)}">
+<meta name="twitter:card" content="summary_large_image">
+<style>
+body { margin: 0; background: #121212; color: #fff; font-family: ${FONT_FAMILY}; }
+main { max-width: 760px; margin: 0 auto; padding: 24px; }
+img { width: 100%; height: auto; border-radius: 8px; }
+h1 { color: #1DB954; }
+h2 { font-size: 18px; color: #b3b3b3; text-transform: uppercase; margin-top: 28px; }
+.palette { display: flex; height: 12px; border-radius: 6px; overflow: hidden; }
+.text { white-space: pre-wrap; }
+a { color: #1DB954; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeXml(title)}</h1>
+<img src="${escapeXml(urls.image)}" alt="${escapeXml(headline)}">
+<p><strong>${escapeXml(headline)}</strong></p>
+<div class="palette">${palette.map(({ mood, color, share }) => (
+        `<span title="${escapeXml(mood)}" style="background:${color};width:${Math.round(share * 100)}%"></span>`
+    )).join('')}</div>
+${body}
+<p><a href="${escapeXml(urls.app)}">Get your own summary on Moodi-Fi</a></p>
+</main>
+</body>
+</html>`;
+};
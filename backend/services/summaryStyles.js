@@ -0,0 +1,73 @@
+// backend/services/summaryStyles.js
+// Prompt templates for summary styles, and the output language. A style supplies the opening
+// instructions of the summary prompt; the response format is added by summaryInsights.js.
+
+export const DEFAULT_STYLE = 'standard';
+export const DEFAULT_LANGUAGE = 'en';
+
+export class SummaryOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SummaryOptionsError';
+        this.status = 400;
+    }
+}
+
+const SUMMARY_STYLES = {
+    standard: {
+        label: 'Standard',
+        description: 'A friendly overview with fun insights',
+        instructions: 'Analyze the user\'s Spotify listening data and create a short, engaging summary. Focus on their top artists, genres, and tracks, and include fun, bite-sized insights. Identify trends or moods in their preferences, and suggest artists they should try next.'
+    },
+    roast: {
+        label: 'Roast',
+        description: 'A short, playful roast of your taste',
+        instructions: 'Roast the user\'s music taste based on their Spotify listening data. Be witty and teasing but never cruel, hateful or personal beyond their music. Keep it short and punchy, poke fun at their top artists, genres and habits, and suggest artists that might redeem them.'
+    },
+    poetic: {
+        label: 'Poetic',
+        description: 'Your listening as lyrical prose',
+        instructions: 'Describe the user\'s Spotify listening data in a lyrical, poetic voice, with vivid imagery and metaphor. Capture the feel of their top artists, genres and moods, and weave in suggestions for artists they should discover next.'
+    },
+    critic: {
+        label: 'Music Critic',
+        description: 'A review in the voice of a music critic',
+        instructions: 'Review the user\'s Spotify listening data the way a knowledgeable music critic would review an album: confident, opinionated and specific, referring to eras, scenes and influences. Assess their top artists and genres, note what the selection says about them, and recommend artists to explore next.'
+    },
+    kid: {
+        label: 'Kid-Friendly',
+        description: 'Simple, cheerful and suitable for children',
+        instructions: 'Explain the user\'s Spotify listening data to a young child: simple words, short sentences and a cheerful tone, with nothing unsuitable for children. Talk about their favorite artists, kinds of music and moods, and suggest artists they might enjoy next.'
+    }
+};
+
+// Styles for clients to offer, without the prompt text
+export const listSummaryStyles = () => Object.entries(SUMMARY_STYLES)
+    .map(([id, { label, description }]) => ({ id, label, description }));
+
+export const getStyleInstructions = (style) => SUMMARY_STYLES[style].instructions;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+// Validate the style and language of a summary request. language is a BCP 47 tag such as
+// "es" or "pt-BR"; it is returned in canonical form with its English name for the prompt.
+export const parseSummaryOptions = ({ style = DEFAULT_STYLE, language = DEFAULT_LANGUAGE } = {}) => {
+    if (typeof style !== 'string' || !Object.hasOwn(SUMMARY_STYLES, style)) {
+        throw new SummaryOptionsError(`style must be one of: ${Object.keys(SUMMARY_STYLES).join(', ')}`);
+    }
+
+    let tag = null;
+    if (typeof language === 'string') {
+        try {
+            [tag] = Intl.getCanonicalLocales(language);
+        } catch (error) {
+            tag = null;
+        }
+    }
+    const languageName = tag ? languageNames.of(tag) : undefined;
+    if (!languageName) {
+        throw new SummaryOptionsError('language must be a BCP 47 language tag, e.g. en, es or pt-BR');
+    }
+
+    return { style, language: tag, languageName };
+};
@@ -0,0 +1,9 @@
+// backend/services/topItems.js
+// The user's top tracks and artists, as ranked by Spotify for a time range.
+
+// Time ranges supported by Spotify's top items endpoints
+export const TIME_RANGES = ['short_term', 'medium_term', 'long_term'];
+export const TOP_ITEMS_MAX_LIMIT = 50; // Spotify's maximum page size
+
+// Fetch a page of the user's top tracks or artists from Spotify
+export const fetchTopItems = (spotify, type, params) => spotify.get(`/me/top/${type}`, params);
@@ -0,0 +1,60 @@
+// backend/services/tts/espeak.js
+// Local offline speech via the espeak-ng command line engine (https://github.com/espeak-ng/espeak-ng).
+import { spawn, execFile } from 'child_process';
+import { promisify } from 'util';
+
+const SYNTHESIS_TIMEOUT_MS = 30000;
+const CHECK_TIMEOUT_MS = 5000;
+
+export const createEspeakProvider = ({
+    command = process.env.ESPEAK_COMMAND || 'espeak-ng',
+    voice = process.env.ESPEAK_VOICE || 'en-us'
+} = {}) => ({
+    name: 'espeak',
+    mimeType: 'audio/wav',
+    extension: 'wav',
+
+    // The engine is installed and starts
+    async check() {
+        await promisify(execFile)(command, ['--version'], { timeout: CHECK_TIMEOUT_MS });
+    },
+
+    synthesize(text) {
+        return new Promise((resolve, reject) => {
+            // Text goes in on stdin so it is never interpreted as command line arguments
+            const child = spawn(command, ['-v', voice, '--stdout'], { stdio: ['pipe', 'pipe', 'pipe'] });
+            const chunks = [];
+            let stderr = '';
+
+            const timer = setTimeout(() => {
+                child.kill();
+                reject(new Error('espeak synthesis timed out'));
+            }, SYNTHESIS_TIMEOUT_MS);
+
+            child.stdout.on('data', (chunk) => chunks.push(chunk));
+            child.stderr.on('data', (chunk) => { stderr += chunk; });
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(new Error(`Failed to start ${command}: ${error.message}`));
+            });
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (code !== 0) {
+                    return reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+                }
+                resolve(Buffer.concat(chunks));
+            });
+
+            // The engine can exit before reading its input (a bad voice, or it failed to start), which
+            // fails the write with EPIPE; the exit code or start error above reports why
+            child.stdin.on('error', (error) => {
+                if (error.code !== 'EPIPE') {
+                    clearTimeout(timer);
+                    child.kill();
+                    reject(error);
+                }
+            });
+            child.stdin.end(text);
+        });
+    }
+});
@@ -0,0 +1,30 @@
+// backend/services/tts/index.js
+// Text-to-speech provider registry. A provider exposes:
+//   name, mimeType, extension, synthesize(text) -> Promise<Buffer>, and
+//   check() -> Promise that rejects when the provider can't be used (for readiness checks)
+import { createStubProvider } from './stub.js';
+import { createEspeakProvider } from './espeak.js';
+
+const providers = {
+    stub: createStubProvider,
+    espeak: createEspeakProvider
+};
+
+export const TTS_PROVIDERS = Object.keys(providers);
+
+// Create the provider named by TTS_PROVIDER (defaults to the offline stub)
+export const createTtsProvider = (name = process.env.TTS_PROVIDER || 'stub', options) => {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown TTS provider "${name}". Available providers: ${TTS_PROVIDERS.join(', ')}`);
+    }
+    return factory(options);
+};
+
+// Strip markdown so it isn't read aloud
+export const toSpeechText = (text) => text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/[*_#>`~]+/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
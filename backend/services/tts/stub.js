@@ -0,0 +1,56 @@
+// backend/services/tts/stub.js
+// Offline development provider: renders a soft tone per word instead of speech, so the audio flow works without a TTS engine.
+
+const SAMPLE_RATE = 16000;
+const WORD_SECONDS = 0.18;
+const GAP_SECONDS = 0.07;
+const MAX_SECONDS = 60;
+
+// 16-bit mono PCM samples wrapped in a WAV container
+export const encodeWav = (samples, sampleRate = SAMPLE_RATE) => {
+    const buffer = Buffer.alloc(44 + samples.length * 2);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples.length * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16); // fmt chunk size
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    buffer.writeUInt16LE(2, 32); // block align
+    buffer.writeUInt16LE(16, 34); // bits per sample
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples.length * 2, 40);
+    samples.forEach((sample, i) => buffer.writeInt16LE(sample, 44 + i * 2));
+    return buffer;
+};
+
+export const createStubProvider = () => ({
+    name: 'stub',
+    mimeType: 'audio/wav',
+    extension: 'wav',
+
+    async check() {},
+
+    async synthesize(text) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const maxWords = Math.floor(MAX_SECONDS / (WORD_SECONDS + GAP_SECONDS));
+        const samples = [];
+
+        words.slice(0, maxWords).forEach((word) => {
+            // Pitch varies with word length so the result isn't a flat drone
+            const frequency = 220 + (word.length % 8) * 40;
+            const toneSamples = Math.floor(WORD_SECONDS * SAMPLE_RATE);
+            for (let i = 0; i < toneSamples; i++) {
+                const envelope = Math.sin((Math.PI * i) / toneSamples);
+                samples.push(Math.round(Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE) * envelope * 6000));
+            }
+            for (let i = 0; i < Math.floor(GAP_SECONDS * SAMPLE_RATE); i++) {
+                samples.push(0);
+            }
+        });
+
+        return encodeWav(samples);
+    }
+});
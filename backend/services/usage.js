@@ -0,0 +1,200 @@
+// backend/services/usage.js
+// Per-user daily quotas on AI tokens and playlist creations, and the token and cost accounting
+// behind them. Days are UTC. Token counts come from the usage metadata providers return with each
+// response, so a call is allowed while the user is under quota even if it takes them over.
+import { UsageRecord } from '../models/UsageRecord.js';
+import { logger } from '../utils/logger.js';
+
+// USD per million input and output tokens by model name prefix, at list prices. More specific
+// prefixes come first. LLM_INPUT_COST_PER_MILLION and LLM_OUTPUT_COST_PER_MILLION override these,
+// e.g. for a model not listed or a negotiated price; unknown models are counted as free.
+const MODEL_PRICES = [
+    { prefix: 'gemini-2.0-flash', input: 0.1, output: 0.4 },
+    { prefix: 'gemini-1.5-flash', input: 0.075, output: 0.3 },
+    { prefix: 'gemini-1.5-pro', input: 1.25, output: 5 },
+    { prefix: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+    { prefix: 'gpt-4o', input: 2.5, output: 10 },
+    { prefix: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+    { prefix: 'gpt-4.1', input: 2, output: 8 }
+];
+
+const HISTORY_DAYS = 30;
+
+// The user is over one of their daily quotas
+export class QuotaExceededError extends Error {
+    constructor(message, quota, resetsAt) {
+        super(message);
+        this.name = 'QuotaExceededError';
+        this.status = 429;
+        this.quota = quota; // 'llmTokens' or 'playlists'
+        this.resetsAt = resetsAt;
+    }
+}
+
+const numberFromEnv = (name, fallback) => {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${name} must be a non-negative number`);
+    }
+    return number;
+};
+
+// Daily limits from the environment; 0 turns a quota off
+export const quotasFromEnv = () => ({
+    llmTokens: numberFromEnv('DAILY_LLM_TOKEN_QUOTA', 200000),
+    playlists: numberFromEnv('DAILY_PLAYLIST_QUOTA', 20)
+});
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+// Quotas reset at midnight UTC
+const nextReset = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+const todaysRecord = (userId) => UsageRecord.findOne({ userId, day: dayOf(new Date()) }).lean();
+
+const priceOf = (model) => {
+    const listed = MODEL_PRICES.find((price) => (model || '').startsWith(price.prefix)) || { input: 0, output: 0 };
+    return {
+        input: numberFromEnv('LLM_INPUT_COST_PER_MILLION', listed.input),
+        output: numberFromEnv('LLM_OUTPUT_COST_PER_MILLION', listed.output)
+    };
+};
+
+// Estimated cost in USD of one response; the mock provider is always free
+export const estimateLlmCost = (provider, usage) => {
+    if (provider.name === 'mock') return 0;
+    const price = priceOf(provider.model);
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+};
+
+// Roughly four characters per token, for providers that don't report usage
+const estimateUsage = (prompt, text) => {
+    const usage = { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) };
+    return { ...usage, totalTokens: usage.inputTokens + usage.outputTokens };
+};
+
+const recordLlmUsage = async (userId, provider, task, usage) => {
+    await UsageRecord.updateOne({ userId, day: dayOf(new Date()) }, {
+        $inc: {
+            'llm.calls': 1,
+            'llm.inputTokens': usage.inputTokens,
+            'llm.outputTokens': usage.outputTokens,
+            'llm.totalTokens': usage.totalTokens,
+            'llm.costUsd': estimateLlmCost(provider, usage),
+            [`llm.tasks.${task || 'other'}`]: usage.totalTokens
+        }
+    }, { upsert: true });
+};
+
+// Throws QuotaExceededError when the user has used up today's AI tokens
+export const assertLlmQuota = async (userId) => {
+    const limit = quotasFromEnv().llmTokens;
+    if (!limit) return;
+    const record = await todaysRecord(userId);
+    if (record && record.llm && record.llm.totalTokens >= limit) {
+        throw new QuotaExceededError('You have used today\'s AI allowance, it resets at midnight UTC', 'llmTokens', nextReset());
+    }
+};
+
+// The provider metered for one user: every response's tokens and cost are recorded against them,
+// and unless enforceQuota is false, calls fail with QuotaExceededError once they are over quota.
+// Background jobs pass enforceQuota: false so their usage shows up without blocking them.
+export const meterLlm = (llm, userId, { enforceQuota = true } = {}) => {
+    const record = (options, usage) => recordLlmUsage(userId, llm, options.task, usage)
+        .catch((error) => logger.error('Failed to record AI usage', { userId, error }));
+
+    return {
+        ...llm,
+        async generate(prompt, options = {}) {
+            if (enforceQuota) await assertLlmQuota(userId);
+            const result = await llm.generate(prompt, options);
+            await record(options, result.usage || estimateUsage(prompt, result.text));
+            return result;
+        },
+        // Streams cancelled part-way are billed for what was generated, so they are recorded too
+        async *stream(prompt, options = {}) {
+            if (enforceQuota) await assertLlmQuota(userId);
+            let text = '';
+            let usage = null;
+            try {
+                for await (const chunk of llm.stream(prompt, options)) {
+                    if (chunk.text) text += chunk.text;
+                    if (chunk.usage) usage = chunk.usage;
+                    yield chunk;
+                }
+            } finally {
+                if (usage || text) {
+                    await record(options, usage || estimateUsage(prompt, text));
+                }
+            }
+        }
+    };
+};
+
+// Throws QuotaExceededError when the user has created today's allowance of playlists
+export const assertPlaylistQuota = async (userId) => {
+    const limit = quotasFromEnv().playlists;
+    if (!limit) return;
+    const record = await todaysRecord(userId);
+    if (record && record.playlistsCreated >= limit) {
+        throw new QuotaExceededError(
+            `You can create up to ${limit} playlist${limit === 1 ? '' : 's'} a day; append to or replace one instead`,
+            'playlists',
+            nextReset()
+        );
+    }
+};
+
+export const recordPlaylistCreation = async (userId) => {
+    await UsageRecord.updateOne({ userId, day: dayOf(new Date()) }, { $inc: { playlistsCreated: 1 } }, { upsert: true });
+};
+
+const quotaStatus = (used, limit) => ({
+    used,
+    limit: limit || null,
+    remaining: limit ? Math.max(limit - used, 0) : null
+});
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+const formatDay = (record) => ({
+    day: record.day,
+    llmCalls: (record.llm && record.llm.calls) || 0,
+    llmTokens: (record.llm && record.llm.totalTokens) || 0,
+    costUsd: roundCost((record.llm && record.llm.costUsd) || 0),
+    playlistsCreated: record.playlistsCreated || 0
+});
+
+// Where the user stands against today's quotas, with their daily usage over the last 30 days
+export const getUsageReport = async (userId) => {
+    const now = new Date();
+    const since = new Date(now.getTime() - (HISTORY_DAYS - 1) * 24 * 60 * 60 * 1000);
+    const records = await UsageRecord.find({ userId, day: { $gte: dayOf(since) } }).sort({ day: -1 }).lean();
+    const today = records.find((record) => record.day === dayOf(now)) || { day: dayOf(now) };
+    const quotas = quotasFromEnv();
+
+    return {
+        day: today.day,
+        resetsAt: nextReset(now),
+        llmTokens: {
+            ...quotaStatus((today.llm && today.llm.totalTokens) || 0, quotas.llmTokens),
+            byTask: (today.llm && today.llm.tasks) || {}
+        },
+        playlists: quotaStatus(today.playlistsCreated || 0, quotas.playlists),
+        cost: {
+            todayUsd: formatDay(today).costUsd,
+            last30DaysUsd: roundCost(records.reduce((sum, record) => sum + ((record.llm && record.llm.costUsd) || 0), 0))
+        },
+        history: records.map(formatDay)
+    };
+};
+
+// Everything recorded for the user, for the data export
+export const formatUsageExport = (record) => ({
+    ...formatDay(record),
+    llmInputTokens: (record.llm && record.llm.inputTokens) || 0,
+    llmOutputTokens: (record.llm && record.llm.outputTokens) || 0,
+    llmTokensByTask: (record.llm && record.llm.tasks) || {}
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { saveAudio, deleteAudio, readAudio, streamAudio } from '../services/audioStorage.js';
+import { startServer } from './helpers/server.js';
+
+// Set after the module has loaded, as dotenv does in server.js
+const audioDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moodifi-audio-'));
+process.env.AUDIO_STORAGE_DIR = audioDir;
+
+const AUDIO = Buffer.from('0123456789abcdefghij');
+let server;
+let failures;
+
+before(async () => {
+    await saveAudio('summary', 'wav', AUDIO);
+    server = await startServer((app) => {
+        app.get('/audio/:name', async (req, res) => {
+            try {
+                await streamAudio(req, res, req.params.name, 'audio/wav');
+            } catch (error) {
+                failures.push(error);
+                if (!res.headersSent) res.status(error.code === 'ENOENT' ? 404 : 500).end();
+            }
+        });
+    });
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(audioDir, { recursive: true, force: true });
+});
+
+const get = (name, headers = {}) => {
+    failures = [];
+    return fetch(`${server.url}/audio/${name}`, { headers });
+};
+
+test('streams the whole file', async () => {
+    const res = await get('summary.wav');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'audio/wav');
+    assert.equal(res.headers.get('accept-ranges'), 'bytes');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), AUDIO);
+});
+
+test('answers byte ranges with 206', async () => {
+    let res = await get('summary.wav', { range: 'bytes=5-9' });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), 'bytes 5-9/20');
+    assert.equal(await res.text(), '56789');
+
+    res = await get('summary.wav', { range: 'bytes=-3' });
+    assert.equal(await res.text(), 'hij');
+});
+
+test('unsatisfiable ranges get 416', async () => {
+    const res = await get('summary.wav', { range: 'bytes=30-40' });
+    assert.equal(res.status, 416);
+    assert.equal(res.headers.get('content-range'), 'bytes */20');
+});
+
+test('a missing file rejects with ENOENT before anything is sent', async () => {
+    const res = await get('missing.wav');
+    assert.equal(res.status, 404);
+    assert.equal(failures[0].code, 'ENOENT');
+});
+
+test('only the file name is used, so paths cannot escape the audio directory', async () => {
+    const res = await get(encodeURIComponent('../summary.wav'));
+    assert.equal(res.status, 200);
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), AUDIO);
+});
+
+test('a file deleted while streaming is still sent in full', async () => {
+    const big = Buffer.alloc(4 * 1024 * 1024, 7);
+    await saveAudio('big', 'wav', big);
+    const res = await get('big.wav');
+    await deleteAudio('big.wav');
+    assert.equal(res.status, 200);
+    assert.equal(Buffer.from(await res.arrayBuffer()).length, big.length);
+    assert.deepEqual(failures, []);
+});
+
+test('uses AUDIO_STORAGE_DIR as set when the file is written, not when the module loaded', async () => {
+    assert.deepEqual(fs.readFileSync(path.join(audioDir, 'summary.wav')), AUDIO);
+    assert.deepEqual(await readAudio('summary.wav'), AUDIO);
+});
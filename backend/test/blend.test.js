@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareTastes, interleaveTracks, BLEND_PLAYLIST_LENGTH } from '../services/blend.js';
+
+const artist = (id, ...genres) => ({ id, name: `Artist ${id}`, genres });
+const track = (id, uri = `spotify:track:${id}`) => ({ id, name: `Song ${id}`, artists: ['Someone', 'Else'], uri });
+
+const inviter = {
+    artists: [artist('a1', 'rock', 'indie'), artist('a2', 'rock'), artist('a3', 'jazz')],
+    tracks: [track('t1'), track('t2')]
+};
+const invitee = {
+    artists: [artist('a1', 'rock', 'indie'), artist('a4', 'rock', 'pop'), artist('a5', 'metal')],
+    tracks: [track('t2'), track('t3'), track('t4')]
+};
+
+test('scores identical tastes 100 and unrelated ones 0', () => {
+    const same = compareTastes(inviter, inviter);
+    assert.equal(same.score, 100);
+    assert.deepEqual(same.breakdown, { artists: 1, genres: 1, tracks: 1 });
+    assert.deepEqual(same.forInviter, []);
+
+    const unrelated = compareTastes(inviter, { artists: [artist('b1', 'k-pop')], tracks: [track('u1')] });
+    assert.equal(unrelated.score, 0);
+    assert.deepEqual(unrelated.breakdown, { artists: 0, genres: 0, tracks: 0 });
+});
+
+test('scores partial overlap from shared artists, genre similarity and shared tracks', () => {
+    const result = compareTastes(inviter, invitee);
+
+    // Artists: 1 of 3 shared; genres: cosine of rock 2, indie 1, jazz 1 against rock 2, indie 1, pop 1, metal 1;
+    // tracks: 1 of the smaller list's 2 shared
+    assert.deepEqual(result.breakdown, { artists: 0.33, genres: 0.77, tracks: 0.5 });
+    assert.equal(result.score, Math.round(100 * (0.4 * 0.33 + 0.4 * 0.77 + 0.2 * 0.5)));
+    assert.deepEqual(result.sharedArtists, ['Artist a1']);
+    assert.deepEqual(result.sharedGenres, ['rock', 'indie']);
+    assert.deepEqual(result.sharedTracks, ['Song t2 by Someone, Else']);
+});
+
+test('recommends each user the other\'s artists they don\'t know, best genre fit first', () => {
+    const { forInviter, forInvitee } = compareTastes(inviter, invitee);
+
+    assert.deepEqual(forInviter, [
+        { name: 'Artist a4', genres: ['rock', 'pop'], reason: 'Fits your love of rock' },
+        { name: 'Artist a5', genres: ['metal'], reason: 'A favorite of theirs, outside your usual genres' }
+    ]);
+    assert.deepEqual(forInvitee.map((item) => item.name), ['Artist a2', 'Artist a3']);
+});
+
+test('handles users with no top items', () => {
+    const empty = { artists: [], tracks: [] };
+    const result = compareTastes(empty, invitee);
+
+    assert.equal(result.score, 0);
+    assert.deepEqual(result.sharedArtists, []);
+    assert.deepEqual(result.forInvitee, []);
+    assert.equal(result.forInviter.length, 3);
+});
+
+test('caps shared items and recommendations', () => {
+    const many = (prefix, count) => Array.from({ length: count }, (_, i) => artist(`${prefix}${i}`, 'rock'));
+    const a = { artists: many('x', 20), tracks: [] };
+    const b = { artists: [...many('x', 20), ...many('y', 20)], tracks: [] };
+
+    const result = compareTastes(a, b);
+
+    assert.equal(result.sharedArtists.length, 10);
+    assert.equal(result.forInviter.length, 8);
+    // Equal fit keeps the other user's ranking
+    assert.deepEqual(result.forInviter.slice(0, 2).map((item) => item.name), ['Artist y0', 'Artist y1']);
+});
+
+test('interleaves both users\' tracks, skipping duplicates and tracks without a URI', () => {
+    const blend = {
+        tastes: {
+            inviter: { tracks: [track('t1'), track('t2'), track('t5', null), track('t6')] },
+            invitee: { tracks: [track('t2'), track('t3')] }
+        }
+    };
+
+    assert.deepEqual(interleaveTracks(blend), ['spotify:track:t1', 'spotify:track:t2', 'spotify:track:t3', 'spotify:track:t6']);
+});
+
+test('stops the blend playlist at its length', () => {
+    const tracks = (prefix) => Array.from({ length: 40 }, (_, i) => track(`${prefix}${i}`));
+    const uris = interleaveTracks({ tastes: { inviter: { tracks: tracks('a') }, invitee: { tracks: tracks('b') } } });
+
+    assert.equal(uris.length, BLEND_PLAYLIST_LENGTH);
+    assert.deepEqual(uris.slice(0, 3), ['spotify:track:a0', 'spotify:track:b0', 'spotify:track:a1']);
+});
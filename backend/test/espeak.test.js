@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEspeakProvider } from '../services/tts/espeak.js';
+
+test('a missing engine rejects instead of crashing the process', async () => {
+    const provider = createEspeakProvider({ command: 'moodifi-no-such-espeak' });
+    await assert.rejects(provider.synthesize('Hello there'), /Failed to start moodifi-no-such-espeak/);
+});
+
+test('an engine exiting before it reads the text rejects with its exit code', async () => {
+    // `false` exits without reading stdin, so writing this much text fails with EPIPE
+    const provider = createEspeakProvider({ command: 'false' });
+    await assert.rejects(provider.synthesize('la '.repeat(200000)), /false exited with code 1/);
+});
@@ -0,0 +1,44 @@
+// Helpers for tests that send real HTTP requests to a router. Nothing here touches MongoDB:
+// tests stub the model methods the code under test calls.
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import jwt from 'jsonwebtoken';
+import { User } from '../../models/User.js';
+import { BlacklistedToken } from '../../models/BlacklistedToken.js';
+import { ACCESS_COOKIE } from '../../services/authTokens.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Listen on a free port; setup(app) mounts what is under test
+export const startServer = async (setup) => {
+    const app = express();
+    app.use(cookieParser());
+    app.use(express.json());
+    setup(app);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise((resolve) => server.close(resolve));
+        }
+    };
+};
+
+// A signed-in user whose Spotify token is still valid, and the cookie header that authenticates them
+export const signIn = (overrides = {}) => {
+    const user = {
+        _id: '65f000000000000000000001',
+        displayName: 'Test User',
+        accessToken: 'spotify-access-token',
+        refreshToken: 'spotify-refresh-token',
+        tokenExpiration: new Date(Date.now() + 60 * 60 * 1000),
+        lastActiveAt: new Date(),
+        ...overrides
+    };
+    User.findById = async () => user;
+    BlacklistedToken.findOne = async () => null;
+    const token = jwt.sign({ userId: user._id, jti: 'test-session' }, process.env.JWT_SECRET);
+    return { user, cookie: `${ACCESS_COOKIE}=${token}` };
+};
@@ -0,0 +1,35 @@
+// An in-memory stand-in for the UsageRecord collection, covering the queries services/usage.js
+// makes: findOne and find by user and day, and upserts with $inc.
+import { UsageRecord } from '../../models/UsageRecord.js';
+
+const lean = (value) => ({ lean: async () => value });
+
+export const stubUsageRecords = () => {
+    const records = new Map(); // `${userId}:${day}` -> record
+    const key = (query) => `${query.userId}:${query.day}`;
+
+    UsageRecord.findOne = (query) => lean(records.get(key(query)) || null);
+    UsageRecord.find = (query) => ({
+        sort: () => lean([...records.values()]
+            .filter((record) => String(record.userId) === String(query.userId) && record.day >= query.day.$gte)
+            .sort((a, b) => b.day.localeCompare(a.day)))
+    });
+    UsageRecord.updateOne = async (query, update) => {
+        const record = records.get(key(query)) || { userId: query.userId, day: query.day };
+        Object.entries(update.$inc).forEach(([path, amount]) => {
+            const parts = path.split('.');
+            const last = parts.pop();
+            const target = parts.reduce((object, part) => {
+                object[part] = object[part] || {};
+                return object[part];
+            }, record);
+            target[last] = (target[last] || 0) + amount;
+        });
+        records.set(key(query), record);
+    };
+
+    return {
+        today: (userId) => records.get(`${userId}:${new Date().toISOString().slice(0, 10)}`),
+        set: (record) => records.set(key(record), record)
+    };
+};
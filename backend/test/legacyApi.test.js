@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createLegacyApiRouter, LEGACY_API_SUNSET } from '../routes/legacy.js';
+
+process.env.API_BASE_URL = 'http://api.example.test';
+
+let server;
+let base;
+
+before(async () => {
+    const app = express();
+    app.use(createLegacyApiRouter());
+    // Stands in for the /api/v1 router, echoing the URL it was given
+    app.use('/api/v1', (req, res) => res.json({ method: req.method, url: `${req.baseUrl}${req.url}` }));
+    app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test('old paths are answered by their /api/v1 successor with deprecation headers', async () => {
+    const res = await fetch(`${base}/api/listening-data?time_range=short_term&limit=5`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { method: 'GET', url: '/api/v1/listening/top-tracks?time_range=short_term&limit=5' });
+    assert.equal(res.headers.get('deprecation'), 'true');
+    assert.equal(res.headers.get('sunset'), LEGACY_API_SUNSET.toUTCString());
+    assert.equal(res.headers.get('link'), '<http://api.example.test/api/v1/listening/top-tracks>; rel="successor-version"');
+});
+
+test('path parameters are carried over, encoded', async () => {
+    const res = await fetch(`${base}/api/blends/invites/a%20b/accept`, { method: 'POST' });
+    assert.deepEqual(await res.json(), { method: 'POST', url: '/api/v1/blends/invites/a%20b/accept' });
+});
+
+test('renamed routes map to their new paths', async () => {
+    const res = await fetch(`${base}/api/gemini-2.0-flash-exp`, { method: 'POST' });
+    assert.deepEqual(await res.json(), { method: 'POST', url: '/api/v1/summaries' });
+});
+
+test('only the methods a legacy route had are rewritten', async () => {
+    const res = await fetch(`${base}/api/listening-data`, { method: 'DELETE' });
+    assert.equal(res.status, 404);
+    assert.equal(res.headers.get('deprecation'), null);
+});
@@ -0,0 +1,113 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { logger, runWithLogContext, addLogContext, redactText } from '../utils/logger.js';
+
+// Log lines written to stdout while a test runs, parsed
+let lines;
+let write;
+
+beforeEach(() => {
+    lines = [];
+    write = process.stdout.write;
+    process.stdout.write = (chunk, ...rest) => {
+        const text = String(chunk);
+        if (!text.startsWith('{')) return write.call(process.stdout, chunk, ...rest);
+        lines.push(...text.trim().split('\n').map((line) => JSON.parse(line)));
+        return true;
+    };
+});
+
+afterEach(() => {
+    process.stdout.write = write;
+});
+
+test('writes one JSON line with the level, message, time and fields', () => {
+    logger.info('Job finished', { count: 3, at: new Date('2026-01-02T03:04:05Z') });
+
+    assert.equal(lines.length, 1);
+    const [line] = lines;
+    assert.equal(line.level, 'info');
+    assert.equal(line.message, 'Job finished');
+    assert.equal(line.count, 3);
+    assert.equal(line.at, '2026-01-02T03:04:05.000Z');
+    assert.ok(!Number.isNaN(Date.parse(line.timestamp)));
+});
+
+test('skips levels below LOG_LEVEL', () => {
+    logger.debug('Not shown by default');
+    assert.equal(lines.length, 0);
+});
+
+test('redacts sensitive fields at any depth and credentials inside strings', () => {
+    logger.warn('Called https://example.com/cb?code=abc123&state=x with Bearer sk-live.1', {
+        accessToken: 'a',
+        request: { headers: { authorization: 'Bearer b', cookie: 'c=d' }, body: '{"refresh_token": "r"}' },
+        jwt: 'eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.sig'
+    });
+
+    const [line] = lines;
+    assert.equal(line.message, 'Called https://example.com/cb?code=[REDACTED]&state=x with Bearer [REDACTED]');
+    assert.equal(line.accessToken, '[REDACTED]');
+    assert.equal(line.request.headers.authorization, '[REDACTED]');
+    assert.equal(line.request.headers.cookie, '[REDACTED]');
+    assert.equal(line.request.body, '{"refresh_token": "[REDACTED]"}');
+    assert.equal(line.jwt, '[REDACTED]');
+    assert.equal(redactText('access_token=xyz'), 'access_token=[REDACTED]');
+});
+
+test('serializes errors with their status, code, details and stack', () => {
+    const error = new Error('Spotify said no to Bearer abc');
+    error.status = 502;
+    error.code = 'UPSTREAM';
+    error.details = { client_secret: 's', retryAfter: 5 };
+
+    logger.error('Request failed', { error, userId: new mongoose.Types.ObjectId('0123456789abcdef01234567') });
+
+    const [line] = lines;
+    assert.equal(line.error.name, 'Error');
+    assert.equal(line.error.message, 'Spotify said no to Bearer [REDACTED]');
+    assert.equal(line.error.status, 502);
+    assert.equal(line.error.code, 'UPSTREAM');
+    assert.deepEqual(line.error.details, { client_secret: '[REDACTED]', retryAfter: 5 });
+    assert.match(line.error.stack, /^Error: Spotify said no to Bearer \[REDACTED\]\n/);
+    assert.equal(line.userId, '0123456789abcdef01234567');
+});
+
+test('survives circular fields', () => {
+    const node = { name: 'a' };
+    node.self = node;
+
+    logger.info('Cycle', { node });
+
+    assert.deepEqual(lines[0].node, { name: 'a', self: '[Truncated]' });
+});
+
+test('adds the context to lines logged inside it, including after awaits', async () => {
+    await runWithLogContext({ requestId: 'req-1' }, async () => {
+        logger.info('Started');
+        addLogContext({ userId: 'user-1' });
+        await new Promise((resolve) => setImmediate(resolve));
+        await runWithLogContext({ job: 'sync' }, async () => logger.info('Nested'));
+        logger.info('Finished', { requestId: 'overridden' });
+    });
+    logger.info('Outside');
+
+    assert.deepEqual(lines.map(({ message, requestId, userId, job }) => ({ message, requestId, userId, job })), [
+        { message: 'Started', requestId: 'req-1', userId: undefined, job: undefined },
+        { message: 'Nested', requestId: 'req-1', userId: 'user-1', job: 'sync' },
+        { message: 'Finished', requestId: 'overridden', userId: 'user-1', job: undefined },
+        { message: 'Outside', requestId: undefined, userId: undefined, job: undefined }
+    ]);
+});
+
+test('keeps concurrent contexts apart', async () => {
+    const run = (requestId, delay) => runWithLogContext({ requestId }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        logger.info('Done');
+    });
+
+    await Promise.all([run('slow', 20), run('fast', 1)]);
+
+    assert.deepEqual(lines.map((line) => line.requestId), ['fast', 'slow']);
+});
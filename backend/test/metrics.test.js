@@ -0,0 +1,53 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { httpRequests, llmRequestDuration, renderMetrics } from '../utils/metrics.js';
+import { createMetricsRouter } from '../routes/metrics.js';
+import { startServer } from './helpers/server.js';
+
+afterEach(() => {
+    delete process.env.METRICS_TOKEN;
+});
+
+test('renders the application and process metrics in the Prometheus text format', async () => {
+    httpRequests.inc({ method: 'GET', route: '/api/v1/summaries/:id', status: '200' });
+    llmRequestDuration.observe({ provider: 'openai', task: 'summary' }, 1.5);
+
+    const text = await renderMetrics();
+
+    assert.match(text, /# TYPE http_requests_total counter/);
+    assert.match(text, /http_requests_total\{method="GET",route="\/api\/v1\/summaries\/:id",status="200"\} 1/);
+    assert.match(text, /llm_request_duration_seconds_bucket\{le="2.5",provider="openai",task="summary"\} 1/);
+    assert.match(text, /llm_request_duration_seconds_sum\{provider="openai",task="summary"\} 1.5/);
+    assert.match(text, /process_resident_memory_bytes/);
+    assert.match(text, /nodejs_eventloop_lag_seconds/);
+});
+
+test('escapes label values', async () => {
+    httpRequests.inc({ method: 'GET', route: 'a"b\\c\nd', status: '404' });
+
+    assert.match(await renderMetrics(), /route="a\\"b\\\\c\\nd"/);
+});
+
+test('serves metrics at /metrics, requiring the token when one is set', async () => {
+    const server = await startServer((app) => app.use('/metrics', createMetricsRouter()));
+    try {
+        const open = await fetch(`${server.url}/metrics`);
+        assert.equal(open.status, 200);
+        // Express may reorder the parameters
+        assert.match(open.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        assert.match(await open.text(), /http_requests_total/);
+
+        process.env.METRICS_TOKEN = 'scrape-me';
+        const missing = await fetch(`${server.url}/metrics`);
+        assert.equal(missing.status, 401);
+        assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+        const wrong = await fetch(`${server.url}/metrics`, { headers: { Authorization: 'Bearer scrape-you' } });
+        assert.equal(wrong.status, 401);
+
+        const right = await fetch(`${server.url}/metrics`, { headers: { Authorization: 'Bearer scrape-me' } });
+        assert.equal(right.status, 200);
+    } finally {
+        await server.close();
+    }
+});
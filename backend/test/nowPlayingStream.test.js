@@ -0,0 +1,53 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startServer, signIn } from './helpers/server.js';
+import { createNowPlayingApi } from '../routes/v1/nowPlaying.js';
+import { NOW_PLAYING_CACHE_MS } from '../services/nowPlaying.js';
+import { createLlmProvider } from '../services/llm/index.js';
+
+const servers = [];
+after(() => Promise.all(servers.map((server) => server.close())));
+
+test('a client disconnecting while a poll is in flight stops the polling', async () => {
+    // Spotify's currently-playing endpoint, holding the first answer until the client is gone
+    let polls = 0;
+    let answerFirstPoll;
+    const firstPollAnswered = new Promise((resolve) => {
+        answerFirstPoll = resolve;
+    });
+    const spotify = await startServer((app) => {
+        app.get('/v1/me/player/currently-playing', async (req, res) => {
+            polls += 1;
+            if (polls === 1) await firstPollAnswered;
+            res.status(204).end();
+        });
+    });
+    servers.push(spotify);
+    process.env.SPOTIFY_API_URL = `${spotify.url}/v1`;
+
+    let streamClosed;
+    const closed = new Promise((resolve) => {
+        streamClosed = resolve;
+    });
+    const api = await startServer((app) => {
+        app.use('/now-playing', (req, res, next) => {
+            res.on('close', streamClosed);
+            next();
+        }, createNowPlayingApi({ llm: createLlmProvider('mock', { model: 'mock' }) }).router);
+    });
+    servers.push(api);
+
+    const { cookie } = signIn({ _id: '65f0000000000000000000aa' });
+    const client = new AbortController();
+    // Headers go out with the first event, so the response isn't awaited
+    const response = fetch(`${api.url}/now-playing/stream`, { headers: { cookie }, signal: client.signal }).catch(() => {});
+    while (polls === 0) await sleep(10);
+
+    client.abort();
+    await Promise.all([response, closed]);
+    answerFirstPoll();
+
+    await sleep(NOW_PLAYING_CACHE_MS + 500);
+    assert.equal(polls, 1);
+});
@@ -0,0 +1,166 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Playlist } from '../models/Playlist.js';
+import { savePlaylist, parsePlaylistOptions, PlaylistRequestError } from '../services/playlists.js';
+import { QuotaExceededError } from '../services/usage.js';
+import { stubUsageRecords } from './helpers/usageRecords.js';
+
+const USER_ID = '65f000000000000000000001';
+
+// A Spotify client recording its calls; failOn maps "METHOD path" to an error to throw
+const fakeSpotify = (failOn = {}) => {
+    const calls = [];
+    const call = (method) => async (path, body) => {
+        calls.push(`${method} ${path}`);
+        if (failOn[`${method} ${path}`]) throw failOn[`${method} ${path}`];
+        if (method === 'GET' && path === '/me') return { id: 'spotify-user' };
+        if (method === 'POST' && path.endsWith('/playlists')) return { id: 'new-playlist', ...body };
+        return {};
+    };
+    return { calls, get: call('GET'), post: call('POST'), put: call('PUT'), delete: call('DELETE') };
+};
+
+const uris = (count) => Array.from({ length: count }, (item, i) => `spotify:track:${i}`);
+
+let usage;
+let created;
+
+beforeEach(() => {
+    process.env.DAILY_PLAYLIST_QUOTA = '2';
+    usage = stubUsageRecords();
+    created = [];
+    Playlist.countDocuments = async () => 0;
+    Playlist.create = async (doc) => {
+        created.push(doc);
+        return doc;
+    };
+});
+
+const createOptions = () => parsePlaylistOptions({ name: 'Rainy day' });
+
+test('creating a playlist adds its tracks in batches of 100 and counts against the quota', async () => {
+    const spotify = fakeSpotify();
+    const playlist = await savePlaylist(spotify, USER_ID, createOptions(), uris(150), { source: 'mood' });
+
+    assert.deepEqual(spotify.calls, [
+        'GET /me',
+        'POST /users/spotify-user/playlists',
+        'POST /playlists/new-playlist/tracks',
+        'POST /playlists/new-playlist/tracks'
+    ]);
+    assert.equal(playlist.spotifyPlaylistId, 'new-playlist');
+    assert.equal(playlist.trackCount, 150);
+    assert.equal(playlist.source, 'mood');
+    assert.equal(usage.today(USER_ID).playlistsCreated, 1);
+});
+
+test('a playlist whose tracks fail to add is removed and not counted', async () => {
+    const failure = new Error('Spotify is unreachable');
+    const spotify = fakeSpotify({ 'POST /playlists/new-playlist/tracks': failure });
+
+    await assert.rejects(savePlaylist(spotify, USER_ID, createOptions(), uris(3)), failure);
+    assert.ok(spotify.calls.includes('DELETE /playlists/new-playlist/followers'));
+    assert.deepEqual(created, []);
+    assert.equal(usage.today(USER_ID), undefined);
+});
+
+test('a playlist that fails to save is removed from Spotify and not counted', async () => {
+    const failure = new Error('Database unavailable');
+    Playlist.create = async () => {
+        throw failure;
+    };
+    const spotify = fakeSpotify();
+
+    await assert.rejects(savePlaylist(spotify, USER_ID, createOptions(), uris(3)), failure);
+    assert.equal(spotify.calls.at(-1), 'DELETE /playlists/new-playlist/followers');
+    assert.equal(usage.today(USER_ID), undefined);
+});
+
+test('the original error is kept when removing the failed playlist also fails', async () => {
+    const failure = new Error('Spotify is unreachable');
+    const spotify = fakeSpotify({
+        'POST /playlists/new-playlist/tracks': failure,
+        'DELETE /playlists/new-playlist/followers': new Error('still unreachable')
+    });
+    await assert.rejects(savePlaylist(spotify, USER_ID, createOptions(), uris(3)), failure);
+});
+
+test('creating past the daily quota is refused before anything is written', async () => {
+    usage.set({ userId: USER_ID, day: new Date().toISOString().slice(0, 10), playlistsCreated: 2 });
+    const spotify = fakeSpotify();
+
+    await assert.rejects(savePlaylist(spotify, USER_ID, createOptions(), uris(3)), (error) => {
+        assert.ok(error instanceof QuotaExceededError);
+        assert.equal(error.quota, 'playlists');
+        return true;
+    });
+    assert.deepEqual(spotify.calls, []);
+});
+
+test('users with the maximum number of app playlists are asked to reuse one', async () => {
+    Playlist.countDocuments = async () => 25;
+    await assert.rejects(savePlaylist(fakeSpotify(), USER_ID, createOptions(), uris(3)), (error) => {
+        assert.ok(error instanceof PlaylistRequestError);
+        assert.equal(error.status, 409);
+        return true;
+    });
+});
+
+// A stored mood playlist whose Spotify copy holds `items`, which may include duplicates
+const existingPlaylist = (spotify, items) => {
+    const playlist = {
+        source: 'mood',
+        mood: 'chill',
+        trackCount: items.length,
+        saved: false,
+        markModified() {},
+        async save() {
+            this.saved = true;
+        }
+    };
+    Playlist.findOne = async () => playlist;
+    spotify.getAll = async () => items.map((uri) => ({ track: { uri } }));
+    const get = spotify.get;
+    spotify.get = async (path, params) => {
+        if (path === '/playlists/existing') {
+            spotify.calls.push(`GET ${path}`);
+            assert.deepEqual(params, { fields: 'tracks(total)' });
+            return { tracks: { total: items.length } };
+        }
+        return get(path, params);
+    };
+    return playlist;
+};
+
+test('appending adds only tracks the playlist lacks, and costs no quota', async () => {
+    const spotify = fakeSpotify();
+    const playlist = existingPlaylist(spotify, ['spotify:track:0', 'spotify:track:1']);
+
+    await savePlaylist(spotify, USER_ID, parsePlaylistOptions({ mode: 'append', playlistId: 'existing' }), uris(4));
+    assert.deepEqual(spotify.calls, ['GET /playlists/existing', 'POST /playlists/existing/tracks']);
+    assert.equal(playlist.trackCount, 4);
+    assert.ok(playlist.saved);
+    assert.equal(usage.today(USER_ID), undefined);
+});
+
+test('appending counts tracks the playlist already holds more than once', async () => {
+    const spotify = fakeSpotify();
+    const playlist = existingPlaylist(spotify, ['spotify:track:0', 'spotify:track:0', 'spotify:track:1']);
+
+    await savePlaylist(spotify, USER_ID, parsePlaylistOptions({ mode: 'append', playlistId: 'existing' }), uris(4));
+    assert.equal(playlist.trackCount, 5);
+});
+
+test('appending and replacing keep how the playlist was made', async () => {
+    for (const mode of ['append', 'replace']) {
+        const spotify = fakeSpotify();
+        const playlist = existingPlaylist(spotify, ['spotify:track:0']);
+
+        await savePlaylist(spotify, USER_ID, parsePlaylistOptions({ mode, playlistId: 'existing', name: 'Renamed' }), uris(3),
+            { source: 'top-tracks', mood: undefined });
+        assert.equal(playlist.source, 'mood');
+        assert.equal(playlist.mood, 'chill');
+        assert.equal(playlist.name, 'Renamed');
+        assert.equal(playlist.trackCount, 3);
+    }
+});
@@ -0,0 +1,108 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { RateLimitCounter } from '../models/RateLimitCounter.js';
+import { MongoRateLimitStore, apiLimiter } from '../middleware/rateLimits.js';
+import { ACCESS_COOKIE } from '../services/authTokens.js';
+import { startServer } from './helpers/server.js';
+
+// Counters by _id, applying the store's "new window or one more hit" update
+let counters;
+let updates;
+
+beforeEach(() => {
+    counters = new Map();
+    updates = [];
+    RateLimitCounter.findOneAndUpdate = async (filter, pipeline, options) => {
+        updates.push({ filter, pipeline, options });
+        const now = Date.now();
+        const counter = counters.get(filter._id);
+        const next = counter && counter.resetAt > now
+            ? { ...counter, hits: counter.hits + 1 }
+            : { _id: filter._id, hits: 1, resetAt: new Date(now + 60 * 1000) };
+        counters.set(filter._id, next);
+        return next;
+    };
+});
+
+test('the store counts hits under its prefix and reports when the window resets', async () => {
+    const store = new MongoRateLimitStore('api');
+    store.init({ windowMs: 60 * 1000 });
+
+    await store.increment('user:1');
+    const result = await store.increment('user:1');
+    assert.equal(result.totalHits, 2);
+    assert.ok(result.resetTime instanceof Date);
+    assert.equal(updates[0].filter._id, 'api:user:1');
+    assert.deepEqual(updates[0].options, { upsert: true, new: true, lean: true });
+
+    // A new window starts windowMs after the hit that opens it
+    const { resetAt } = updates[0].pipeline[0].$set;
+    const windowEnd = resetAt.$cond[1];
+    assert.ok(Math.abs(windowEnd.getTime() - (Date.now() + 60 * 1000)) < 1000);
+});
+
+test('a first hit losing the insert race is retried once as an update', async () => {
+    const store = new MongoRateLimitStore('api');
+    store.init({ windowMs: 1000 });
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    let attempts = 0;
+    RateLimitCounter.findOneAndUpdate = async () => {
+        attempts += 1;
+        if (attempts === 1) throw duplicate;
+        return { hits: 2, resetAt: new Date() };
+    };
+    assert.equal((await store.increment('ip:1')).totalHits, 2);
+
+    attempts = 0;
+    RateLimitCounter.findOneAndUpdate = async () => {
+        attempts += 1;
+        throw duplicate;
+    };
+    await assert.rejects(store.increment('ip:1'), duplicate);
+    assert.equal(attempts, 2);
+});
+
+test('decrementing only touches a live counter with hits left', async () => {
+    let query;
+    RateLimitCounter.updateOne = async (filter, update) => {
+        query = { filter, update };
+    };
+    await new MongoRateLimitStore('playlist').decrement('user:1');
+    assert.equal(query.filter._id, 'playlist:user:1');
+    assert.deepEqual(query.filter.hits, { $gt: 0 });
+    assert.ok(query.filter.resetAt.$gt instanceof Date);
+    assert.deepEqual(query.update, { $inc: { hits: -1 } });
+});
+
+const limited = await startServer((app) => {
+    app.use(apiLimiter);
+    app.get('/', (req, res) => res.json({ ok: true }));
+});
+after(() => limited.close());
+
+const sessionCookie = (userId, options = {}) => `${ACCESS_COOKIE}=${jwt.sign({ userId }, process.env.JWT_SECRET, options)}`;
+
+test('API requests are counted per user, even on an expired session', async () => {
+    const expired = sessionCookie('user-a', { expiresIn: -60 });
+    await fetch(limited.url, { headers: { cookie: expired } });
+    await fetch(limited.url, { headers: { cookie: sessionCookie('user-a') } });
+    assert.equal(counters.get('api:user:user-a').hits, 2);
+});
+
+test('anonymous requests and forged cookies are counted per IP', async () => {
+    await fetch(limited.url);
+    await fetch(limited.url, { headers: { cookie: `${ACCESS_COOKIE}=${jwt.sign({ userId: 'user-a' }, 'wrong-secret')}` } });
+    const ipCounters = [...counters.keys()].filter((id) => id.startsWith('api:ip:'));
+    assert.equal(ipCounters.length, 1);
+    assert.equal(counters.get(ipCounters[0]).hits, 2);
+    assert.equal(counters.has('api:user:user-a'), false);
+});
+
+test('requests over the limit get a 429 with a machine-readable code', async () => {
+    const cookie = sessionCookie('user-b');
+    counters.set('api:user:user-b', { _id: 'api:user:user-b', hits: 100, resetAt: new Date(Date.now() + 60 * 1000) });
+    const res = await fetch(limited.url, { headers: { cookie } });
+    assert.equal(res.status, 429);
+    assert.deepEqual(await res.json(), { error: 'Too many requests, please try again later.', code: 'rate_limited' });
+});
@@ -0,0 +1,64 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../models/User.js';
+import { Blend } from '../models/Blend.js';
+import { USER_COLLECTIONS } from '../services/accountData.js';
+import { applyRetentionPolicy } from '../jobs/retention.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The filters each run looked up inactive accounts with; nothing is found, so nothing is deleted
+let inactiveQueries;
+
+beforeEach(() => {
+    inactiveQueries = [];
+    User.find = (filter) => ({
+        select: async () => {
+            inactiveQueries.push(filter);
+            return [];
+        },
+        distinct: async () => []
+    });
+    Blend.distinct = async () => [];
+    Object.values(USER_COLLECTIONS).forEach((model) => {
+        model.distinct = async () => [];
+    });
+});
+
+afterEach(() => {
+    delete process.env.ACCOUNT_RETENTION_DAYS;
+});
+
+const cutoffDays = () => {
+    const { tokenExpiration, $or } = inactiveQueries.at(-1);
+    assert.equal($or[1].lastActiveAt.$lt, tokenExpiration.$lt);
+    return (Date.now() - tokenExpiration.$lt.getTime()) / DAY_MS;
+};
+
+test('deletes accounts inactive for 30 days by default', async () => {
+    await applyRetentionPolicy();
+    assert.equal(Math.round(cutoffDays()), 30);
+});
+
+test('uses ACCOUNT_RETENTION_DAYS as set when the job runs, not when the module loaded', async () => {
+    process.env.ACCOUNT_RETENTION_DAYS = '90';
+    await applyRetentionPolicy();
+    assert.equal(Math.round(cutoffDays()), 90);
+
+    process.env.ACCOUNT_RETENTION_DAYS = '365';
+    await applyRetentionPolicy();
+    assert.equal(Math.round(cutoffDays()), 365);
+});
+
+test('refuses to run with an invalid ACCOUNT_RETENTION_DAYS instead of falling back', async () => {
+    for (const value of ['ninety', '0', '-5']) {
+        process.env.ACCOUNT_RETENTION_DAYS = value;
+        await assert.rejects(applyRetentionPolicy(), /ACCOUNT_RETENTION_DAYS must be a positive number of days/);
+    }
+    assert.deepEqual(inactiveQueries, []);
+
+    // The failed runs don't leave the job marked as running
+    delete process.env.ACCOUNT_RETENTION_DAYS;
+    await applyRetentionPolicy();
+    assert.equal(inactiveQueries.length, 1);
+});
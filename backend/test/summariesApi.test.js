@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, signIn } from './helpers/server.js';
+import { createMockSpotifyRouter, issueMockTokens } from '../demo/mockSpotify.js';
+import { createApiV1Router } from '../routes/v1/index.js';
+import { createLlmProvider } from '../services/llm/index.js';
+import { Summary } from '../models/Summary.js';
+
+let server;
+let cookie;
+
+before(async () => {
+    server = await startServer((app) => {
+        app.use('/mock-spotify', createMockSpotifyRouter());
+        app.use('/api/v1', createApiV1Router({ llm: createLlmProvider('mock', { model: 'mock' }), ttsProvider: {}, frontendUrl: 'x' }));
+    });
+    process.env.SPOTIFY_API_URL = `${server.url}/mock-spotify/v1`;
+    ({ cookie } = signIn({ accessToken: issueMockTokens('jordan').accessToken }));
+});
+
+after(() => server.close());
+
+const generate = (body) => fetch(`${server.url}/api/v1/summaries`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', cookie },
+    body: JSON.stringify(body)
+});
+
+test('unexpected failures answer 500 without internal details', async () => {
+    Summary.findOne = () => ({
+        sort: async () => {
+            throw new Error('connection 3 to 10.0.0.5:27017 closed');
+        }
+    });
+    const res = await generate({ timeRange: 'short_term' });
+    assert.equal(res.status, 500);
+    assert.deepEqual(await res.json(), { error: 'Failed to generate summary' });
+});
+
+test('invalid options are still reported as bad requests', async () => {
+    const res = await generate({ timeRange: 'short_term', language: 'not a language' });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, 'invalid_request');
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { moodPalette, renderSummaryCard, renderSharePage } from '../services/summaryCard.js';
+import { estimateFromGenres, moodLabel } from '../services/trackMood.js';
+
+const HOSTILE = '<script>alert("x")</script> & \'friends\'';
+const ESCAPED = '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;friends&#39;';
+
+const urls = {
+    page: 'https://moodi.example/s/abc?x=1&y=2',
+    image: 'https://moodi.example/s/abc/card.png',
+    app: 'https://moodi.example/'
+};
+
+const textSummary = (overrides = {}) => ({
+    timeRange: 'short_term',
+    language: 'en',
+    summaryText: 'You lived on synthwave this month. Then came jazz.',
+    inputs: { artists: [{ name: 'Night Drive', genres: ['synthwave'] }, { name: 'Blue Room', genres: ['jazz'] }] },
+    ...overrides
+});
+
+const insightsSummary = (overrides = {}) => ({
+    timeRange: 'long_term',
+    summaryText: '',
+    inputs: { artists: [] },
+    insights: {
+        headline: HOSTILE,
+        topArtists: [{ name: `Band ${HOSTILE}`, reason: `Because ${HOSTILE}` }],
+        genres: [HOSTILE],
+        moods: ['calm'],
+        funFacts: [],
+        recommendedArtists: [{ name: 'Next Up', reason: '' }]
+    },
+    ...overrides
+});
+
+test('splits the palette by the mood of each input artist, largest share first', () => {
+    const expected = (genres) => moodLabel(estimateFromGenres(genres));
+    const summary = textSummary({
+        inputs: { artists: [{ genres: ['jazz'] }, { genres: ['death metal'] }, { genres: ['jazz'] }, { genres: ['smooth jazz'] }] }
+    });
+
+    const palette = moodPalette(summary);
+
+    assert.equal(palette[0].mood, expected(['jazz']));
+    assert.equal(palette.reduce((sum, { share }) => sum + share, 0), 1);
+    palette.forEach(({ color }) => assert.match(color, /^#[0-9a-f]{6}$/));
+    assert.deepEqual(moodPalette(textSummary({ inputs: {} })), [{ mood: 'balanced', color: '#999999', share: 1 }]);
+});
+
+test('renders a card with the headline, subtitle and top artists', () => {
+    const svg = renderSummaryCard(textSummary(), { displayName: 'Sam' });
+
+    assert.match(svg, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg /);
+    assert.match(svg, /width="1200" height="630"/);
+    assert.ok(svg.includes('Sam&#39;s Moodi-Fi summary · Last 4 weeks'));
+    // Only the first sentence of a plain-text summary, wrapped into lines
+    assert.ok(svg.includes('>You lived on synthwave</text>'));
+    assert.ok(svg.includes('>this month.</text>'));
+    assert.ok(!svg.includes('jazz.'));
+    assert.ok(svg.includes('<tspan fill="#1DB954" font-weight="bold">2</tspan>  Blue Room'));
+});
+
+test('escapes user and model text in the card', () => {
+    const svg = renderSummaryCard(insightsSummary(), { displayName: '<b>Sam</b>' });
+
+    assert.ok(!svg.includes('<script>'));
+    assert.ok(!svg.includes('<b>'));
+    assert.ok(svg.includes('&lt;b&gt;Sam&lt;/b&gt;&#39;s Moodi-Fi summary'));
+    assert.ok(svg.includes('&lt;script&gt;alert(&quot;x&quot;)'));
+});
+
+test('ends text that doesn\'t fit with an ellipsis', () => {
+    const headline = 'word '.repeat(60).trim();
+    const svg = renderSummaryCard(insightsSummary({
+        insights: { ...insightsSummary().insights, headline, topArtists: [{ name: 'A'.repeat(40) }] }
+    }));
+
+    const headlineLines = [...svg.matchAll(/font-size="42" font-weight="bold" fill="#ffffff">([^<]*)</g)].map((match) => match[1]);
+    assert.equal(headlineLines.length, 5);
+    assert.ok(headlineLines.every((line) => line.length <= 26));
+    assert.ok(headlineLines[4].endsWith('…'));
+    assert.ok(svg.includes(`${'A'.repeat(21)}…`));
+});
+
+test('renders the share page with Open Graph tags and escaped content', () => {
+    const html = renderSharePage(insightsSummary({ language: 'en" onload="x' }), { displayName: 'Sam', urls });
+
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('<html lang="en&quot; onload=&quot;x">'));
+    assert.ok(html.includes(`<meta property="og:description" content="${ESCAPED}">`));
+    assert.ok(html.includes('<meta property="og:url" content="https://moodi.example/s/abc?x=1&amp;y=2">'));
+    assert.ok(html.includes(`<meta property="og:image" content="${urls.image}">`));
+    assert.ok(html.includes('<meta property="og:image:width" content="1200">'));
+    assert.ok(html.includes(`<li><strong>Band ${ESCAPED}</strong> · Because ${ESCAPED}</li>`));
+    assert.ok(html.includes('<li><strong>Next Up</strong></li>'));
+    // Empty sections are left out
+    assert.ok(!html.includes('Fun Facts'));
+});
+
+test('renders a plain-text summary on the share page', () => {
+    const html = renderSharePage(textSummary({ summaryText: `Line one.\n${HOSTILE}` }), { urls });
+
+    assert.ok(html.includes('<title>My Moodi-Fi summary</title>'));
+    assert.ok(html.includes(`<p class="text">Line one.\n${ESCAPED}</p>`));
+    assert.ok(html.includes('<meta property="og:description" content="Line one.">'));
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+
+// The keyring is read once per module instance, so each configuration gets a fresh copy
+let instances = 0;
+const withKeys = async (keys, version) => {
+    process.env.TOKEN_ENCRYPTION_KEYS = keys;
+    if (version) process.env.TOKEN_ENCRYPTION_KEY_VERSION = String(version);
+    else delete process.env.TOKEN_ENCRYPTION_KEY_VERSION;
+    const tokenCrypto = await import(`../utils/tokenCrypto.js?instance=${++instances}`);
+    tokenCrypto.assertEncryptionConfigured();
+    return tokenCrypto;
+};
+
+test('encrypts to the stored format and decrypts back', async () => {
+    const { encryptToken, decryptToken, isEncrypted, needsReencryption } = await withKeys(`1:${KEY_1}`);
+
+    const stored = encryptToken('BQDx-spotify-access-token');
+    assert.match(stored, /^enc:v1:[\w-]+:[\w-]+:[\w-]+$/);
+    assert.ok(!stored.includes('spotify'));
+    assert.ok(isEncrypted(stored));
+    assert.equal(needsReencryption(stored), false);
+    assert.equal(decryptToken(stored), 'BQDx-spotify-access-token');
+
+    // A fresh IV each time
+    assert.notEqual(encryptToken('same'), encryptToken('same'));
+    // Empty and already encrypted values pass through
+    assert.equal(encryptToken(''), '');
+    assert.equal(encryptToken(null), null);
+    assert.equal(encryptToken(stored), stored);
+});
+
+test('after rotation, encrypts with the newest key and still reads older versions', async () => {
+    const before = await withKeys(`1:${KEY_1}`);
+    const old = before.encryptToken('refresh-me');
+
+    const after = await withKeys(`1:${KEY_1},2:${KEY_2}`);
+    assert.equal(after.decryptToken(old), 'refresh-me');
+    assert.equal(after.needsReencryption(old), true);
+
+    const migrated = after.reencryptToken(old);
+    assert.match(migrated, /^enc:v2:/);
+    assert.equal(after.decryptToken(migrated), 'refresh-me');
+    assert.equal(after.needsReencryption(migrated), false);
+
+    // TOKEN_ENCRYPTION_KEY_VERSION can hold encryption on the older key while the new one rolls out
+    const pinned = await withKeys(`1:${KEY_1},2:${KEY_2}`, 1);
+    assert.match(pinned.encryptToken('x'), /^enc:v1:/);
+    assert.equal(pinned.needsReencryption(migrated), true);
+
+    // Once a key is removed, its values can't be read
+    const retired = await withKeys(`2:${KEY_2}`);
+    assert.throws(() => retired.decryptToken(old), /No key for token encryption version 1/);
+});
+
+test('refuses values whose ciphertext or auth tag was tampered with', async () => {
+    const { encryptToken, decryptToken } = await withKeys(`1:${KEY_1}`);
+    const [prefix, version, iv, tag, ciphertext] = encryptToken('do-not-touch').split(':');
+
+    const flip = (part) => {
+        const bytes = Buffer.from(part, 'base64url');
+        bytes[0] ^= 1;
+        return bytes.toString('base64url');
+    };
+    assert.throws(() => decryptToken([prefix, version, iv, tag, flip(ciphertext)].join(':')), /authenticate/);
+    assert.throws(() => decryptToken([prefix, version, iv, flip(tag), ciphertext].join(':')), /authenticate/);
+});
+
+test('a value encrypted under another key with the same version does not decrypt', async () => {
+    const other = await withKeys(`1:${KEY_2}`);
+    const stored = other.encryptToken('wrong-key');
+
+    const { decryptToken } = await withKeys(`1:${KEY_1}`);
+    assert.throws(() => decryptToken(stored), /authenticate/);
+});
+
+test('plaintext tokens from before encryption are read as-is and flagged for migration', async () => {
+    const { decryptToken, needsReencryption, reencryptToken } = await withKeys(`1:${KEY_1}`);
+
+    assert.equal(decryptToken('legacy-plaintext'), 'legacy-plaintext');
+    assert.equal(needsReencryption('legacy-plaintext'), true);
+    assert.equal(needsReencryption(''), false);
+    assert.equal(decryptToken(reencryptToken('legacy-plaintext')), 'legacy-plaintext');
+
+    // Through the model: a stored plaintext token reads back unchanged, new values are encrypted
+    // The model's copy of the module reads its keys now, on first use
+    process.env.TOKEN_ENCRYPTION_KEYS = `1:${KEY_1}`;
+    const user = User.hydrate({ _id: '0123456789abcdef01234567', accessToken: 'legacy-plaintext' });
+    assert.equal(user.accessToken, 'legacy-plaintext');
+
+    user.accessToken = 'fresh-token';
+    assert.match(user.get('accessToken', null, { getters: false }), /^enc:v1:/);
+    assert.equal(user.accessToken, 'fresh-token');
+});
+
+test('rejects missing and malformed key configuration', async () => {
+    await assert.rejects(withKeys(''), /TOKEN_ENCRYPTION_KEYS is not set/);
+    await assert.rejects(withKeys('1:c2hvcnQ='), /entries must look like/);
+    await assert.rejects(withKeys(`one:${KEY_1}`), /entries must look like/);
+    await assert.rejects(withKeys(`1:${KEY_1}`, 3), /TOKEN_ENCRYPTION_KEY_VERSION 3 has no key/);
+});
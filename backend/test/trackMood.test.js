@@ -0,0 +1,119 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrackFeatures } from '../models/TrackFeatures.js';
+import { getTrackFeatures, estimateFromGenres, moodLabel } from '../services/trackMood.js';
+import { SpotifyApiError } from '../services/spotifyClient.js';
+import { LlmProviderError } from '../services/llm/index.js';
+import { QuotaExceededError } from '../services/usage.js';
+
+const TRACKS = [
+    { id: 't1', name: 'Loud', artists: ['A'], genres: ['metal'] },
+    { id: 't2', name: 'Soft', artists: ['B'], genres: ['ambient'] }
+];
+
+// A Spotify client whose /audio-features answers 403, as it does for newer apps
+const restrictedSpotify = () => {
+    const spotify = {
+        audioFeatureCalls: 0,
+        async get(path) {
+            assert.equal(path, '/audio-features');
+            spotify.audioFeatureCalls += 1;
+            throw new SpotifyApiError('Forbidden', 403);
+        }
+    };
+    return spotify;
+};
+
+const modelAnswering = (text) => ({ generate: async () => ({ text }) });
+const modelFailing = (error) => ({
+    generate: async () => {
+        throw error;
+    }
+});
+
+let written;
+const realNow = Date.now;
+
+beforeEach(() => {
+    written = [];
+    TrackFeatures.find = async () => [];
+    TrackFeatures.bulkWrite = async (operations) => {
+        written.push(...operations.map((operation) => operation.updateOne.update.$set));
+    };
+});
+
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('model estimates are cached for good', async () => {
+    const llm = modelAnswering(JSON.stringify([
+        { id: 't1', energy: 0.9, valence: 0.2, tempo: 150 },
+        { id: 't2', energy: 0.1, valence: 0.4, tempo: 70 }
+    ]));
+    const features = await getTrackFeatures(restrictedSpotify(), llm, TRACKS);
+    assert.equal(features.get('t1').source, 'llm');
+    assert.equal(features.get('t1').mood, 'intense');
+    assert.deepEqual(written.map((doc) => [doc.trackId, doc.source, doc.expiresAt]), [['t1', 'llm', null], ['t2', 'llm', null]]);
+});
+
+test('genre guesses made while the model is down expire, so tracks are estimated again', async () => {
+    const features = await getTrackFeatures(restrictedSpotify(), modelFailing(new LlmProviderError('The AI provider is unavailable')), TRACKS);
+    assert.equal(features.get('t1').source, 'genre');
+    assert.deepEqual(features.get('t1').energy, estimateFromGenres(['metal']).energy);
+    written.forEach((doc) => {
+        assert.equal(doc.source, 'genre');
+        assert.ok(doc.expiresAt > new Date(realNow() + 23 * 60 * 60 * 1000));
+    });
+    assert.equal(written.length, 2);
+});
+
+test('tracks the model skipped fall back to genres', async () => {
+    const llm = modelAnswering(JSON.stringify([{ id: 't1', energy: 0.9, valence: 0.2, tempo: 150 }, { id: 't2', energy: 7 }]));
+    const features = await getTrackFeatures(restrictedSpotify(), llm, TRACKS);
+    assert.equal(features.get('t1').source, 'llm');
+    assert.equal(features.get('t2').source, 'genre');
+});
+
+test('a user out of AI quota gets the quota error and nothing is cached', async () => {
+    const quota = new QuotaExceededError('You have used today\'s AI allowance', 'llmTokens', new Date());
+    await assert.rejects(getTrackFeatures(restrictedSpotify(), modelFailing(quota), TRACKS), quota);
+    assert.deepEqual(written, []);
+});
+
+test('cached tracks are not estimated again', async () => {
+    const cached = { trackId: 't1', energy: 0.9, valence: 0.2, tempo: 150, mood: 'intense', source: 'spotify' };
+    TrackFeatures.find = async () => [{ ...cached, toObject: () => cached }];
+    let prompt;
+    const llm = {
+        generate: async (text) => {
+            prompt = text;
+            return { text: '[]' };
+        }
+    };
+    const features = await getTrackFeatures(restrictedSpotify(), llm, TRACKS);
+    assert.equal(features.get('t1').source, 'spotify');
+    assert.ok(!prompt.includes('"t1"'));
+    assert.deepEqual(written.map((doc) => doc.trackId), ['t2']);
+});
+
+test('after a 403, audio features are asked for again only once the retry period is over', async () => {
+    // Earlier tests already got a 403, so Spotify isn't asked now
+    const spotify = restrictedSpotify();
+    const llm = modelAnswering('[]');
+    await getTrackFeatures(spotify, llm, TRACKS);
+    assert.equal(spotify.audioFeatureCalls, 0);
+
+    Date.now = () => realNow() + 7 * 60 * 60 * 1000;
+    await getTrackFeatures(spotify, llm, TRACKS);
+    assert.equal(spotify.audioFeatureCalls, 1);
+    await getTrackFeatures(spotify, llm, TRACKS);
+    assert.equal(spotify.audioFeatureCalls, 1);
+});
+
+test('mood labels name the quadrant of the energy/valence plane', () => {
+    assert.equal(moodLabel({ energy: 0.8, valence: 0.8 }), 'euphoric');
+    assert.equal(moodLabel({ energy: 0.2, valence: 0.7 }), 'chill');
+    assert.equal(moodLabel({ energy: 0.2, valence: 0.2 }), 'melancholy');
+    assert.equal(moodLabel({ energy: 0.55, valence: 0.45 }), 'balanced');
+});
@@ -0,0 +1,134 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    meterLlm,
+    assertLlmQuota,
+    estimateLlmCost,
+    quotasFromEnv,
+    getUsageReport,
+    QuotaExceededError
+} from '../services/usage.js';
+import { stubUsageRecords } from './helpers/usageRecords.js';
+
+const USER_ID = '65f000000000000000000001';
+
+// A provider answering with fixed token usage, or none when usage is null
+const fakeProvider = (usage = { inputTokens: 600, outputTokens: 400, totalTokens: 1000 }, model = 'gemini-2.0-flash-exp') => ({
+    name: 'gemini',
+    model,
+    calls: 0,
+    async generate() {
+        this.calls += 1;
+        return { text: 'four', usage };
+    },
+    async *stream() {
+        yield { text: 'one ' };
+        yield { text: 'two' };
+        if (usage) yield { usage };
+    }
+});
+
+let usage;
+
+beforeEach(() => {
+    process.env.DAILY_LLM_TOKEN_QUOTA = '2500';
+    process.env.DAILY_PLAYLIST_QUOTA = '20';
+    delete process.env.LLM_INPUT_COST_PER_MILLION;
+    delete process.env.LLM_OUTPUT_COST_PER_MILLION;
+    usage = stubUsageRecords();
+});
+
+test('metered calls record tokens, cost and task against the user', async () => {
+    const llm = meterLlm(fakeProvider(), USER_ID);
+    await llm.generate('prompt', { task: 'summary' });
+    await llm.generate('prompt', { task: 'mood-tracks' });
+
+    const { llm: recorded } = usage.today(USER_ID);
+    assert.equal(recorded.calls, 2);
+    assert.equal(recorded.totalTokens, 2000);
+    assert.deepEqual(recorded.tasks, { 'summary': 1000, 'mood-tracks': 1000 });
+    // gemini-2.0-flash: $0.10 in and $0.40 out per million tokens
+    assert.ok(Math.abs(recorded.costUsd - 2 * (600 * 0.1 + 400 * 0.4) / 1e6) < 1e-12);
+});
+
+test('the call that crosses the quota is allowed, and the next is refused until midnight UTC', async () => {
+    const provider = fakeProvider();
+    const llm = meterLlm(provider, USER_ID);
+    for (let i = 0; i < 3; i++) {
+        await llm.generate('prompt', { task: 'summary' });
+    }
+    await assert.rejects(llm.generate('prompt'), (error) => {
+        assert.ok(error instanceof QuotaExceededError);
+        assert.equal(error.status, 429);
+        assert.equal(error.quota, 'llmTokens');
+        assert.equal(error.resetsAt.toISOString().slice(11), '00:00:00.000Z');
+        assert.ok(error.resetsAt > new Date());
+        return true;
+    });
+    assert.equal(provider.calls, 3);
+});
+
+test('background work is recorded without being held back by the quota', async () => {
+    await meterLlm(fakeProvider(), USER_ID).generate('prompt');
+    await meterLlm(fakeProvider(), USER_ID).generate('prompt');
+    await meterLlm(fakeProvider(), USER_ID).generate('prompt');
+    await meterLlm(fakeProvider(), USER_ID, { enforceQuota: false }).generate('prompt', { task: 'digest-recap' });
+    assert.equal(usage.today(USER_ID).llm.totalTokens, 4000);
+});
+
+test('a quota of 0 turns the limit off', async () => {
+    process.env.DAILY_LLM_TOKEN_QUOTA = '0';
+    usage.set({ userId: USER_ID, day: new Date().toISOString().slice(0, 10), llm: { totalTokens: 1e9 } });
+    await assertLlmQuota(USER_ID);
+});
+
+test('invalid quota settings are rejected', () => {
+    process.env.DAILY_PLAYLIST_QUOTA = '-1';
+    assert.throws(quotasFromEnv, /DAILY_PLAYLIST_QUOTA must be a non-negative number/);
+});
+
+test('responses without usage metadata are estimated at four characters per token', async () => {
+    await meterLlm(fakeProvider(null), USER_ID).generate('x'.repeat(400));
+    const { llm: recorded } = usage.today(USER_ID);
+    assert.equal(recorded.inputTokens, 100);
+    assert.equal(recorded.outputTokens, 1); // "four"
+});
+
+test('streams are recorded, including ones that fail part-way', async () => {
+    const provider = fakeProvider();
+    provider.stream = async function* () {
+        yield { text: 'x'.repeat(40) };
+        throw new Error('connection reset');
+    };
+    const chunks = [];
+    await assert.rejects(async () => {
+        for await (const chunk of meterLlm(provider, USER_ID).stream('y'.repeat(40), { task: 'summary-text' })) {
+            chunks.push(chunk);
+        }
+    }, /connection reset/);
+    assert.equal(chunks.length, 1);
+    assert.deepEqual(usage.today(USER_ID).llm.tasks, { 'summary-text': 20 });
+});
+
+test('costs use list prices unless overridden, and the mock provider is free', () => {
+    const tokens = { inputTokens: 1e6, outputTokens: 1e6 };
+    assert.equal(estimateLlmCost({ name: 'openai', model: 'gpt-4o-mini' }, tokens), 0.75);
+    assert.equal(estimateLlmCost({ name: 'openai', model: 'gpt-4o-2024-08-06' }, tokens), 12.5);
+    assert.equal(estimateLlmCost({ name: 'openai', model: 'unlisted-model' }, tokens), 0);
+    assert.equal(estimateLlmCost({ name: 'mock', model: 'gpt-4o' }, tokens), 0);
+    process.env.LLM_INPUT_COST_PER_MILLION = '1';
+    process.env.LLM_OUTPUT_COST_PER_MILLION = '2';
+    assert.equal(estimateLlmCost({ name: 'openai', model: 'unlisted-model' }, tokens), 3);
+});
+
+test('the usage report shows today against the quotas and the daily history', async () => {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    usage.set({ userId: USER_ID, day: yesterday, llm: { calls: 1, totalTokens: 300, costUsd: 0.25 }, playlistsCreated: 1 });
+    await meterLlm(fakeProvider(), USER_ID).generate('prompt', { task: 'summary' });
+
+    const report = await getUsageReport(USER_ID);
+    assert.deepEqual(report.llmTokens, { used: 1000, limit: 2500, remaining: 1500, byTask: { summary: 1000 } });
+    assert.deepEqual(report.playlists, { used: 0, limit: 20, remaining: 20 });
+    assert.deepEqual(report.history.map((day) => day.llmTokens), [1000, 300]);
+    assert.equal(report.cost.last30DaysUsd, 0.250220);
+});
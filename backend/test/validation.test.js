@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRequest, RequestValidationError } from '../api/validation.js';
+import { idParams, topItemsQuery, trackUris } from '../api/schemas.js';
+
+// Run the middleware on a fake request, returning the request and the error passed to next()
+const run = (definition, req) => {
+    const request = { params: {}, query: {}, ...req };
+    let error;
+    validateRequest(definition)(request, {}, (err) => {
+        error = err;
+    });
+    return { req: request, error };
+};
+
+test('query values are coerced and defaults filled in', () => {
+    const { req, error } = run({ query: topItemsQuery(10) }, { query: { limit: '5' } });
+    assert.equal(error, undefined);
+    assert.deepEqual(req.query, { time_range: 'medium_term', limit: 5, offset: 0 });
+});
+
+test('out-of-range and mistyped query values are reported per field', () => {
+    const { error } = run({ query: topItemsQuery() }, { query: { limit: '0', offset: 'x', time_range: 'forever' } });
+    assert.ok(error instanceof RequestValidationError);
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.details.map((detail) => detail.field).sort(), ['limit', 'offset', 'time_range']);
+    assert.match(error.details.find((detail) => detail.field === 'limit').message, /between 1 and/);
+});
+
+test('path ids must be object ids, and params are updated in place', () => {
+    const params = { id: 'abc' };
+    assert.equal(run({ params: idParams() }, { params }).error.details[0].message, 'must be a valid id');
+
+    const valid = { id: '65f000000000000000000001' };
+    const { req, error } = run({ params: idParams() }, { params: valid });
+    assert.equal(error, undefined);
+    assert.equal(req.params, valid);
+});
+
+test('body values are not coerced', () => {
+    const body = { type: 'object', properties: { count: { type: 'integer' } } };
+    const { error } = run({ body }, { body: { count: '3' } });
+    assert.deepEqual(error.details, [{ in: 'body', field: 'count', message: 'must be an integer' }]);
+});
+
+test('required, nested and unknown properties', () => {
+    const body = {
+        type: 'object',
+        properties: { trackUris, name: { type: 'string', minLength: 1 } },
+        required: ['trackUris'],
+        additionalProperties: false
+    };
+    assert.deepEqual(run({ body }, { body: {} }).error.details, [{ in: 'body', field: 'trackUris', message: 'is required' }]);
+
+    const { error } = run({ body }, { body: { trackUris: ['spotify:track:abc', 'nope'], name: '', extra: 1 } });
+    assert.deepEqual(error.details.map(({ field, message }) => `${field} ${message}`), [
+        'trackUris[1] must be a Spotify track URI',
+        'name must not be empty',
+        'extra is not allowed'
+    ]);
+    assert.equal(error.message, 'trackUris[1] must be a Spotify track URI; name must not be empty; extra is not allowed');
+});
+
+test('a body that is not an object is rejected', () => {
+    const body = { type: 'object', properties: {} };
+    assert.deepEqual(run({ body }, { body: [1, 2] }).error.details, [{ in: 'body', field: 'body', message: 'must be an object' }]);
+});
+
+test('nullable values accept null', () => {
+    const body = { type: 'object', properties: { playlistId: { type: 'string', nullable: true } } };
+    const { req, error } = run({ body }, { body: { playlistId: null } });
+    assert.equal(error, undefined);
+    assert.equal(req.body.playlistId, null);
+});
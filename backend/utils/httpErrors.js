@@ -0,0 +1,64 @@
+// backend/utils/httpErrors.js
+// Turns errors thrown by services into consistent JSON error responses.
+import { SpotifyApiError, SpotifyAuthError, SpotifyRateLimitError } from '../services/spotifyClient.js';
+import { PlaylistRequestError } from '../services/playlists.js';
+import { MoodPlaylistError } from '../services/moodPlaylist.js';
+import { StatsRangeError } from '../services/listeningStats.js';
+import { LlmProviderError } from '../services/llm/index.js';
+import { SummaryFormatError } from '../services/summaryInsights.js';
+import { SummaryOptionsError } from '../services/summaryStyles.js';
+import { BlendError } from '../services/blend.js';
+import { QuotaExceededError } from '../services/usage.js';
+import { RequestValidationError } from '../api/validation.js';
+import { logger } from './logger.js';
+
+// Send the JSON response for an error; `message` is used for unexpected errors
+export const sendError = (res, error, message) => {
+    if (error instanceof RequestValidationError) {
+        return res.status(400).json({ error: error.message, code: 'invalid_request', details: error.details });
+    }
+    if (error instanceof SpotifyRateLimitError) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ error: error.message, code: 'spotify_rate_limited', retryAfter: error.retryAfter });
+    }
+    if (error instanceof QuotaExceededError) {
+        res.set('Retry-After', String(Math.max(Math.ceil((error.resetsAt - Date.now()) / 1000), 1)));
+        return res.status(429).json({ error: error.message, code: 'quota_exceeded', quota: error.quota, resetsAt: error.resetsAt });
+    }
+    if (error instanceof SpotifyAuthError) {
+        return res.status(401).json({ error: error.message, code: 'spotify_auth_required' });
+    }
+    if (error instanceof SpotifyApiError) {
+        logger.error(message, { error });
+        // Pass through "not found" and "forbidden"; anything else is an upstream failure
+        const status = [403, 404].includes(error.status) ? error.status : 502;
+        return res.status(status).json({ error: `${message}: ${error.message}`, code: 'spotify_error' });
+    }
+    if (error instanceof PlaylistRequestError || error instanceof StatsRangeError
+        || error instanceof SummaryOptionsError || error instanceof BlendError) {
+        // Requests that pass schema validation can still fail these checks, e.g. an unknown language
+        return res.status(error.status).json({ error: error.message, ...(error.status === 400 && { code: 'invalid_request' }) });
+    }
+    if (error instanceof LlmProviderError) {
+        logger.error(message, { error });
+        return res.status(503).json({ error: 'The AI provider is unavailable, please try again later', code: 'llm_unavailable' });
+    }
+    if (error instanceof MoodPlaylistError || error instanceof SummaryFormatError) {
+        return res.status(502).json({ error: error.message });
+    }
+
+    logger.error(message, { error });
+    res.status(500).json({ error: message });
+};
+
+// Error-handling middleware for the API: validation errors, malformed JSON bodies and anything
+// else passed to next()
+export const handleApiError = (error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, new RequestValidationError([{ in: 'body', field: 'body', message: 'must be valid JSON' }]));
+    }
+    sendError(res, error, 'Request failed');
+};
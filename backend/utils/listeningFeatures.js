@@ -0,0 +1,88 @@
+// backend/utils/listeningFeatures.js
+// Reduces raw Spotify top tracks and artists to the compact feature set the summary prompt is built from.
+
+const MAX_TEXT_LENGTH = 100;
+
+// Strip control characters and cap length so catalog text can't reshape the prompt
+const cleanText = (value) => String(value || '')
+    .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+
+const average = (values) => (values.length
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null);
+
+const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Count occurrences and return the most frequent entries
+const rankCounts = (values, limit) => {
+    const counts = new Map();
+    values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([name, count]) => ({ name, count }));
+};
+
+const releaseYear = (track) => {
+    const year = parseInt(track.album && track.album.release_date, 10);
+    return Number.isInteger(year) ? year : null;
+};
+
+// Spotify track objects -> the fields kept on a Summary as its inputs
+export const toInputTracks = (tracks) => tracks.map((track) => ({
+    id: track.id,
+    name: cleanText(track.name),
+    artists: (track.artists || []).map((artist) => cleanText(artist.name)),
+    album: track.album ? cleanText(track.album.name) : undefined,
+    popularity: track.popularity,
+    releaseYear: releaseYear(track),
+    durationMs: track.duration_ms
+}));
+
+// Spotify artist objects -> the fields kept on a Summary as its inputs
+export const toInputArtists = (artists) => artists.map((artist) => ({
+    id: artist.id,
+    name: cleanText(artist.name),
+    genres: (artist.genres || []).map(cleanText),
+    popularity: artist.popularity
+}));
+
+// Build the compact feature set sent to the model
+export const buildListeningFeatures = (inputTracks, inputArtists) => {
+    const years = inputTracks.map((track) => track.releaseYear).filter(Boolean);
+    const durations = inputTracks.map((track) => track.durationMs).filter(Boolean);
+    const decades = years.map((year) => `${Math.floor(year / 10) * 10}s`);
+
+    return {
+        topArtists: inputArtists.map((artist) => ({
+            name: artist.name,
+            genres: artist.genres.slice(0, 3),
+            popularity: artist.popularity
+        })),
+        topTracks: inputTracks.map((track) => ({
+            name: track.name,
+            artists: track.artists,
+            year: track.releaseYear
+        })),
+        topGenres: rankCounts(inputArtists.flatMap((artist) => artist.genres), 10),
+        trackArtists: rankCounts(inputTracks.flatMap((track) => track.artists), 10),
+        popularity: {
+            averageTrack: average(inputTracks.map((track) => track.popularity).filter(Number.isFinite)),
+            averageArtist: average(inputArtists.map((artist) => artist.popularity).filter(Number.isFinite))
+        },
+        releaseYears: {
+            oldest: years.length ? Math.min(...years) : null,
+            newest: years.length ? Math.max(...years) : null,
+            median: median(years),
+            decades: rankCounts(decades, 5)
+        },
+        averageDurationSeconds: durations.length ? Math.round(average(durations) / 1000) : null
+    };
+};
@@ -0,0 +1,110 @@
+// backend/utils/logger.js
+// Structured logging with winston: one JSON object per line on stdout. Lines logged while handling
+// a request (or running a job) carry its context, such as requestId and userId, without it being
+// passed around: the context lives in AsyncLocalStorage with a child logger bound to it. Tokens,
+// secrets and cookies are redacted from messages and fields.
+import { AsyncLocalStorage } from 'async_hooks';
+import winston from 'winston';
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Field names whose values are never logged, e.g. accessToken, client_secret, authorization
+const SENSITIVE_KEY = /(token|secret|password|api_?key|authorization|cookie)$/i;
+
+// Credentials that can turn up inside strings: bearer headers, JWTs, OAuth parameters and
+// token fields of JSON bodies
+const SENSITIVE_TEXT = [
+    [/Bearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`],
+    [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+    [/\b(access_token|refresh_token|id_token|client_secret|code)=[^&\s"']+/g, `$1=${REDACTED}`],
+    [/("(?:access_token|refresh_token|id_token|client_secret)"\s*:\s*)"[^"]*"/g, `$1"${REDACTED}"`]
+];
+
+const context = new AsyncLocalStorage();
+
+export const redactText = (text) => SENSITIVE_TEXT.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+// A copy of a value that is safe to log. Errors keep what helps debugging, which JSON would drop.
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+    if (typeof value === 'string') return redactText(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (seen.has(value) || depth > MAX_DEPTH) return '[Truncated]';
+    seen.add(value);
+
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactText(value.message),
+            ...(value.status && { status: value.status }),
+            ...(value.code && { code: value.code }),
+            ...(value.details !== undefined && { details: redact(value.details, depth + 1, seen) }),
+            ...(value.stack && { stack: redactText(value.stack) })
+        };
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1, seen));
+    }
+    // ObjectIds and similar print as their string form
+    if (typeof value.toHexString === 'function') return value.toHexString();
+    return redactFields(value, depth + 1, seen);
+};
+
+const redactFields = (fields, depth, seen) => Object.fromEntries(Object.entries(fields).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth, seen)
+]));
+
+// Redacts the message and every field; winston's own properties are symbols and left alone
+const redactFormat = winston.format((info) => {
+    const { message, ...fields } = info;
+    delete fields.level;
+    Object.assign(info, redactFields(fields, 0, new WeakSet()), { message: redactText(String(message)) });
+    return info;
+});
+
+// Created on first use, since this module is loaded before dotenv sets LOG_LEVEL
+let rootLogger;
+const root = () => {
+    if (!rootLogger) {
+        const level = process.env.LOG_LEVEL || 'info';
+        rootLogger = winston.createLogger({
+            level: Object.hasOwn(winston.config.npm.levels, level) ? level : 'info',
+            format: winston.format.combine(winston.format.timestamp(), redactFormat(), winston.format.json()),
+            transports: [new winston.transports.Console()]
+        });
+    }
+    return rootLogger;
+};
+
+// The child logger for the current context, or the root logger outside one
+const current = () => {
+    const store = context.getStore();
+    if (!store) return root();
+    store.logger = store.logger || root().child(store.fields);
+    return store.logger;
+};
+
+// logger.info(message, fields); an Error goes in fields.error
+export const logger = {
+    debug: (message, fields) => current().debug(message, fields),
+    info: (message, fields) => current().info(message, fields),
+    warn: (message, fields) => current().warn(message, fields),
+    error: (message, fields) => current().error(message, fields)
+};
+
+// Run fn with context fields added to every line it logs, including from async work it starts
+export const runWithLogContext = (fields, fn) => {
+    const store = context.getStore();
+    return context.run({ fields: { ...(store && store.fields), ...fields }, logger: null }, fn);
+};
+
+// Add fields to the current context, e.g. the user once a request is authenticated
+export const addLogContext = (fields) => {
+    const store = context.getStore();
+    if (store) {
+        Object.assign(store.fields, fields);
+        store.logger = null; // bound to the old fields
+    }
+};
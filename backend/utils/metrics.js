@@ -0,0 +1,71 @@
+// backend/utils/metrics.js
+// Application metrics, served in the Prometheus text format at /metrics. Counters and histograms
+// live in process memory, so each instance is scraped separately.
+import client from 'prom-client';
+
+const registry = new client.Registry();
+
+// CPU, memory, event loop lag and the like, under their standard names
+client.collectDefaultMetrics({ register: registry });
+
+export const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by route and response status',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+export const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time to respond to HTTP requests; streaming responses count until the stream ends',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry]
+});
+
+export const spotifyRequests = new client.Counter({
+    name: 'spotify_requests_total',
+    help: 'Calls to the Spotify Web API, by response status (network_error when there was none), retries included',
+    labelNames: ['method', 'status'],
+    registers: [registry]
+});
+
+export const spotifyTokenRefreshes = new client.Counter({
+    name: 'spotify_token_refreshes_total',
+    help: 'Spotify access token refreshes: success, revoked (the user must log in again) or error',
+    labelNames: ['outcome'],
+    registers: [registry]
+});
+
+export const sessionRefreshes = new client.Counter({
+    name: 'session_refreshes_total',
+    help: 'Session refreshes with a refresh token: success, missing, invalid, or reused (a replayed token, which revokes its session)',
+    labelNames: ['outcome'],
+    registers: [registry]
+});
+
+export const llmRequests = new client.Counter({
+    name: 'llm_requests_total',
+    help: 'Calls to the LLM provider, by task and outcome (success, error or cancelled)',
+    labelNames: ['provider', 'task', 'outcome'],
+    registers: [registry]
+});
+
+export const llmRequestDuration = new client.Histogram({
+    name: 'llm_request_duration_seconds',
+    help: 'Time LLM calls took, to the end of the stream for streamed calls',
+    labelNames: ['provider', 'task'],
+    buckets: [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60],
+    registers: [registry]
+});
+
+export const llmTokens = new client.Counter({
+    name: 'llm_tokens_total',
+    help: 'Tokens reported by the LLM provider, by direction (input or output)',
+    labelNames: ['provider', 'direction'],
+    registers: [registry]
+});
+
+export const METRICS_CONTENT_TYPE = registry.contentType;
+
+export const renderMetrics = () => registry.metrics();
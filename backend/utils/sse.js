@@ -0,0 +1,17 @@
+// backend/utils/sse.js
+// Server-Sent Events responses.
+
+// Send the headers that turn the response into an event stream
+export const openEventStream = (res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // don't let proxies hold events back
+    });
+};
+
+// Write one Server-Sent Event
+export const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
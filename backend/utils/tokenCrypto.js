@@ -0,0 +1,97 @@
+// backend/utils/tokenCrypto.js
+// AES-256-GCM field encryption for stored Spotify tokens.
+// Keys come from TOKEN_ENCRYPTION_KEYS as comma-separated "version:base64key" pairs, e.g.
+//   TOKEN_ENCRYPTION_KEYS=1:<32 random bytes, base64>,2:<32 random bytes, base64>
+// New values are encrypted with TOKEN_ENCRYPTION_KEY_VERSION (default: the highest version);
+// older versions stay readable so keys can be rotated without logging anyone out.
+// Stored format: enc:v<version>:<iv>:<auth tag>:<ciphertext> (base64url parts).
+import crypto from 'crypto';
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+let keyring = null;
+
+// Parse keys lazily so dotenv has loaded by the time they're read
+const loadKeyring = () => {
+    if (keyring) return keyring;
+
+    const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+    if (!raw) {
+        throw new Error('TOKEN_ENCRYPTION_KEYS is not set');
+    }
+
+    const keys = new Map();
+    raw.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+        const [version, encodedKey] = entry.split(':');
+        const key = Buffer.from(encodedKey || '', 'base64');
+        if (!/^\d+$/.test(version) || key.length !== 32) {
+            throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like "<version>:<base64 32-byte key>"');
+        }
+        keys.set(Number(version), key);
+    });
+
+    const currentVersion = process.env.TOKEN_ENCRYPTION_KEY_VERSION
+        ? Number(process.env.TOKEN_ENCRYPTION_KEY_VERSION)
+        : Math.max(...keys.keys());
+    if (!keys.has(currentVersion)) {
+        throw new Error(`TOKEN_ENCRYPTION_KEY_VERSION ${currentVersion} has no key in TOKEN_ENCRYPTION_KEYS`);
+    }
+
+    keyring = { keys, currentVersion };
+    return keyring;
+};
+
+// Throws at startup if the keys are missing or malformed
+export const assertEncryptionConfigured = () => {
+    loadKeyring();
+};
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:v`);
+
+const versionOf = (value) => Number(value.split(':')[1].slice(1));
+
+export const encryptToken = (value) => {
+    if (value === null || value === undefined || value === '' || isEncrypted(value)) {
+        return value;
+    }
+
+    const { keys, currentVersion } = loadKeyring();
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentVersion), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return [
+        PREFIX,
+        `v${currentVersion}`,
+        iv.toString('base64url'),
+        cipher.getAuthTag().toString('base64url'),
+        ciphertext.toString('base64url')
+    ].join(':');
+};
+
+// Values stored before encryption was introduced are returned as-is until migrated
+export const decryptToken = (value) => {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+
+    const [, , iv, tag, ciphertext] = value.split(':');
+    const version = versionOf(value);
+    const key = loadKeyring().keys.get(version);
+    if (!key) {
+        throw new Error(`No key for token encryption version ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+};
+
+// True for plaintext values and values encrypted with an older key version
+export const needsReencryption = (value) => {
+    if (value === null || value === undefined || value === '') return false;
+    return !isEncrypted(value) || versionOf(value) !== loadKeyring().currentVersion;
+};
+
+export const reencryptToken = (value) => encryptToken(decryptToken(value));
@@ -1,8 +1,16 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios, { postEventStream } from './api';
 import config from './config';
+import NowPlayingWidget from './NowPlaying';
 import './App.css';
 
+// Time ranges supported by the listening-data and top-artists endpoints
+const TIME_RANGES = [
+    { value: 'short_term', label: 'Last 4 Weeks' },
+    { value: 'medium_term', label: 'Last 6 Months' },
+    { value: 'long_term', label: 'All Time' },
+];
+
 // Component to display individual track iframes
 const TrackList = ({ tracks }) => (
     <div className='topTracks'>
@@ -33,6 +41,441 @@ const PlaylistDisplay = ({ playlistId }) => (
     ></iframe>
 );
 
+// Component to display top artists with their genres
+const ArtistList = ({ artists }) => (
+    <ol className='artistList'>
+        {artists.map((artist) => (
+            <li key={artist.id}>
+                <span className='artistName'>{artist.name}</span>
+                {artist.genres && artist.genres.length > 0 && (
+                    <span className='genres'>{artist.genres.slice(0, 3).join(', ')}</span>
+                )}
+            </li>
+        ))}
+    </ol>
+);
+
+// Buttons to switch between Spotify time ranges
+const TimeRangeSwitcher = ({ timeRange, onChange, disabled }) => (
+    <div className='timeRangeSwitcher'>
+        {TIME_RANGES.map((range) => (
+            <button
+                key={range.value}
+                onClick={() => onChange(range.value)}
+                className={`button range-button${range.value === timeRange ? ' active' : ''}`}
+                disabled={disabled}
+            >
+                {range.label}
+            </button>
+        ))}
+    </div>
+);
+
+// Side-by-side view of top tracks and artists for every time range
+const TimeRangeComparison = ({ comparison }) => (
+    <div className='comparisonGrid'>
+        {TIME_RANGES.map((range) => (
+            <div key={range.value} className='comparisonColumn'>
+                <h3>{range.label}</h3>
+                <h4>Tracks</h4>
+                <ol>
+                    {comparison[range.value].tracks.map((track) => (
+                        <li key={track.id}>{track.name} <span className='genres'>{track.artists.map((artist) => artist.name).join(', ')}</span></li>
+                    ))}
+                </ol>
+                <h4>Artists</h4>
+                <ArtistList artists={comparison[range.value].artists} />
+            </div>
+        ))}
+    </div>
+);
+
+// Output languages offered for summaries, as BCP 47 tags
+const SUMMARY_LANGUAGES = [
+    { value: 'en', label: 'English' },
+    { value: 'es', label: 'Español' },
+    { value: 'fr', label: 'Français' },
+    { value: 'de', label: 'Deutsch' },
+    { value: 'it', label: 'Italiano' },
+    { value: 'pt-BR', label: 'Português (Brasil)' },
+    { value: 'nl', label: 'Nederlands' },
+    { value: 'sv', label: 'Svenska' },
+    { value: 'pl', label: 'Polski' },
+    { value: 'tr', label: 'Türkçe' },
+    { value: 'hi', label: 'हिन्दी' },
+    { value: 'ja', label: '日本語' },
+    { value: 'ko', label: '한국어' },
+    { value: 'zh', label: '中文' },
+];
+
+// The browser's language when it is offered, otherwise English
+const defaultSummaryLanguage = () => {
+    const preferred = (navigator.language || 'en').toLowerCase();
+    const exact = SUMMARY_LANGUAGES.find((option) => option.value.toLowerCase() === preferred);
+    const primary = SUMMARY_LANGUAGES.find((option) => option.value === preferred.split('-')[0]);
+    return (exact || primary || SUMMARY_LANGUAGES[0]).value;
+};
+
+// Style and language for new summaries
+const SummaryStylePicker = ({ styles, style, language, onChange, disabled }) => (
+    <div className='summaryStylePicker'>
+        <label>
+            Summary style{' '}
+            <select value={style} onChange={(event) => onChange({ style: event.target.value })} disabled={disabled}>
+                {styles.map((option) => (
+                    <option key={option.id} value={option.id} title={option.description}>{option.label}</option>
+                ))}
+            </select>
+        </label>
+        <label>
+            Language{' '}
+            <select value={language} onChange={(event) => onChange({ language: event.target.value })} disabled={disabled}>
+                {SUMMARY_LANGUAGES.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+        </label>
+    </div>
+);
+
+// Label for a Spotify time range value
+const timeRangeLabel = (value) => {
+    const range = TIME_RANGES.find((option) => option.value === value);
+    return range ? range.label : value;
+};
+
+// Timeline of past summaries, newest first
+const SummaryTimeline = ({ summaries, selectedId, onSelect }) => (
+    <ul className='summaryTimeline'>
+        {summaries.map((item) => (
+            <li key={item.id} className={item.id === selectedId ? 'selected' : ''}>
+                <button onClick={() => onSelect(item)} className='timelineEntry'>
+                    <span className='timelineDate'>{new Date(item.createdAt).toLocaleString()}</span>
+                    <span className='timelineRange'>{timeRangeLabel(item.timeRange)}</span>
+                    {item.style && <span className='timelineRange'>{item.style} · {item.language}</span>}
+                </button>
+            </li>
+        ))}
+    </ul>
+);
+
+// Strip markdown from free-text summaries generated before structured output
+const toPlainText = (text) => text
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/^#+\s*/gm, '')
+    .replace(/[*_`~]+/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .trim();
+
+const ArtistCards = ({ artists }) => (
+    <ul className='insightArtists'>
+        {artists.map((artist) => (
+            <li key={artist.name}>
+                <span className='artistName'>{artist.name}</span>
+                {artist.reason && <p>{artist.reason}</p>}
+            </li>
+        ))}
+    </ul>
+);
+
+const Tags = ({ items }) => (
+    <div className='insightTags'>
+        {items.map((item) => <span key={item} className='insightTag'>{item}</span>)}
+    </div>
+);
+
+// Structured summary as cards; falls back to plain text for older summaries
+const SummaryCards = ({ insights, text }) => {
+    if (!insights) {
+        return <p className='summaryText'>{toPlainText(text)}</p>;
+    }
+    return (
+        <div className='insightCards'>
+            <p className='insightHeadline'>{insights.headline}</p>
+            {insights.topArtists.length > 0 && (
+                <div className='insightCard'>
+                    <h3>Top Artists</h3>
+                    <ArtistCards artists={insights.topArtists} />
+                </div>
+            )}
+            {insights.genres.length > 0 && (
+                <div className='insightCard'>
+                    <h3>Genres</h3>
+                    <Tags items={insights.genres} />
+                </div>
+            )}
+            {insights.moods.length > 0 && (
+                <div className='insightCard'>
+                    <h3>Moods</h3>
+                    <Tags items={insights.moods} />
+                </div>
+            )}
+            {insights.funFacts.length > 0 && (
+                <div className='insightCard'>
+                    <h3>Fun Facts</h3>
+                    <ul className='insightFacts'>
+                        {insights.funFacts.map((fact) => <li key={fact}>{fact}</li>)}
+                    </ul>
+                </div>
+            )}
+            {insights.recommendedArtists.length > 0 && (
+                <div className='insightCard'>
+                    <h3>You Might Also Like</h3>
+                    <ArtistCards artists={insights.recommendedArtists} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Preview of tracks resolved for a mood before the playlist is created
+const MoodPreview = ({ preview }) => (
+    <div className='moodPreview'>
+        <ol>
+            {preview.tracks.map((track) => (
+                <li key={track.uri}>
+                    {track.image && <img src={track.image} alt='' width='40' height='40' />}
+                    <span className='artistName'>{track.name}</span>
+                    <span className='genres'>{track.artists.join(', ')}</span>
+                </li>
+            ))}
+        </ol>
+        {preview.unmatched.length > 0 && (
+            <p className='genres'>{preview.unmatched.length} suggestion(s) couldn't be found on Spotify and were skipped.</p>
+        )}
+    </div>
+);
+
+// Name, description, visibility and target for generated playlists
+const PlaylistOptions = ({ options, onChange, playlists, disabled }) => {
+    const update = (field) => (event) => {
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        onChange({ ...options, [field]: value });
+    };
+
+    return (
+        <div className='playlistOptions'>
+            <select value={options.target} onChange={update('target')} disabled={disabled}>
+                <option value=''>New playlist</option>
+                {playlists.map((item) => (
+                    <option key={item.id} value={item.id}>{item.name} ({item.trackCount} tracks)</option>
+                ))}
+            </select>
+            {options.target && (
+                <select value={options.mode} onChange={update('mode')} disabled={disabled}>
+                    <option value='append'>Add to playlist</option>
+                    <option value='replace'>Replace playlist tracks</option>
+                </select>
+            )}
+            <input type='text' value={options.name} onChange={update('name')} placeholder='Playlist name (optional)' maxLength={150} disabled={disabled} />
+            <input type='text' value={options.description} onChange={update('description')} placeholder='Description (optional)' maxLength={300} disabled={disabled} />
+            <label>
+                <input type='checkbox' checked={options.public} onChange={update('public')} disabled={disabled} /> Public
+            </label>
+        </div>
+    );
+};
+
+const DEFAULT_PLAYLIST_OPTIONS = { target: '', mode: 'append', name: '', description: '', public: false };
+
+// Request body fields for the selected playlist options
+const playlistRequestFields = (options) => {
+    const fields = options.target
+        ? { mode: options.mode, playlistId: options.target }
+        : { mode: 'create', public: options.public };
+    if (options.name.trim()) fields.name = options.name.trim();
+    if (options.description.trim()) fields.description = options.description.trim();
+    return fields;
+};
+
+// Colors for the mood labels returned by the mood timeline endpoint
+const MOOD_COLORS = {
+    euphoric: '#f5b700',
+    intense: '#e4572e',
+    chill: '#29bf12',
+    melancholy: '#4c6ef5',
+    balanced: '#999999',
+};
+
+// Line chart of energy and valence across mood timeline points
+const MoodChart = ({ points, source }) => {
+    const width = 600;
+    const height = 220;
+    const padding = 30;
+    const x = (index) => padding + (points.length > 1 ? (index / (points.length - 1)) * (width - 2 * padding) : (width - 2 * padding) / 2);
+    const y = (value) => height - padding - value * (height - 2 * padding);
+    const line = (key) => points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(index)},${y(point[key])}`).join(' ');
+    const label = (point) => (source === 'history' ? new Date(point.date).toLocaleDateString() : `#${point.rank} ${point.name}`);
+
+    return (
+        <div className='moodChart'>
+            <svg viewBox={`0 0 ${width} ${height}`} role='img' aria-label='Mood timeline chart'>
+                <line x1={padding} y1={y(0.5)} x2={width - padding} y2={y(0.5)} className='moodChartMidline' />
+                <path d={line('energy')} className='moodChartEnergy' />
+                <path d={line('valence')} className='moodChartValence' />
+                {points.map((point, index) => (
+                    <circle key={index} cx={x(index)} cy={y(point.valence)} r='4' fill={MOOD_COLORS[point.mood]}>
+                        <title>{`${label(point)}: ${point.mood} (energy ${point.energy}, valence ${point.valence}, ${point.tempo} BPM)`}</title>
+                    </circle>
+                ))}
+                <text x={padding} y={padding - 10} className='moodChartLabel'>high</text>
+                <text x={padding} y={height - 8} className='moodChartLabel'>low</text>
+            </svg>
+            <p className='moodChartLegend'>
+                <span className='moodChartEnergyKey'>energy</span> <span className='moodChartValenceKey'>valence (positivity)</span>
+                {Object.entries(MOOD_COLORS).map(([mood, color]) => (
+                    <span key={mood} style={{ color }}> ● {mood}</span>
+                ))}
+            </p>
+        </div>
+    );
+};
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Weekly digest opt-in and delivery day
+const DigestSettings = ({ settings, onChange, disabled }) => (
+    <div className='digestSettings'>
+        <label>
+            <input
+                type='checkbox'
+                checked={settings.enabled}
+                onChange={(event) => onChange({ enabled: event.target.checked })}
+                disabled={disabled}
+            /> Send me a weekly digest on
+        </label>
+        <select
+            value={settings.dayOfWeek}
+            onChange={(event) => onChange({ dayOfWeek: Number(event.target.value) })}
+            disabled={disabled || !settings.enabled}
+        >
+            {DAYS_OF_WEEK.map((day, index) => <option key={day} value={index}>{day}</option>)}
+        </select>
+        {settings.enabled && !settings.email && (
+            <p className='genres'>No email address on your Spotify account, so digests will only appear in your inbox.</p>
+        )}
+    </div>
+);
+
+// In-app notifications, newest first
+const Inbox = ({ notifications, onOpen }) => (
+    <ul className='inbox'>
+        {notifications.map((notification) => (
+            <li key={notification.id} className={notification.read ? 'read' : 'unread'}>
+                <details onToggle={(event) => event.target.open && !notification.read && onOpen(notification)}>
+                    <summary>
+                        <span className='artistName'>{notification.title}</span>
+                        <span className='timelineDate'>{new Date(notification.createdAt).toLocaleDateString()}</span>
+                    </summary>
+                    <p className='notificationBody'>{notification.body}</p>
+                </details>
+            </li>
+        ))}
+    </ul>
+);
+
+// A link to hand out, with a button to copy it
+const CopyLink = ({ url }) => {
+    const copy = async () => {
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (err) {
+            console.error('Failed to copy link:', err);
+        }
+    };
+    return (
+        <div className='copyLink'>
+            <input type='text' value={url} readOnly onFocus={(event) => event.target.select()} />
+            <button onClick={copy} className='button'>Copy</button>
+        </div>
+    );
+};
+
+// Invite codes from shared links are kept across the Spotify login redirect
+const BLEND_INVITE_KEY = 'moodifiBlendInvite';
+
+// Ask the invitee for consent before comparing tastes
+const BlendInvite = ({ invite, onAccept, onDecline, disabled }) => (
+    <div className='blendInvite'>
+        {invite.ownInvite ? (
+            <p>This is your own invite link. Send it to a friend to compare your tastes.</p>
+        ) : (
+            <p>
+                <span className='artistName'>{invite.inviter.displayName}</span> wants to compare music tastes with you.
+                Accepting lets Moodi-Fi compare your top artists and tracks with theirs. You will both see the match
+                score, what you share and recommendations, but never each other's full listening data.
+            </p>
+        )}
+        {!invite.ownInvite && (
+            <button onClick={onAccept} className='button primary-button' disabled={disabled}>Accept</button>
+        )}
+        <button onClick={onDecline} className='button' disabled={disabled}>{invite.ownInvite ? 'Dismiss' : 'Decline'}</button>
+    </div>
+);
+
+// Accepted blends with their comparison, and invites still waiting for a friend
+const BlendList = ({ blends, onCreatePlaylist, onDelete, disabled }) => (
+    <ul className='blendList'>
+        {blends.map((blend) => (
+            <li key={blend.id}>
+                {blend.status === 'accepted' ? (
+                    <>
+                        <h3>
+                            You and {blend.partner ? blend.partner.displayName : 'a deleted account'}
+                            <span className='blendScore'>{blend.result.score}% match</span>
+                        </h3>
+                        {blend.result.sharedArtists.length > 0 && (
+                            <p><strong>Shared artists:</strong> {blend.result.sharedArtists.join(', ')}</p>
+                        )}
+                        <Tags items={blend.result.sharedGenres} />
+                        {blend.result.sharedTracks.length > 0 && (
+                            <p><strong>Shared tracks:</strong> {blend.result.sharedTracks.join(', ')}</p>
+                        )}
+                        {blend.result.recommendedForYou.length > 0 && (
+                            <>
+                                <h4>Their favorites you might like</h4>
+                                <ArtistCards artists={blend.result.recommendedForYou} />
+                            </>
+                        )}
+                        <button onClick={() => onCreatePlaylist(blend)} className='button' disabled={disabled}>
+                            Create Blend Playlist
+                        </button>
+                    </>
+                ) : (
+                    <p>Invite sent {new Date(blend.createdAt).toLocaleDateString()}, waiting for a friend until {new Date(blend.expiresAt).toLocaleDateString()}.</p>
+                )}
+                <button onClick={() => onDelete(blend)} className='button' disabled={disabled}>
+                    {blend.status === 'accepted' ? 'Remove' : 'Cancel Invite'}
+                </button>
+            </li>
+        ))}
+    </ul>
+);
+
+// Export and delete everything Moodi-Fi stores about the user
+const AccountData = ({ onDelete, disabled }) => (
+    <div className='accountData'>
+        <p>Download a copy of your profile, summaries, playlists and listening history.</p>
+        <a href={`${config.API_URL}/account/export?format=json`} className='button' download>Export JSON</a>
+        <a href={`${config.API_URL}/account/export?format=zip`} className='button' download>Export ZIP</a>
+        <button onClick={onDelete} className='button delete-account-button' disabled={disabled}>Delete my account</button>
+    </div>
+);
+
+// One daily quota: how much is used, out of the limit when there is one
+const UsageMeter = ({ label, quota }) => (
+    <div className='usageMeter'>
+        <span>{label}: {quota.used.toLocaleString()}{quota.limit ? ` of ${quota.limit.toLocaleString()}` : ''}</span>
+        {quota.limit && <progress max={quota.limit} value={Math.min(quota.used, quota.limit)} />}
+    </div>
+);
+
+const UsageSummary = ({ usage }) => (
+    <div className='usage'>
+        <UsageMeter label='AI tokens' quota={usage.llmTokens} />
+        <UsageMeter label='New playlists' quota={usage.playlists} />
+        <p className='usageReset'>Resets {new Date(usage.resetsAt).toLocaleString()}</p>
+    </div>
+);
+
 const ErrorDisplay = ({ error }) => (
     <div className='errorContainer'>
         <p className='error'>{error}</p>
@@ -41,97 +484,88 @@ const ErrorDisplay = ({ error }) => (
 
 function App() {
     const [isAuthenticated, setIsAuthenticated] = useState(false);
+    const [currentUser, setCurrentUser] = useState(null);
+    const [timeRange, setTimeRange] = useState('medium_term');
     const [topTracks, setTopTracks] = useState([]);
+    const [topArtists, setTopArtists] = useState([]);
+    const [comparison, setComparison] = useState(null);
     const [summary, setSummary] = useState('');
+    const [insights, setInsights] = useState(null);
+    const [streaming, setStreaming] = useState(false);
+    const [summaryStyles, setSummaryStyles] = useState([{ id: 'standard', label: 'Standard' }]);
+    const [summaryOptions, setSummaryOptions] = useState(() => ({ style: 'standard', language: defaultSummaryLanguage() }));
+    const summaryStream = useRef(null);
+    const [summaryId, setSummaryId] = useState(null);
+    const [summaryShare, setSummaryShare] = useState(null);
+    const [summaryHistory, setSummaryHistory] = useState([]);
     const [audio, setAudio] = useState(null);
     const [playlist, setPlaylist] = useState(null);
+    const [moodTimeline, setMoodTimeline] = useState(null);
+    const [playlistOptions, setPlaylistOptions] = useState(DEFAULT_PLAYLIST_OPTIONS);
+    const [myPlaylists, setMyPlaylists] = useState([]);
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [showInbox, setShowInbox] = useState(false);
+    const [digestSettings, setDigestSettings] = useState(null);
+    const [deletedNotice, setDeletedNotice] = useState(null);
+    const [blends, setBlends] = useState([]);
+    const [blendInvite, setBlendInvite] = useState(null);
+    const [inviteUrl, setInviteUrl] = useState('');
+    const [demoUsers, setDemoUsers] = useState([]);
+    const [mood, setMood] = useState('');
+    const [moodPreview, setMoodPreview] = useState(null);
+    const [usage, setUsage] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
 
-    // Set Authorization header for axios, memoize with useCallback
-    const setAuthToken = useCallback((token) => {
-        if (token) {
-            axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-            console.log("Authorization token set")
-        } else {
-            delete axios.defaults.headers.common['Authorization'];
-            console.log("Authorization token removed")
-        }
-    }, [])
-
-    // Check and set the token from URL or local storage
-    const checkAndSetToken = useCallback(() => {
-        const cookies = document.cookie;
-        let jwtToken = null;
-    
-        if (cookies) {
-            const jwtCookie = cookies.split(';').find(cookie => cookie.trim().startsWith('jwtToken='));
-            if (jwtCookie) {
-                jwtToken = jwtCookie.split('=')[1]; // Extract JWT value
-            }
-        }
-    
-        if (jwtToken) {
-            setAuthToken(jwtToken);
-            console.log('JWT Token extracted from cookies', jwtToken);
-            return true;
-        } else {
-            setAuthToken(null); // Clear auth token if no cookie
-            return false;
-        }
-    }, [setAuthToken]);
-
-    const handleAuthCheck = useCallback(() => {
-        const isAuthenticated = checkAndSetToken();
-        setIsAuthenticated(isAuthenticated);
-    }, [checkAndSetToken])
-
-    useEffect(() => { // After initial token exchange (when 'code' is in URL), check for jwtToken cookie.
+    // Ask the backend whether the session cookies belong to a logged-in user
+    useEffect(() => {
         const params = new URLSearchParams(window.location.search);
-        const code = params.get('code');
-        if (code) {
-            console.log("Code found in URL:", code);
-            const exchangeCodeForToken = async (authCode) => {
-                setLoading(true);
-                setError('');
-                try {
-                    console.log("Exchanging code for token with backend...");
-                    console.log("Sending authCode to backend:", authCode);
-                    const backendUrl = `http://localhost:8888/api/spotify-callback`; // Explicitly use HTTP
-                    await axios.post(backendUrl, { code: authCode }, { maxRedirects: 5 }); // Backend sets cookie
-                    console.log("Token exchnage complete, JWT should be in HttpOnly cookie.");
-                    window.history.replaceState(null, null, '/');
-                    handleAuthCheck(); // Re-run auth check after exchange to pick up cookie and set auth status
-                } catch (error) {
-                    console.error("Error exchanging code for token:", error);
-                    setError('Failed to authenticate with Spotify.');
-                } finally {
-                    setLoading(false);
-                }
-            };
-            exchangeCodeForToken(code);
-            return false;
-        } else {
-            // Handled by initial auth check
+        if (params.get('error') === 'login_failed') {
+            setError('Failed to authenticate with Spotify.');
+            window.history.replaceState(null, '', '/');
+        }
+        if (params.get('blend')) {
+            sessionStorage.setItem(BLEND_INVITE_KEY, params.get('blend'));
+            window.history.replaceState(null, '', '/');
         }
-        
-    }, [handleAuthCheck]); // useEffect to handle initial auth flow and cookies
-
-    // Call checkAndSetToken on mount AND location change
-    useEffect(() => {
-        handleAuthCheck();
-    }, [handleAuthCheck]);
 
+        const checkSession = async () => {
+            try {
+                const response = await axios.get(`${config.API_URL}/me`);
+                setCurrentUser(response.data);
+                setIsAuthenticated(true);
+            } catch (err) {
+                setIsAuthenticated(false);
+                fetchDemoUsers();
+            }
+        };
+        // Only a server in demo mode lists fixture users to log in as
+        const fetchDemoUsers = async () => {
+            try {
+                const response = await axios.get(`${config.API_URL}/demo/users`);
+                setDemoUsers(Array.isArray(response.data.items) ? response.data.items : []);
+            } catch (err) {
+                setDemoUsers([]);
+            }
+        };
+        checkSession();
+    }, []);
 
-    // Fetch user listening data
-    const fetchTopTracks = async () => {
+    // Fetch user listening data and top artists for a time range
+    const fetchTopTracks = async (range = timeRange) => {
         setLoading(true);
         setError('');
         try {
-            console.log("Fetching top tracks");
-            const response = await axios.get(`${config.API_BASE_URL}/api/listening-data`);
-            setTopTracks(response.data.items || []);
-            console.log('Top tracks fetched successfully', response.data);
+            console.log("Fetching top tracks for", range);
+            const params = { time_range: range };
+            const [tracksResponse, artistsResponse] = await Promise.all([
+                axios.get(`${config.API_URL}/listening/top-tracks`, { params }),
+                axios.get(`${config.API_URL}/listening/top-artists`, { params }),
+            ]);
+            setTopTracks(tracksResponse.data.items || []);
+            setTopArtists(artistsResponse.data.items || []);
+            console.log('Top tracks fetched successfully', tracksResponse.data);
         } catch (err) {
             console.error('Failed to fetch top tracks:', err);
             if (err.response && err.response.data && err.response.data.error) {
@@ -144,37 +578,173 @@ function App() {
         }
     };
 
-    // Generate listening data summary
-    const generateSummary = async () => {
-        if (!topTracks || topTracks.length === 0) {
-            console.warn("Cannot generate summary without top tracks")
-            return;
+    // Switch time range and refetch if data has already been loaded
+    const changeTimeRange = (range) => {
+        setTimeRange(range);
+        if (topTracks.length > 0) {
+            fetchTopTracks(range);
+        }
+    };
+
+    // Fetch top tracks and artists for every time range to compare them side by side
+    const compareTimeRanges = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            console.log('Fetching all time ranges for comparison');
+            const results = await Promise.all(TIME_RANGES.map(async (range) => {
+                const params = { time_range: range.value, limit: 10 };
+                const [tracksResponse, artistsResponse] = await Promise.all([
+                    axios.get(`${config.API_URL}/listening/top-tracks`, { params }),
+                    axios.get(`${config.API_URL}/listening/top-artists`, { params }),
+                ]);
+                return [range.value, {
+                    tracks: tracksResponse.data.items || [],
+                    artists: artistsResponse.data.items || [],
+                }];
+            }));
+            setComparison(Object.fromEntries(results));
+        } catch (err) {
+            console.error('Failed to compare time ranges:', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to compare time ranges: ${err.response.data.error}`);
+            } else {
+                setError('Failed to compare time ranges.');
+            }
+        } finally {
+            setLoading(false);
         }
+    };
+
+    // Fetch past summaries for the timeline
+    const fetchSummaryHistory = async () => {
+        try {
+            const response = await axios.get(`${config.API_URL}/summaries`);
+            setSummaryHistory(response.data.items || []);
+        } catch (err) {
+            console.error('Failed to fetch summary history:', err);
+        }
+    };
+
+    // Show a summary picked from the timeline
+    const selectSummary = (item) => {
+        setSummary(item.summary);
+        setInsights(item.insights || null);
+        setSummaryId(item.id);
+        setSummaryShare(item.share || null);
+        setAudio(null);
+    };
+
+    // Fetch the mood curve for the current top tracks or the stored listening history
+    const fetchMoodTimeline = async (source) => {
         setLoading(true);
         setError('');
+        try {
+            const params = source === 'history'
+                ? { source, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone }
+                : { source, time_range: timeRange };
+            const response = await axios.get(`${config.API_URL}/listening/mood-timeline`, { params });
+            setMoodTimeline(response.data);
+        } catch (err) {
+            console.error('Failed to fetch mood timeline:', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to fetch mood timeline: ${err.response.data.error}`);
+            } else {
+                setError('Failed to fetch mood timeline.');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Generate listening data summary, optionally forcing a fresh one. The text is streamed in as the
+    // model writes it and replaced by the saved summary when it completes.
+    const generateSummary = async (regenerate = false) => {
+        const controller = new AbortController();
+        summaryStream.current = controller;
+        setStreaming(true);
+        setError('');
+        setSummary('');
+        setInsights(null);
+        setSummaryId(null);
+        setSummaryShare(null);
+        setAudio(null);
         try {
             console.log('Generating summary')
-            const response = await axios.post(
-                `${config.API_BASE_URL}/api/gemini-2.0-flash-exp`,
-                { listeningData: topTracks }
+            await postEventStream(
+                `${config.API_URL}/summaries/stream`,
+                { timeRange, regenerate, ...summaryOptions },
+                {
+                    signal: controller.signal,
+                    onEvent: (event, data) => {
+                        if (event === 'token') {
+                            setSummary((text) => text + data.text);
+                        } else if (event === 'done') {
+                            selectSummary(data);
+                            console.log('Summary generated succesfully', data);
+                            fetchSummaryHistory();
+                        } else if (event === 'error') {
+                            setSummary('');
+                            setError(`Failed to generate summary: ${data.error}`);
+                        }
+                    },
+                }
             );
-            setSummary(response.data.summary);
-            console.log('Summary generated succesfully', response.data);
         } catch (err) {
+            if (controller.signal.aborted) {
+                console.log('Summary generation cancelled');
+                setSummary('');
+                return;
+            }
             console.error('Failed to generate summary:', err);
             if (err.response && err.response.data && err.response.data.error) {
                 setError(`Failed to generate summary: ${err.response.data.error}`);
             } else {
                 setError('Failed to generate summary.');
             }
+        } finally {
+            summaryStream.current = null;
+            setStreaming(false);
+            fetchUsage();
+        }
+    };
+
+    // Create a public link to the current summary, or revoke it
+    const toggleSummaryShare = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            let share = null;
+            if (summaryShare) {
+                await axios.delete(`${config.API_URL}/summaries/${summaryId}/share`);
+            } else {
+                const response = await axios.post(`${config.API_URL}/summaries/${summaryId}/share`);
+                share = { url: response.data.url, createdAt: response.data.createdAt };
+            }
+            setSummaryShare(share);
+            setSummaryHistory((items) => items.map((item) => (item.id === summaryId ? { ...item, share } : item)));
+        } catch (err) {
+            console.error('Failed to update share link.', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to update share link: ${err.response.data.error}`);
+            } else {
+                setError('Failed to update share link.');
+            }
         } finally {
             setLoading(false);
         }
     };
 
+    // Stop a summary that is still streaming; the server cancels the model request
+    const cancelSummary = () => {
+        if (summaryStream.current) {
+            summaryStream.current.abort();
+        }
+    };
+
     // Generate audio from summary
     const generateAudio = async () => {
-        if (!summary) {
+        if (!summaryId) {
             console.warn('Cannot generate audio without summary')
             return;
         }
@@ -182,18 +752,10 @@ function App() {
         setError('');
         try {
             console.log('Generating audio');
-            const response = await axios.post(
-                `${config.API_BASE_URL}/api/gemini-2-0-flash-exp`,
-                { summary }
-            );
-            // Since TTS not implemented, this may return an error by design.
-            if (response.data.audio) {
-                setAudio(response.data.audio);
-                console.log('Audio generated successfully', response.data);
-            } else {
-                setError('Audio generation is currently unavailable.');
-                console.warn('Audio generation is currently unavailable.');
-            }
+            const response = await axios.post(`${config.API_URL}/summaries/${summaryId}/audio`);
+            // Cache-bust so a regenerated file isn't served from the browser cache
+            setAudio(`${config.API_BASE_URL}${response.data.audioUrl}?v=${Date.now()}`);
+            console.log('Audio generated successfully', response.data);
         } catch (err) {
             console.error('Failed to generate audio.', err);
             if (err.response && err.response.data && err.response.data.error) {
@@ -206,6 +768,120 @@ function App() {
         }
     };
 
+    // Fetch playlists Moodi-Fi has created for the user
+    const fetchMyPlaylists = useCallback(async () => {
+        try {
+            const response = await axios.get(`${config.API_URL}/playlists`);
+            setMyPlaylists(response.data.items || []);
+        } catch (err) {
+            console.error('Failed to fetch playlists:', err);
+        }
+    }, []);
+
+    // Fetch where the user stands against today's quotas
+    const fetchUsage = useCallback(async () => {
+        try {
+            const response = await axios.get(`${config.API_URL}/usage`);
+            setUsage(response.data);
+        } catch (err) {
+            console.error('Failed to fetch usage:', err);
+        }
+    }, []);
+
+    // Fetch the inbox and digest settings
+    const fetchNotifications = useCallback(async () => {
+        try {
+            const [notificationsResponse, settingsResponse] = await Promise.all([
+                axios.get(`${config.API_URL}/notifications`),
+                axios.get(`${config.API_URL}/settings/digest`),
+            ]);
+            setNotifications(notificationsResponse.data.items || []);
+            setUnreadCount(notificationsResponse.data.unreadCount || 0);
+            setDigestSettings(settingsResponse.data);
+        } catch (err) {
+            console.error('Failed to fetch notifications:', err);
+        }
+    }, []);
+
+    // Summary styles offered by the backend
+    const fetchSummaryStyles = useCallback(async () => {
+        try {
+            const response = await axios.get(`${config.API_URL}/summaries/styles`);
+            setSummaryStyles(response.data.items || []);
+        } catch (err) {
+            console.error('Failed to fetch summary styles:', err);
+        }
+    }, []);
+
+    // Blends the user takes part in
+    const fetchBlends = useCallback(async () => {
+        try {
+            const response = await axios.get(`${config.API_URL}/blends`);
+            setBlends(response.data.items || []);
+        } catch (err) {
+            console.error('Failed to fetch blends:', err);
+        }
+    }, []);
+
+    // Load the invite from a shared link, if the user arrived through one
+    const fetchBlendInvite = useCallback(async () => {
+        const code = sessionStorage.getItem(BLEND_INVITE_KEY);
+        if (!code) {
+            return;
+        }
+        try {
+            const response = await axios.get(`${config.API_URL}/blends/invites/${encodeURIComponent(code)}`);
+            setBlendInvite({ code, ...response.data });
+        } catch (err) {
+            console.error('Failed to fetch invite:', err);
+            sessionStorage.removeItem(BLEND_INVITE_KEY);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to open invite: ${err.response.data.error}`);
+            } else {
+                setError('Failed to open invite.');
+            }
+        }
+    }, []);
+
+    useEffect(() => {
+        if (isAuthenticated) {
+            fetchMyPlaylists();
+            fetchUsage();
+            fetchNotifications();
+            fetchSummaryStyles();
+            fetchBlends();
+            fetchBlendInvite();
+            fetchUsage();
+        }
+    }, [isAuthenticated, fetchMyPlaylists, fetchNotifications, fetchSummaryStyles, fetchBlends, fetchBlendInvite, fetchUsage]);
+
+    // Mark a notification as read when it is opened
+    const openNotification = async (notification) => {
+        try {
+            await axios.post(`${config.API_URL}/notifications/${notification.id}/read`);
+            setNotifications((items) => items.map((item) => (item.id === notification.id ? { ...item, read: true } : item)));
+            setUnreadCount((count) => Math.max(count - 1, 0));
+        } catch (err) {
+            console.error('Failed to mark notification as read:', err);
+        }
+    };
+
+    // Save weekly digest settings
+    const updateDigestSettings = async (changes) => {
+        setError('');
+        try {
+            const response = await axios.put(`${config.API_URL}/settings/digest`, changes);
+            setDigestSettings(response.data);
+        } catch (err) {
+            console.error('Failed to update digest settings:', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to update digest settings: ${err.response.data.error}`);
+            } else {
+                setError('Failed to update digest settings.');
+            }
+        }
+    };
+
     // Create Spotify Playlist
     const createPlaylist = async () => {
         if (!topTracks || topTracks.length === 0) {
@@ -218,10 +894,13 @@ function App() {
             console.log('Creating playlist');
             const trackUris = topTracks.map((track) => track.uri);
             const response = await axios.post(
-                `${config.API_BASE_URL}/api/generate-playlist`,
-                { trackUris }
+                `${config.API_URL}/playlists`,
+                { trackUris, ...playlistRequestFields(playlistOptions) }
             );
             setPlaylist(response.data);
+            setPlaylistOptions(DEFAULT_PLAYLIST_OPTIONS);
+            fetchMyPlaylists();
+            fetchUsage();
             console.log('Playlist created successfullly', response.data);
         } catch (err) {
             console.error('Failed to create playlist.', err);
@@ -235,21 +914,199 @@ function App() {
         }
     };
 
+    // Preview tracks for the entered mood
+    const previewMoodPlaylist = async (event) => {
+        event.preventDefault();
+        if (!mood.trim()) {
+            return;
+        }
+        setLoading(true);
+        setError('');
+        setMoodPreview(null);
+        try {
+            console.log('Previewing mood playlist');
+            const response = await axios.post(
+                `${config.API_URL}/playlists/mood/preview`,
+                { mood }
+            );
+            setMoodPreview(response.data);
+        } catch (err) {
+            console.error('Failed to preview mood playlist.', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to preview mood playlist: ${err.response.data.error}`);
+            } else {
+                setError('Failed to preview mood playlist.');
+            }
+        } finally {
+            setLoading(false);
+            fetchUsage();
+        }
+    };
+
+    // Create a playlist from the previewed mood tracks
+    const createMoodPlaylist = async () => {
+        if (!moodPreview || moodPreview.tracks.length === 0) {
+            return;
+        }
+        setLoading(true);
+        setError('');
+        try {
+            console.log('Creating mood playlist');
+            const response = await axios.post(
+                `${config.API_URL}/playlists/mood`,
+                {
+                    mood: moodPreview.mood,
+                    trackUris: moodPreview.tracks.map((track) => track.uri),
+                    ...playlistRequestFields(playlistOptions)
+                }
+            );
+            setPlaylist(response.data);
+            setPlaylistOptions(DEFAULT_PLAYLIST_OPTIONS);
+            fetchMyPlaylists();
+            fetchUsage();
+            setMoodPreview(null);
+        } catch (err) {
+            console.error('Failed to create mood playlist.', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to create mood playlist: ${err.response.data.error}`);
+            } else {
+                setError('Failed to create mood playlist.');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Create a link a friend can use to compare tastes
+    const createBlendInvite = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const response = await axios.post(`${config.API_URL}/blends/invites`);
+            setInviteUrl(response.data.inviteUrl);
+            fetchBlends();
+        } catch (err) {
+            console.error('Failed to create invite.', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to create invite: ${err.response.data.error}`);
+            } else {
+                setError('Failed to create invite.');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Accept or decline the invite the user arrived with
+    const answerBlendInvite = async (accept) => {
+        setLoading(true);
+        setError('');
+        try {
+            if (!blendInvite.ownInvite) {
+                const action = accept ? 'accept' : 'decline';
+                await axios.post(`${config.API_URL}/blends/invites/${encodeURIComponent(blendInvite.code)}/${action}`);
+            }
+            sessionStorage.removeItem(BLEND_INVITE_KEY);
+            setBlendInvite(null);
+            fetchBlends();
+        } catch (err) {
+            console.error('Failed to answer invite.', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to answer invite: ${err.response.data.error}`);
+            } else {
+                setError('Failed to answer invite.');
+            }
+            // Used, expired or withdrawn invites can't be answered again
+            if (err.response && [404, 410].includes(err.response.status)) {
+                sessionStorage.removeItem(BLEND_INVITE_KEY);
+                setBlendInvite(null);
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Save a playlist alternating both users' top tracks
+    const createBlendPlaylist = async (blend) => {
+        setLoading(true);
+        setError('');
+        try {
+            const response = await axios.post(
+                `${config.API_URL}/blends/${blend.id}/playlist`,
+                playlistRequestFields(playlistOptions)
+            );
+            setPlaylist(response.data);
+            setPlaylistOptions(DEFAULT_PLAYLIST_OPTIONS);
+            fetchMyPlaylists();
+            fetchUsage();
+        } catch (err) {
+            console.error('Failed to create blend playlist.', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to create blend playlist: ${err.response.data.error}`);
+            } else {
+                setError('Failed to create blend playlist.');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Remove a blend for both participants, or cancel an open invite
+    const deleteBlend = async (blend) => {
+        if (blend.status === 'accepted' && !window.confirm('Remove this blend for both of you?')) {
+            return;
+        }
+        setError('');
+        try {
+            await axios.delete(`${config.API_URL}/blends/${blend.id}`);
+            setBlends((items) => items.filter((item) => item.id !== blend.id));
+        } catch (err) {
+            console.error('Failed to delete blend.', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to delete blend: ${err.response.data.error}`);
+            } else {
+                setError('Failed to delete blend.');
+            }
+        }
+    };
+
+    // Forget everything loaded for the signed-in user
+    const clearUserState = () => {
+        if (summaryStream.current) {
+            summaryStream.current.abort();
+        }
+        setIsAuthenticated(false);
+        setCurrentUser(null);
+        setTopTracks([]);
+        setTopArtists([]);
+        setComparison(null);
+        setMoodTimeline(null);
+        setSummary('');
+        setInsights(null);
+        setSummaryId(null);
+        setSummaryShare(null);
+        setSummaryHistory([]);
+        setAudio(null);
+        setPlaylist(null);
+        setPlaylistOptions(DEFAULT_PLAYLIST_OPTIONS);
+        setMyPlaylists([]);
+        setMood('');
+        setMoodPreview(null);
+        setNotifications([]);
+        setUnreadCount(0);
+        setShowInbox(false);
+        setDigestSettings(null);
+        setBlends([]);
+        setBlendInvite(null);
+        setInviteUrl('');
+    };
+
     // Handle user logout
     const logout = async () => {
         try {
             console.log('Logging out');
-            delete axios.defaults.headers.common['Authorization'];
-            await axios.post(`${config.API_BASE_URL}/api/logout`);
-
-            setIsAuthenticated(false);
-            setTopTracks([]);
-            setSummary('');
-            setAudio(null);
-            setPlaylist(null);
-
-            // Clear jwtToken cookie by setting it to expire immediately
-            document.cookie = 'jwtToken=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT;';
+            await axios.post(`${config.API_URL}/auth/logout`);
+            clearUserState();
         } catch (error) {
             console.error('Logout failed:', error);
             if (error.response && error.response.data && error.response.data.error) {
@@ -260,6 +1117,29 @@ function App() {
         }
     };
 
+    // Permanently delete the account and everything stored for it
+    const deleteAccount = async () => {
+        if (!window.confirm('Delete your Moodi-Fi account and all of its data? This cannot be undone.')) {
+            return;
+        }
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await axios.delete(`${config.API_URL}/account`, { data: { confirm: 'DELETE' } });
+            clearUserState();
+            setDeletedNotice(response.data.spotifyAppsUrl);
+        } catch (err) {
+            console.error('Failed to delete account.', err);
+            if (err.response && err.response.data && err.response.data.error) {
+                setError(`Failed to delete account: ${err.response.data.error}`);
+            } else {
+                setError('Failed to delete account.');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
     // Conditional rendering logic based on user authentication
     return (
         <div className='container'>
@@ -268,24 +1148,133 @@ function App() {
                 <p className='tagline'>Your personalized Spotify Music Insights</p>
                 {!isAuthenticated ? (
                     <div>
-                        <a href={`${config.API_BASE_URL}/auth/spotify`} className='login-button'>Login with Spotify</a>
+                        {demoUsers.length > 0 ? (
+                            <ul className='demoUsers'>
+                                {demoUsers.map((demoUser) => (
+                                    <li key={demoUser.id}>
+                                        <a href={`${config.API_BASE_URL}/auth/demo/${demoUser.id}`} className='login-button'>
+                                            Log in as {demoUser.displayName}
+                                        </a>
+                                        <span className='genres'>{demoUser.description}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <a href={`${config.API_BASE_URL}/auth/spotify`} className='login-button'>Login with Spotify</a>
+                        )}
+                        {sessionStorage.getItem(BLEND_INVITE_KEY) && (
+                            <p className='notice'>You've been invited to compare music tastes. Log in to see the invite.</p>
+                        )}
+                        {deletedNotice && (
+                            <p className='notice'>
+                                Your account has been deleted. To also remove Moodi-Fi's access to Spotify,
+                                visit <a href={deletedNotice} target='_blank' rel='noopener noreferrer'>your Spotify apps</a>.
+                            </p>
+                        )}
                     </div>
                 ) : (
                     <div>
+                        {currentUser && currentUser.displayName && (
+                            <p className='tagline'>Logged in as {currentUser.displayName}</p>
+                        )}
+                        <NowPlayingWidget />
+                        <TimeRangeSwitcher timeRange={timeRange} onChange={changeTimeRange} disabled={loading} />
+                        <SummaryStylePicker
+                            styles={summaryStyles}
+                            style={summaryOptions.style}
+                            language={summaryOptions.language}
+                            onChange={(changes) => setSummaryOptions((options) => ({ ...options, ...changes }))}
+                            disabled={streaming}
+                        />
+                        <PlaylistOptions options={playlistOptions} onChange={setPlaylistOptions} playlists={myPlaylists} disabled={loading} />
                         <div className='button-grid'>
-                        <button onClick={fetchTopTracks} className='button primary-button' disabled={loading}>
+                        <button onClick={() => fetchTopTracks()} className='button primary-button' disabled={loading}>
                         {loading ? 'Fetching Data...' : 'Fetch Top Tracks'}
                         </button>
 
-                        <button onClick={generateSummary} className='button' disabled={loading || topTracks.length === 0}>
-                            {loading && !summary ? 'Generating Summary...' : 'Generate Summary'}
+                        {streaming ? (
+                            <button onClick={cancelSummary} className='button cancel-button'>
+                                Cancel Summary
+                            </button>
+                        ) : (
+                            <button onClick={() => generateSummary()} className='button' disabled={loading}>
+                                Generate Summary
+                            </button>
+                        )}
+                        <button onClick={() => generateSummary(true)} className='button' disabled={loading || streaming || !summaryId}>
+                            Regenerate Summary
+                        </button>
+                        <button onClick={fetchSummaryHistory} className='button' disabled={loading}>
+                            Summary History
                         </button>
-                        <button onClick={generateAudio} className='button' disabled={loading || !summary}>
+                        <button onClick={generateAudio} className='button' disabled={loading || streaming || !summaryId}>
                             {loading && !audio ? 'Generating Audio...' : 'Generate Audio'}
                         </button>
                         <button onClick={createPlaylist} className='button' disabled={loading || topTracks.length === 0}>
                             {loading && !playlist ? 'Creating Playlist...' : 'Create Playlist'}
                         </button>
+                        <button onClick={compareTimeRanges} className='button' disabled={loading}>
+                            Compare Time Ranges
+                        </button>
+                        <button onClick={() => fetchMoodTimeline('top')} className='button' disabled={loading}>
+                            Top Tracks Mood
+                        </button>
+                        <button onClick={() => fetchMoodTimeline('history')} className='button' disabled={loading}>
+                            Mood History
+                        </button>
+                        <button onClick={() => setShowInbox(!showInbox)} className='button'>
+                            Inbox{unreadCount > 0 ? ` (${unreadCount})` : ''}
+                        </button>
+                    </div>
+
+                    {showInbox && (
+                        <div className='section'>
+                            <h2>Inbox</h2>
+                            {digestSettings && (
+                                <DigestSettings settings={digestSettings} onChange={updateDigestSettings} disabled={loading} />
+                            )}
+                            {notifications.length > 0
+                                ? <Inbox notifications={notifications} onOpen={openNotification} />
+                                : <p>No notifications yet.</p>}
+                        </div>
+                    )}
+
+                    {blendInvite && (
+                        <div className='section'>
+                            <h2>Blend Invite</h2>
+                            <BlendInvite
+                                invite={blendInvite}
+                                onAccept={() => answerBlendInvite(true)}
+                                onDecline={() => answerBlendInvite(false)}
+                                disabled={loading}
+                            />
+                        </div>
+                    )}
+
+                    <div className='section'>
+                        <h2>Mood Playlist</h2>
+                        <form onSubmit={previewMoodPlaylist} className='moodForm'>
+                            <input
+                                type='text'
+                                value={mood}
+                                onChange={(event) => setMood(event.target.value)}
+                                placeholder='e.g. rainy sunday focus, pre-run hype'
+                                maxLength={120}
+                                className='moodInput'
+                                disabled={loading}
+                            />
+                            <button type='submit' className='button' disabled={loading || !mood.trim()}>
+                                Preview Tracks
+                            </button>
+                        </form>
+                        {moodPreview && (
+                            <>
+                                <MoodPreview preview={moodPreview} />
+                                <button onClick={createMoodPlaylist} className='button primary-button' disabled={loading}>
+                                    Create "{moodPreview.mood}" Playlist
+                                </button>
+                            </>
+                        )}
                     </div>
 
                     {topTracks.length > 0 && (
@@ -296,10 +1285,50 @@ function App() {
                         )
                     }
 
-                    {summary && (
+                    {topArtists.length > 0 && (
+                        <div className='section'>
+                            <h2>Your Top Artists</h2>
+                            <ArtistList artists={topArtists} />
+                        </div>
+                    )}
+
+                    {moodTimeline && (
+                        <div className='section'>
+                            <h2>{moodTimeline.source === 'history' ? 'Mood History' : 'Top Tracks Mood'}</h2>
+                            {moodTimeline.points.length > 0
+                                ? <MoodChart points={moodTimeline.points} source={moodTimeline.source} />
+                                : <p>No listening history yet. Check back after you've played some music.</p>}
+                        </div>
+                    )}
+
+                    {comparison && (
+                        <div className='section'>
+                            <h2>Time Range Comparison</h2>
+                            <TimeRangeComparison comparison={comparison} />
+                        </div>
+                    )}
+
+                    {(summary || streaming) && (
                         <div className='section'>
                             <h2>Summary</h2>
-                            <p>{summary}</p>
+                            {summary
+                                ? <SummaryCards insights={insights} text={summary} />
+                                : <p>Generating summary...</p>}
+                            {summaryId && (
+                                <div className='summaryShare'>
+                                    <button onClick={toggleSummaryShare} className='button' disabled={loading}>
+                                        {summaryShare ? 'Stop Sharing' : 'Share Summary'}
+                                    </button>
+                                    {summaryShare && <CopyLink url={summaryShare.url} />}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {summaryHistory.length > 0 && (
+                        <div className='section'>
+                            <h2>Summary Timeline</h2>
+                            <SummaryTimeline summaries={summaryHistory} selectedId={summaryId} onSelect={selectSummary} />
                         </div>
                     )}
 
@@ -312,11 +1341,33 @@ function App() {
 
                     {playlist && (
                         <div className='section'>
-                            <h2>Generated Playlist</h2>
+                            <h2>{playlist.name || 'Generated Playlist'}</h2>
                             <PlaylistDisplay playlistId={playlist.id} />
                         </div>
                     )}
 
+                    <div className='section'>
+                        <h2>Blend</h2>
+                        <p>Compare your taste with a friend's and make a playlist from both of your favorites.</p>
+                        <button onClick={createBlendInvite} className='button' disabled={loading}>Create Invite Link</button>
+                        {inviteUrl && <CopyLink url={inviteUrl} />}
+                        {blends.length > 0 && (
+                            <BlendList blends={blends} onCreatePlaylist={createBlendPlaylist} onDelete={deleteBlend} disabled={loading} />
+                        )}
+                    </div>
+
+                    {usage && (
+                        <div className='section'>
+                            <h2>Today's Usage</h2>
+                            <UsageSummary usage={usage} />
+                        </div>
+                    )}
+
+                    <div className='section'>
+                        <h2>Your Data</h2>
+                        <AccountData onDelete={deleteAccount} disabled={loading} />
+                    </div>
+
                     {error && <ErrorDisplay error={error} />}
                     <button onClick={logout} className='button logout-button' disabled={loading}>Logout</button>
                 </div>
@@ -1,19 +1,102 @@
 // frontend/src/NowPlaying.js
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { getEventStream } from './api';
+import config from './config';
 
-const NowPlayingWidget = ({ spotifyUserId }) => {
-    const widgetUrl = `https://spotify-github-profile.kittinanx.com/api/view.svg?uid=${spotifyUserId}&cover_image=true&theme=default&show_offline=true&background_color=121212&interchange=true&bar_color=53b14f&bar_color_cover=false`;
+const RECONNECT_DELAY_MS = 10000;
 
+const formatTime = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Playback position now, counting on from the last update while the track is playing
+const currentProgress = (state) => {
+    const elapsed = state.isPlaying ? Date.now() - state.receivedAt : 0;
+    return Math.min(state.progressMs + elapsed, state.track.durationMs);
+};
+
+// The user's current Spotify track, kept up to date by the now-playing event stream
+const NowPlayingWidget = () => {
+    const [nowPlaying, setNowPlaying] = useState(null);
+    const [notice, setNotice] = useState('');
+    const [, setTick] = useState(0);
+
+    // Subscribe, reconnecting when the server ends the stream or the connection drops
+    useEffect(() => {
+        const controller = new AbortController();
+        let retryTimer;
+
+        const connect = async () => {
+            let stopped = false;
+            try {
+                await getEventStream(`${config.API_URL}/now-playing/stream`, {
+                    signal: controller.signal,
+                    onEvent: (event, data) => {
+                        if (event === 'nowplaying') {
+                            // Progress is measured against this browser's clock
+                            setNowPlaying({ ...data, receivedAt: Date.now() });
+                            setNotice('');
+                        } else if (event === 'error') {
+                            stopped = true;
+                            setNotice(data.error);
+                        }
+                    },
+                });
+            } catch (err) {
+                if (controller.signal.aborted) return;
+                console.error('Now playing stream failed:', err);
+                if (err.response && [401, 403].includes(err.response.status)) {
+                    stopped = true;
+                    setNotice(err.response.data.error || 'Now playing is unavailable.');
+                }
+            }
+            if (!stopped && !controller.signal.aborted) {
+                retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+            }
+        };
+        connect();
+
+        return () => {
+            controller.abort();
+            clearTimeout(retryTimer);
+        };
+    }, []);
+
+    // Re-render every second so the progress bar moves between updates
+    const playing = Boolean(nowPlaying && nowPlaying.isPlaying && nowPlaying.track);
+    useEffect(() => {
+        if (!playing) return undefined;
+        const timer = setInterval(() => setTick((tick) => tick + 1), 1000);
+        return () => clearInterval(timer);
+    }, [playing]);
+
+    if (notice) {
+        return <div className='nowPlaying'><p className='genres'>{notice}</p></div>;
+    }
+    if (!nowPlaying || !nowPlaying.track) {
+        return <div className='nowPlaying'><p className='genres'>Nothing playing on Spotify right now.</p></div>;
+    }
+
+    const { track, mood, isPlaying } = nowPlaying;
+    const progress = currentProgress(nowPlaying);
     return (
-        <div className="now-playing-widget">
-            <h5>Current Mood 🎧</h5>
-            <a href="https://open.spotify.com/user/YOUR_SPOTIFY_USERNAME?si=YOUR_SI_VALUE" target="_blank" rel="noopener noreferrer">
-                <i>
-                    <img src={widgetUrl} alt="Spotify Now Playing" />
-                </i>
-            </a>
+        <div className='nowPlaying'>
+            {track.artworkUrl && <img src={track.artworkUrl} alt={track.album || track.name} className='nowPlayingArtwork' />}
+            <div className='nowPlayingDetails'>
+                <span className='timelineDate'>{isPlaying ? 'Now playing' : 'Paused'}</span>
+                {track.url
+                    ? <a href={track.url} target='_blank' rel='noopener noreferrer' className='artistName'>{track.name}</a>
+                    : <span className='artistName'>{track.name}</span>}
+                <span className='genres'>{track.artists.join(', ')}</span>
+                <div className='nowPlayingProgress'>
+                    <div style={{ width: `${(progress / track.durationMs) * 100}%` }} />
+                </div>
+                <span className='timelineDate'>{formatTime(progress)} / {formatTime(track.durationMs)}</span>
+                {mood && <span className={`moodTag ${mood.label}`}>{mood.label}</span>}
+            </div>
         </div>
     );
 };
 
-export default NowPlayingWidget;
\ No newline at end of file
+export default NowPlayingWidget;
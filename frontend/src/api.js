@@ -0,0 +1,106 @@
+// frontend/src/api.js
+// Configures the shared axios instance for the backend's cookie sessions:
+// sends cookies, echoes the CSRF cookie in a header, and refreshes an expired session once.
+import axios from 'axios';
+import config from './config';
+
+axios.defaults.withCredentials = true;
+axios.defaults.xsrfCookieName = 'csrfToken';
+axios.defaults.xsrfHeaderName = 'X-CSRF-Token';
+axios.defaults.withXSRFToken = true; // The API is on another port in development
+
+let refreshRequest = null;
+
+// Refresh the session, sharing one request between concurrent callers
+export const refreshSession = () => {
+    if (!refreshRequest) {
+        refreshRequest = axios
+            .post(`${config.API_URL}/auth/refresh`, null, { skipSessionRefresh: true })
+            .finally(() => {
+                refreshRequest = null;
+            });
+    }
+    return refreshRequest;
+};
+
+axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const request = error.config;
+        if (error.response && error.response.status === 401 && request
+            && !request.skipSessionRefresh && !request.sessionRefreshed) {
+            request.sessionRefreshed = true;
+            try {
+                await refreshSession();
+            } catch (refreshError) {
+                return Promise.reject(error);
+            }
+            return axios(request);
+        }
+        return Promise.reject(error);
+    }
+);
+
+// Read a cookie visible to the page (the backend's CSRF cookie)
+const readCookie = (name) => {
+    const match = document.cookie.split('; ').find((cookie) => cookie.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : '';
+};
+
+// Read a Server-Sent Events response, calling onEvent(event, data) for each event. axios can't read a
+// response body as it arrives in the browser, so streams use fetch with the same cookie and refresh
+// handling. `send` makes the request; errors carry `response` like axios errors do.
+const readEventStream = async (send, onEvent) => {
+    let response = await send();
+    if (response.status === 401) {
+        try {
+            await refreshSession();
+            response = await send();
+        } catch (refreshError) {
+            // Report the original 401 below
+        }
+    }
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || `Request failed with status code ${response.status}`);
+        error.response = { status: response.status, data };
+        throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffered += decoder.decode(value, { stream: true });
+        const events = buffered.split('\n\n');
+        buffered = events.pop();
+        events.forEach((raw) => {
+            const fields = Object.fromEntries(raw.split('\n').map((line) => {
+                const separator = line.indexOf(':');
+                return [line.slice(0, separator), line.slice(separator + 1).trim()];
+            }));
+            if (fields.data !== undefined) {
+                onEvent(fields.event || 'message', JSON.parse(fields.data));
+            }
+        });
+    }
+};
+
+// POST to an endpoint that answers with Server-Sent Events
+export const postEventStream = (url, body, { signal, onEvent }) => readEventStream(() => fetch(url, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': readCookie('csrfToken') },
+    body: JSON.stringify(body),
+    signal,
+}), onEvent);
+
+// Subscribe to a GET endpoint that answers with Server-Sent Events; resolves when the server ends it
+export const getEventStream = (url, { signal, onEvent }) => readEventStream(() => fetch(url, {
+    credentials: 'include',
+    signal,
+}), onEvent);
+
+export default axios;
@@ -1,9 +1,14 @@
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:8888';
+
 const config = {
     // Base URL for the backend API. Should match the backend's URL and port.
-    API_BASE_URL: process.env.REACT_APP_API_BASE_URL || 'http://localhost:8888',
+    API_BASE_URL,
+
+    // The versioned REST API on that backend
+    API_URL: `${API_BASE_URL}/api/v1`,
   
     // Frontend URL for redirecting after authentication. Should match the redirect URI.
     FRONTEND_URL: process.env.REACT_APP_FRONTEND_URL || 'http://localhost:3000',
 };
   
-export default config;  
\ No newline at end of file
+export default config;